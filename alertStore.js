@@ -0,0 +1,147 @@
+'use strict'
+
+const fs = require('fs')
+
+// Gets the time an alert stops being active
+//  @param  {object} alert An object containing the expires and ends date strings of an alert
+//  @return {number} The later of the expiry and end times in ms. 0 if neither is set.
+function getLastActive ({ expires, ends }) {
+  return Math.max(new Date(expires).getTime() || 0, new Date(ends).getTime() || 0)
+}
+
+/** @fileoverview Remembers which NWS alerts have been posted so each alert is only posted once.
+  *   Alerts are stored by id along with the ids of the alerts they reference and the alert replacing them.
+  *   Alerts are removed once they've expired. */
+module.exports = class AlertStore {
+  //  @param  {string=}   file The path to the json file the store is saved to. The store is only kept in memory if unset.
+  //  @param  {object}    logger A winston logger
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (file, logger) {
+    if (file !== undefined && typeof file !== 'string') {
+      throw new TypeError('Param file must be a string')
+    }
+
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    this.file = file
+    this.logger = logger
+    this.alerts = {}
+
+    if (file && fs.existsSync(file)) {
+      try {
+        this.alerts = JSON.parse(fs.readFileSync(file))
+      } catch (e) {
+        logger.error(new Error(`Could not read alert store ${file}. Starting with an empty store.`))
+        logger.error(e)
+      }
+    }
+  }
+
+  // Checks if an alert has been posted
+  //  @param  {string} id The id of the alert
+  //  @return {boolean} true if the alert has been posted otherwise false
+  has (id) {
+    return Object.prototype.hasOwnProperty.call(this.alerts, id)
+  }
+
+  // Gets the stored alerts an alert references
+  //  @param  {object} alertData An alert from api.weather.gov/alerts
+  //  @return {object[]} The stored entries of the referenced alerts that have been posted
+  getReferenced (alertData) {
+    const references = alertData.properties.references || []
+
+    return references
+      .map(({ identifier }) => identifier)
+      .filter((id) => this.has(id))
+      .map((id) => Object.assign({ id: id }, this.alerts[id]))
+  }
+
+  // Decides how an alert should be posted
+  //  @param  {object} alertData An alert from api.weather.gov/alerts
+  //  @return {string} One of
+  //    "new"     The alert hasn't been posted and doesn't replace a posted alert
+  //    "update"  The alert updates a posted alert
+  //    "cancel"  The alert cancels a posted alert
+  //    null      The alert shouldn't be posted. Either it's been posted already, it's expired, or it cancels an alert that was never posted.
+  classify (alertData) {
+    const { id, messageType } = alertData.properties
+
+    // Expired alerts are skipped so they aren't posted again after being pruned
+    if (this.has(id) || getLastActive(alertData.properties) < Date.now()) {
+      return null
+    }
+
+    const isReplacement = this.getReferenced(alertData).length > 0
+
+    switch (messageType) {
+      case 'Cancel':
+        return isReplacement ? 'cancel' : null
+      case 'Update':
+        return isReplacement ? 'update' : 'new'
+      default:
+        return 'new'
+    }
+  }
+
+  // Remembers an alert as posted. Referenced alerts are marked as replaced by the alert.
+  //  @param  {object} alertData An alert from api.weather.gov/alerts
+  add (alertData) {
+    const { id, event, messageType, severity, urgency, sent, expires, ends, references, replacedBy } = alertData.properties
+    const referenceIds = (references || []).map(({ identifier }) => identifier)
+
+    this.alerts[id] = {
+      event: event,
+      messageType: messageType,
+      severity: severity,
+      urgency: urgency,
+      sent: sent,
+      expires: expires,
+      ends: ends,
+      references: referenceIds,
+      replacedBy: replacedBy
+    }
+
+    referenceIds.forEach((referenceId) => {
+      if (this.has(referenceId)) {
+        this.alerts[referenceId].replacedBy = id
+      }
+    })
+  }
+
+  // Removes alerts that have ended or expired
+  //  @param  {Date=} now The time to compare against. The current time if unset.
+  //  @return {number} The number of alerts removed
+  prune (now) {
+    now = now || new Date()
+
+    let removed = 0
+
+    for (const id in this.alerts) {
+      if (getLastActive(this.alerts[id]) < now.getTime()) {
+        delete this.alerts[id]
+        removed++
+      }
+    }
+
+    if (removed) {
+      this.logger.info(`Removed ${removed} expired alert(s) from the alert store`)
+    }
+
+    return removed
+  }
+
+  // Writes the store to its file. Does nothing if the store has no file.
+  save () {
+    if (!this.file) {
+      return
+    }
+
+    try {
+      fs.writeFileSync(this.file, JSON.stringify(this.alerts, null, 2))
+    } catch (e) {
+      this.logger.error(e)
+    }
+  }
+}
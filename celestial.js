@@ -1,6 +1,8 @@
 'use strict'
 
+const DateFormatter = require('./dateFormatter.js')
 const lune = require('lune')
+const Templates = require('./templates.js')
 const util = require('./util.js')
 
 /** @fileoverview A collection of functions to calculate celstial events and stats. */
@@ -94,9 +96,13 @@ module.exports = {
   // Generates a message describing how long the day/night is, the nearest sunrise, and the nearest sunset
   //  @param  {object} coordinates An object containing the latitude and longitude of the observer
   //  @param  {Date=} date The time to get sunrise, sunset, and length data for. The current time if unspecified.
+  //  @param  {DateFormatter=} dateFormatter Formats sunrise and sunset in the location's time zone. The host machine's time zone if unset.
+  //  @param  {Templates=} templates The wording of the message. The defaults in data/templates.json if unset.
   //  @return {string} If day, the sunrise, sunset, and length of the day otherwise the sunset sunrise, and length of the night
-  getDayNight (coordinates, date) {
+  getDayNight (coordinates, date, dateFormatter, templates) {
     date = date || new Date()
+    dateFormatter = dateFormatter || new DateFormatter()
+    templates = templates || new Templates()
 
     const dayInfo = this.getSunUpDown(coordinates, date)
     let diff
@@ -129,14 +135,18 @@ module.exports = {
       diff = sunset - sunrise
     }
 
-    return (sky === 'day')
-      ? `Sunrise was at ${sunrise.toTimeString().substr(0, 5)}. Sunset will be at ${sunset.toTimeString().substr(0, 5)}. Today is ${Math.floor(diff / 3600000)} hours, ${(diff / 60000) % 60} minutes long.`
-      : `Sunset was at ${sunset.toTimeString().substr(0, 5)}. Sunrise will be at ${sunrise.toTimeString().substr(0, 5)}. Tonight is ${Math.floor(diff / 3600000)} hours, ${(diff / 60000) % 60} minutes long.`
+    return templates.render(sky, ({ locale }) => ({
+      hours: locale.plural('hours', Math.floor(diff / 3600000)),
+      minutes: locale.plural('minutes', (diff / 60000) % 60),
+      sunrise: dateFormatter.formatTime(sunrise),
+      sunset: dateFormatter.formatTime(sunset)
+    }))
   },
 
   // Get a message describing the current moon phase.
+  //  @param  {Templates=} templates The wording of the message. The defaults in data/templates.json if unset.
   //  @return {string} A message stating the current phase of the moon.
-  getLunarPhase () {
+  getLunarPhase (templates) {
     const nearbyPhases = Object.values(lune.phase_hunt()); const now = new Date()
 
     const closestPhase = util.getClosestIndex(now, nearbyPhases, (date1, date2) => date1 - date2)
@@ -146,61 +156,64 @@ module.exports = {
     switch (closestPhase) {
       case 0:
         if (Math.abs(proximity) < 1) {
-          phase = '🌑 New Moon'
+          phase = 'newMoon'
         } else if (proximity > 0) {
-          phase = '🌒 Waxing Crescent'
+          phase = 'waxingCrescent'
         } else {
-          phase = '🌘 Waning Crescent'
+          phase = 'waningCrescent'
         }
 
         break
       case 1:
         if (Math.abs(proximity) < 1) {
-          phase = '🌓 First Quarter'
+          phase = 'firstQuarter'
         } else if (proximity > 0) {
-          phase = '🌔 Waxing Gibbous'
+          phase = 'waxingGibbous'
         } else {
-          phase = '🌒 Waxing Crescent'
+          phase = 'waxingCrescent'
         }
 
         break
       case 2:
         if (Math.abs(proximity) < 1) {
-          phase = '🌕 Full Moon'
+          phase = 'fullMoon'
         } else if (proximity > 0) {
-          phase = '🌖 Waning Gibbous'
+          phase = 'waningGibbous'
         } else {
-          phase = '🌔 Waxing Gibbous'
+          phase = 'waxingGibbous'
         }
 
         break
       case 3:
         if (Math.abs(proximity) < 1) {
-          phase = '🌗 Third Quarter'
+          phase = 'thirdQuarter'
         } else if (proximity > 0) {
-          phase = '🌘 Waning Crescent'
+          phase = 'waningCrescent'
         } else {
-          phase = '🌖 Waning Gibbous'
+          phase = 'waningGibbous'
         }
 
         break
       case 4:
         if (Math.abs(proximity) < 1) {
-          phase = '🌑 New Moon'
+          phase = 'newMoon'
         } else {
-          phase = '🌒 Waxing Crescent'
+          phase = 'waxingCrescent'
         }
 
         break
     }
 
-    return `The moon is currently in the ${phase} phase.`
+    return (templates || new Templates()).render('lunarPhase', ({ locale }) => ({ phase: locale.get(['lunarPhases', phase]) }))
   },
 
   // Generates a statement stating the days between the last solstice or equinox until now and days until the next solstice or equinox
   //  @param  {Date=} date For testing. A date to get the season progress for.
+  //  @param  {Templates=} templates The wording of the message. The defaults in data/templates.json if unset.
   //  @return {String} A statement stating the days between the last solstice or equinox until now and days until the next solstice or equinox
-  getSeasonProgress (date) {
+  getSeasonProgress (date, templates) {
+    templates = templates || new Templates()
+
     const now = date || new Date()
     const seasonData = require('./data/seasons.json')
     const currentYear = now.getFullYear()
@@ -215,7 +228,7 @@ module.exports = {
 
     switch (nearestEvent) {
       case 0:
-        closeEvent.event = 'vernal equinox'
+        closeEvent.event = 'vernal_equinox'
 
         if (proximityNearestDate < 0) {
           closeEvent.days *= -1
@@ -223,19 +236,19 @@ module.exports = {
           previousEvent = closeEvent
           nextEvent = {
             days: Math.floor(util.getDaysBetween(now, currentYearDates[nearestEvent + 1])),
-            event: 'summer solstice'
+            event: 'summer_solstice'
           }
         } else {
           previousEvent = {
             days: Math.floor(util.getDaysBetween(new Date(seasonData[currentYear - 1]['winter_solstice']), now)),
-            event: 'winter solstice'
+            event: 'winter_solstice'
           }
           nextEvent = closeEvent
         }
 
         break
       case 1:
-        closeEvent.event = 'summer solstice'
+        closeEvent.event = 'summer_solstice'
 
         if (proximityNearestDate < 0) {
           closeEvent.days *= -1
@@ -243,19 +256,19 @@ module.exports = {
           previousEvent = closeEvent
           nextEvent = {
             days: Math.floor(util.getDaysBetween(now, currentYearDates[nearestEvent + 1])),
-            event: 'autumnal equinox'
+            event: 'autumnal_equinox'
           }
         } else {
           previousEvent = {
             days: Math.floor(util.getDaysBetween(currentYearDates[nearestEvent - 1], now)),
-            event: 'vernal equinox'
+            event: 'vernal_equinox'
           }
           nextEvent = closeEvent
         }
 
         break
       case 2:
-        closeEvent.event = 'autumnal equinox'
+        closeEvent.event = 'autumnal_equinox'
 
         if (proximityNearestDate < 0) {
           closeEvent.days *= -1
@@ -263,19 +276,19 @@ module.exports = {
           previousEvent = closeEvent
           nextEvent = {
             days: Math.floor(util.getDaysBetween(now, currentYearDates[nearestEvent + 1])),
-            event: 'winter equinox'
+            event: 'winter_solstice'
           }
         } else {
           previousEvent = {
             days: Math.floor(util.getDaysBetween(currentYearDates[nearestEvent - 1], now)),
-            event: 'summer solstice'
+            event: 'summer_solstice'
           }
           nextEvent = closeEvent
         }
 
         break
       case 3:
-        closeEvent.event = 'winter solstice'
+        closeEvent.event = 'winter_solstice'
 
         if (proximityNearestDate < 0) {
           const proximityNext = util.getDaysBetween(now, new Date(seasonData[currentYear + 1]['vernal_equinox']))
@@ -285,12 +298,12 @@ module.exports = {
           previousEvent = closeEvent
           nextEvent = {
             days: Math.floor(proximityNext),
-            event: 'vernal equinox'
+            event: 'vernal_equinox'
           }
         } else {
           previousEvent = {
             days: Math.floor(util.getDaysBetween(currentYearDates[nearestEvent - 1], now)),
-            event: 'autumnal equinox'
+            event: 'autumnal_equinox'
           }
           nextEvent = closeEvent
         }
@@ -299,10 +312,14 @@ module.exports = {
     }
 
     if (!proximityNearestDate) {
-      return `Today is the ${previousEvent.event}.`
+      return templates.render('seasonEvent', ({ locale }) => ({ event: locale.get(['seasonEvents', previousEvent.event]) }))
     }
 
-    return `It has been ${previousEvent.days} days since the ${previousEvent.event} and will be ${nextEvent.days} days until the ${nextEvent.event}.`
+    // Events are named by their key in data/seasons.json
+    return templates.render('seasonProgress', ({ locale }) => ({
+      previous: { days: locale.plural('days', previousEvent.days), event: locale.get(['seasonEvents', previousEvent.event]) },
+      next: { days: locale.plural('days', nextEvent.days), event: locale.get(['seasonEvents', nextEvent.event]) }
+    }))
   },
 
   // Generates a statement stating the length of the day or night for the current time and sunrise and sunset times
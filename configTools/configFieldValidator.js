@@ -2,6 +2,8 @@
 
 /** @fileoverview A collection of functions to check the bot configuration object's leaf nodes for mistakes.
   *   All function params are assumed to be of the correct type */
+const cronParser = require('cron-parser')
+const Templates = require('../templates.js')
 
 module.exports = {
   // Checks whether config.alerts.app.contact is in the form of an email address
@@ -83,6 +85,20 @@ module.exports = {
     }
   },
 
+  // Checks whether config.alerts.poll.severity is an NWS alert severity
+  //  @param  {string} severity The given severity
+  //  @return {boolean} True if severity is one of the NWS alert severities false otherwise
+  validateAlertsPollSeverity (severity) {
+    return ['Minor', 'Moderate', 'Severe', 'Extreme'].indexOf(severity) > -1
+  },
+
+  // Checks whether config.alerts.poll.urgency is an NWS alert urgency
+  //  @param  {string} urgency The given urgency
+  //  @return {boolean} True if urgency is one of the NWS alert urgencies false otherwise
+  validateAlertsPollUrgency (urgency) {
+    return ['Past', 'Future', 'Expected', 'Immediate'].indexOf(urgency) > -1
+  },
+
   // Checks whether config.coordinates.elevation is in the range of acceptable elevations
   //  @param  {number} longitude The given elevation in meters
   //  @return {boolean} true if elevation is between -413 and 8848 false otherwise
@@ -104,6 +120,32 @@ module.exports = {
     return longitude >= -180 && longitude <= 180
   },
 
+  // Checks whether config.jobs.*.cron is a cron expression
+  //  @param  {string} cron The given cron expression
+  //  @return {boolean} True if cron can be parsed false otherwise
+  validateJobsCron (cron) {
+    try {
+      cronParser.parseExpression(cron)
+      return true
+    } catch (e) {
+      return false
+    }
+  },
+
+  // Checks whether config.jobs.*.quietHours.start and end are 24 hour times of day
+  //  @param  {string} time The given time
+  //  @return {boolean} True if time is in the form "HH:MM" false otherwise
+  validateJobsQuietHoursTime (time) {
+    return /^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(time)
+  },
+
+  // Checks whether config.language is a language the bot can post in
+  //  @param  {string} language The given language
+  //  @return {boolean} True if language is "en", "es", or "bilingual" false otherwise
+  validateLanguage (language) {
+    return Templates.getLanguages().includes(language)
+  },
+
   // Checks whether config.log.logDir is a valid file path
   //  @param  {string} logDir The given directory path
   //  @return {boolean} true if logDir is a valid path false otherwise
@@ -132,6 +174,39 @@ module.exports = {
     return /^[0-9]{5},[a-zA-Z]{2}$/.test(str)
   },
   
+  // Checks whether config.publishers[].type is one of the supported publishers
+  //  @param  {string} type The given publisher type
+  //  @return {boolean} True if type is one of the supported publishers false otherwise
+  validatePublisherType (type) {
+    return ['console', 'mastodon', 'twitter', 'webhook'].indexOf(type) > -1
+  },
+
+  // Checks whether a string is an http or https url
+  //  @param  {string} url The string to be checked
+  //  @return {boolean} True if url starts with http:// or https:// and has a host false otherwise
+  validateURL (url) {
+    return /^https?:\/\/[^\s/?#]+[^\s]*$/.test(url)
+  },
+
+  // Checks whether config.timezone is an IANA time zone
+  //  @param  {string} timeZone The given time zone
+  //  @return {boolean} True if the time zone is known false otherwise
+  validateTimezone (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timeZone }) // eslint-disable-line no-new
+      return true
+    } catch (e) {
+      return false
+    }
+  },
+
+  // Checks whether config.units is a unit system
+  //  @param  {string} units The given unit system
+  //  @return {boolean} True if units is "metric", "imperial", or "dual" false otherwise
+  validateUnits (units) {
+    return ['metric', 'imperial', 'dual'].indexOf(units) > -1
+  },
+
   // Checks whether a string is a valid twitter handle
   //  param {string} str The string to be checked
   //  return {boolean}True if str is a valid twitter handle false otherwise
@@ -416,7 +416,9 @@ function * generate () {
 
     consoleIO.pause()// Disable user input while async request is running
     w.getForecastPromise().then((forecastData) => {
-      console.log(`${JSON.stringify(forecastData.city.coord)} are the correct coordinates?`)
+      const { lat, lon } = forecastData.location
+
+      console.log(`${JSON.stringify({ lat, lon })} are the correct coordinates?`)
       currentField.type = 'boolean'
       consoleIO.setPrompt('boolean>')
       consoleIO.prompt()
@@ -4,9 +4,13 @@
 const config = require('../config.json')
 const configFieldValidator = require('./configFieldValidator.js')
 const fs = require('fs')
+const locations = require('../locations.js')
 const path = require('path')
 const promise = require('../promise.js')
+const providers = require('../providers/index.js')
+const Templates = require('../templates.js')
 const Twitter = require('twitter')
+const weatherTools = require('../weather.js')
 
 // Prints a hint about valid filter restrictions
 function printFilterRestrictionHint () {
@@ -162,9 +166,9 @@ function checkObject (obj, path) {
   return true
 }
 
-if (!(config instanceof Object) || config instanceof Array) {
-  throw new TypeError('Config file must contain a JSON object')
-} else {
+// Checks the config of one location. Without config.locations this is the whole config file.
+//  @param  {object} config The contents of config.json or a config from locations.getLocationConfigs
+function checkConfig (config) {
   // Check extra
   const extra = config.extra
 
@@ -228,7 +232,7 @@ if (!(config instanceof Object) || config instanceof Array) {
 
     // Check extra message probabilities
     const probabilities = extra.probabilities
-    const extraTypes = ['joke', 'tutorial', 'lunar', 'season', 'sunrise', 'beaufort', 'records', 'cloudiness', 'humidity', 'precipitation', 'pressure']
+    const extraTypes = ['joke', 'tutorial', 'lunar', 'season', 'sunrise', 'beaufort', 'records', 'cloudiness', 'humidity', 'precipitation', 'pressure', 'observation']
 
     if (checkObject(probabilities, 'config.extra.probabilities')) {
       const validProbailities = {}
@@ -293,10 +297,96 @@ if (!(config instanceof Object) || config instanceof Array) {
     checkKeys(log, 'config.log', ['logDir'])
   }// End check logging
 
+  // Check publishers
+  const publishers = config.publishers
+
+  if (publishers === undefined) {
+    console.log('INFO: No publishers configured. Publishing to config.twitter only.')
+  } else if (!(publishers instanceof Array)) {
+    console.log('ERROR: config.publishers must be an array.')
+  } else if (!publishers.length) {
+    console.log('ERROR: config.publishers must contain at least 1 publisher.')
+  } else {
+    publishers.forEach((publisher, i) => {
+      const publisherPath = `config.publishers[${i}]`
+
+      if (!checkObject(publisher, publisherPath)) {
+        return
+      }
+
+      const type = publisher.type
+
+      if (!checkString(type, `${publisherPath}.type`)) {
+        return
+      } else if (!configFieldValidator.validatePublisherType(type)) {
+        console.log(`ERROR: ${publisherPath}.type has unknown publisher type: ${type}`)
+        console.log('  Supported publisher types are "console", "mastodon", "twitter", and "webhook"')
+        return
+      }
+
+      if (publisher.characterLimit !== undefined && checkNumber(publisher.characterLimit, `${publisherPath}.characterLimit`) && publisher.characterLimit < 1) {
+        console.log(`ERROR: ${publisherPath}.characterLimit must be positive`)
+      }
+
+      switch (type) {
+        case 'console':
+          if (checkString(publisher.outbox, `${publisherPath}.outbox`) && !configFieldValidator.validateNotEmptyString(publisher.outbox)) {
+            console.log(`ERROR: field "outbox" in ${publisherPath} is the empty string or contains exclusively whitespace`)
+          }
+
+          checkKeys(publisher, publisherPath, ['type', 'disabled', 'characterLimit', 'outbox', 'destination'])
+          break
+        case 'mastodon':
+          if (checkString(publisher.instance, `${publisherPath}.instance`) && !configFieldValidator.validateURL(publisher.instance)) {
+            console.log(`ERROR: ${publisherPath}.instance must be a url like "https://mastodon.social"`)
+          }
+
+          if (checkString(publisher.accessToken, `${publisherPath}.accessToken`) && !configFieldValidator.validateNotEmptyString(publisher.accessToken)) {
+            console.log(`ERROR: field "accessToken" in ${publisherPath} is the empty string or contains exclusively whitespace`)
+          }
+
+          if (publisher.visibility !== undefined && ['public', 'unlisted', 'private', 'direct'].indexOf(publisher.visibility) === -1) {
+            console.log(`ERROR: ${publisherPath}.visibility must be one of "public", "unlisted", "private", or "direct"`)
+          }
+
+          checkKeys(publisher, publisherPath, ['type', 'disabled', 'characterLimit', 'instance', 'accessToken', 'visibility'])
+          break
+        case 'twitter':
+          ['consumer_key', 'consumer_secret', 'access_token_key', 'access_token_secret'].forEach((key) => {
+            if (checkString(publisher[key], `${publisherPath}.${key}`) && !configFieldValidator.validateNotEmptyString(publisher[key])) {
+              console.log(`ERROR: field "${key}" in ${publisherPath} is the empty string or contains exclusively whitespace`)
+            }
+          })
+
+          if (publisher.localStationHandle !== undefined && !configFieldValidator.validateTwitterHandle(publisher.localStationHandle)) {
+            console.log(`ERROR: ${publisherPath}.localStationHandle is not a valid twitter handle`)
+          }
+
+          checkKeys(publisher, publisherPath, ['type', 'disabled', 'baseURL', 'consumer_key', 'consumer_secret', 'access_token_key', 'access_token_secret', 'localStationHandle'])
+          break
+        case 'webhook':
+          if (checkString(publisher.url, `${publisherPath}.url`) && !configFieldValidator.validateURL(publisher.url)) {
+            console.log(`ERROR: ${publisherPath}.url must be an http or https url`)
+          }
+
+          if (publisher.headers !== undefined) {
+            checkObject(publisher.headers, `${publisherPath}.headers`)
+          }
+
+          checkKeys(publisher, publisherPath, ['type', 'disabled', 'characterLimit', 'url', 'headers'])
+          break
+      }
+
+      console.log(`INFO: ${publisherPath} publishes to ${type}${publisher.disabled ? ' but is disabled' : ''}`)
+    })
+  }// End check publishers
+
   // Check Twitter
   const twitter = config.twitter
 
-  if (checkObject(twitter, 'config.twitter')) {
+  if (twitter === undefined && publishers instanceof Array) {
+    console.log('INFO: config.twitter is unset. Using config.publishers only.')
+  } else if (checkObject(twitter, 'config.twitter')) {
     // Check consumer key
     const consumerKey = twitter.consumer_key
     let validConsumerKey = checkString(consumerKey, 'config.twitter.consumer_key')
@@ -346,7 +436,8 @@ if (!(config instanceof Object) || config instanceof Array) {
         consumer_key: config.twitter.consumer_key,
         consumer_secret: config.twitter.consumer_secret,
         access_token_key: config.twitter.access_token_key,
-        access_token_secret: config.twitter.access_token_secret
+        access_token_secret: config.twitter.access_token_secret,
+        rest_base: `${(config.twitter.baseURL || 'https://api.twitter.com').replace(/\/+$/, '')}/1.1`
       })
 
       const twitterPromise = twitterClient.post('statuses/update', { status: `Test at ${new Date().toString()}` })
@@ -361,6 +452,10 @@ if (!(config instanceof Object) || config instanceof Array) {
       })
     }
 
+    if (twitter.baseURL !== undefined && checkString(twitter.baseURL, 'config.twitter.baseURL') && !configFieldValidator.validateURL(twitter.baseURL)) {
+      console.log('ERROR: config.twitter.baseURL must be an http or https url')
+    }
+
     // Check local weather station id
     const localStationHandle = twitter.localStationHandle
     if (localStationHandle !== undefined) {
@@ -404,7 +499,7 @@ if (!(config instanceof Object) || config instanceof Array) {
       console.log('INFO: Local weather station retweets are unset')
     }
 
-    checkKeys(twitter, 'config.twitter', ['consumer_key', 'consumer_secret', 'access_token_key', 'access_token_secret', 'localStationHandle'])
+    checkKeys(twitter, 'config.twitter', ['baseURL', 'consumer_key', 'consumer_secret', 'access_token_key', 'access_token_secret', 'localStationHandle'])
   }// End check twitter
 
   // Check weather
@@ -497,6 +592,36 @@ if (!(config instanceof Object) || config instanceof Array) {
         checkKeys(appInfo, 'config.weather.alerts.app', ['contact', 'name', 'version', 'website'])
       }// End check alert app info
 
+      if (alerts.baseURL !== undefined && checkString(alerts.baseURL, 'config.weather.alerts.baseURL') && !configFieldValidator.validateURL(alerts.baseURL)) {
+        console.log('ERROR: config.weather.alerts.baseURL must be an http or https url')
+      }
+
+      if (alerts.maxStaleMinutes !== undefined && (typeof alerts.maxStaleMinutes !== 'number' || alerts.maxStaleMinutes < 0)) {
+        console.log('ERROR: config.weather.alerts.maxStaleMinutes must be a number of minutes 0 or greater')
+      }
+
+      // Check alert polling
+      const poll = alerts.poll
+
+      if (poll !== undefined && checkObject(poll, 'config.weather.alerts.poll') && !poll.disabled) {
+        const { interval, severity, urgency } = poll
+
+        if (interval !== undefined && (isNaN(interval) || !configFieldValidator.validateInteger(interval) || interval < 1 || interval > 59)) {
+          console.log('ERROR: config.weather.alerts.poll.interval must be a whole number of minutes from 1 to 59')
+        }
+
+        if (severity !== undefined && checkString(severity, 'config.weather.alerts.poll.severity') && !configFieldValidator.validateAlertsPollSeverity(severity)) {
+          console.log('ERROR: config.weather.alerts.poll.severity must be one of Minor, Moderate, Severe, or Extreme')
+        }
+
+        if (urgency !== undefined && checkString(urgency, 'config.weather.alerts.poll.urgency') && !configFieldValidator.validateAlertsPollUrgency(urgency)) {
+          console.log('ERROR: config.weather.alerts.poll.urgency must be one of Past, Future, Expected, or Immediate')
+        }
+
+        console.log(`INFO: Alerts will be checked every ${interval || 5} minutes. Alerts at least ${severity || 'Severe'} and ${urgency || 'Expected'} will be posted as soon as they're found.`)
+        checkKeys(poll, 'config.weather.alerts.poll', ['disabled', 'interval', 'severity', 'urgency'])
+      }
+
       // Check alert filters
       if (alerts.filters === undefined) { // No filters
         console.log('INFO: No alert filters.')
@@ -636,7 +761,7 @@ if (!(config instanceof Object) || config instanceof Array) {
             }
           }
 
-          alertUrl = `https://api.weather.gov/alerts?${alertQueryParams.substr(1)}`
+          alertUrl = `${(alerts.baseURL || 'https://api.weather.gov').replace(/\/+$/, '')}/alerts?${alertQueryParams.substr(1)}`
           console.log(`INFO: Weather alert url is ${alertUrl}`)
         }
 
@@ -673,10 +798,80 @@ if (!(config instanceof Object) || config instanceof Array) {
       }
     }// End check alerts
 
-    // Check Open Weather Map
+    // Check the forecast provider
+    const provider = weather.provider || 'openWeatherMap'
+
+    if (weather.provider !== undefined && checkString(weather.provider, 'config.weather.provider') && !providers.getNames().includes(weather.provider)) {
+      console.log(`ERROR: config.weather.provider must be one of ${providers.getNames().join(', ')}`)
+    }
+
+    // Check failover
+    const failover = weather.failover
+    const failoverProviders = (failover instanceof Object && !failover.disabled && failover.providers instanceof Array) ? failover.providers : []
+
+    if (failover !== undefined && checkObject(failover, 'config.weather.failover') && !failover.disabled) {
+      if (failover.providers !== undefined && !(failover.providers instanceof Array)) {
+        console.log('ERROR: config.weather.failover.providers must be an array')
+      }
+
+      failoverProviders.forEach((name, i) => {
+        if (!providers.getNames().includes(name)) {
+          console.log(`ERROR: config.weather.failover.providers[${i}] must be one of ${providers.getNames().join(', ')}`)
+        } else if (name === provider) {
+          console.log(`WARNING: config.weather.failover.providers[${i}] is the same as config.weather.provider`)
+        }
+      })
+
+      if (failover.maxAgeHours !== undefined && (typeof failover.maxAgeHours !== 'number' || failover.maxAgeHours < 0)) {
+        console.log('ERROR: config.weather.failover.maxAgeHours must be a number of hours 0 or greater')
+      }
+
+      checkKeys(failover, 'config.weather.failover', ['disabled', 'maxAgeHours', 'providers'])
+    }// End check failover
+
+    // Check NWS. Coordinates are only needed for its forecasts.
+    const nws = weather.nws
+    const observations = weather.observations
+    const isNWSForecastNeeded = provider === 'nws' || failoverProviders.includes('nws')
+    const isObservationNeeded = observations instanceof Object && !observations.disabled
+
+    if (isNWSForecastNeeded || isObservationNeeded || nws !== undefined) {
+      const OWMlocation = (weather.openWeatherMap instanceof Object && weather.openWeatherMap.location instanceof Object) ? weather.openWeatherMap.location : {}
+
+      if (nws === undefined || checkObject(nws, 'config.weather.nws')) {
+        const nwsConfig = nws || {}
+
+        if (nwsConfig.lat !== undefined && checkNumber(nwsConfig.lat, 'config.weather.nws.lat') && !configFieldValidator.validateCoordinatesLat(nwsConfig.lat)) {
+          console.log('ERROR: config.weather.nws.lat must be between -90 and 90')
+        } else if (nwsConfig.lat === undefined && OWMlocation.lat === undefined && isNWSForecastNeeded) {
+          console.log('ERROR: config.weather.nws.lat is required when config.weather.openWeatherMap.location has no lat')
+        }
+
+        if (nwsConfig.lon !== undefined && checkNumber(nwsConfig.lon, 'config.weather.nws.lon') && !configFieldValidator.validateCoordinatesLong(nwsConfig.lon)) {
+          console.log('ERROR: config.weather.nws.lon must be between -180 and 180')
+        } else if (nwsConfig.lon === undefined && OWMlocation.lon === undefined && isNWSForecastNeeded) {
+          console.log('ERROR: config.weather.nws.lon is required when config.weather.openWeatherMap.location has no lon')
+        }
+
+        if (nwsConfig.baseURL !== undefined && checkString(nwsConfig.baseURL, 'config.weather.nws.baseURL') && !configFieldValidator.validateURL(nwsConfig.baseURL)) {
+          console.log('ERROR: config.weather.nws.baseURL must be an http or https url')
+        }
+
+        if (nwsConfig.app !== undefined && checkObject(nwsConfig.app, 'config.weather.nws.app')) {
+          checkKeys(nwsConfig.app, 'config.weather.nws.app', ['contact', 'name', 'version', 'website'])
+        } else if (nwsConfig.app === undefined && !(alerts instanceof Object && alerts.app instanceof Object)) {
+          console.log('ERROR: config.weather.nws.app is required when config.weather.alerts has no app. The NWS requires a User-Agent identifying the bot.')
+        }
+
+        checkKeys(nwsConfig, 'config.weather.nws', ['app', 'baseURL', 'lat', 'lon'])
+      }
+    }// End check NWS
+
+    // Check Open Weather Map. Only needed for its forecasts or nowcasts.
     const OWM = weather.openWeatherMap
+    const isOWMNeeded = provider === 'openWeatherMap' || failoverProviders.includes('openWeatherMap') || Boolean(weather.nowcast && !weather.nowcast.disabled)
 
-    if (checkObject(OWM, 'config.weather.openWeatherMap')) {
+    if ((OWM !== undefined || isOWMNeeded) && checkObject(OWM, 'config.weather.openWeatherMap')) {
       // Check get params for weather forecast
       const location = OWM.location
 
@@ -697,6 +892,10 @@ if (!(config instanceof Object) || config instanceof Array) {
         checkKeys(location, 'config.weather.openWeatherMap.location', ['q', 'id', 'lat', 'lon', 'zip'])
       }
 
+      if (OWM.baseURL !== undefined && checkString(OWM.baseURL, 'config.weather.openWeatherMap.baseURL') && !configFieldValidator.validateURL(OWM.baseURL)) {
+        console.log('ERROR: config.weather.openWeatherMap.baseURL must be an http or https url')
+      }
+
       // Check api key
       const apiKey = OWM.key
 
@@ -717,12 +916,12 @@ if (!(config instanceof Object) || config instanceof Array) {
           }
         }
 
-        const forecastDataUrl = `https://api.openweathermap.org/data/2.5/forecast?${OWMQueryParams.substr(1)}&units=metric&APPID=${OWM.key}`
+        const forecastDataUrl = `${(OWM.baseURL || 'https://api.openweathermap.org').replace(/\/+$/, '')}/data/2.5/forecast?${OWMQueryParams.substr(1)}&units=metric&APPID=${OWM.key}`
 
         console.log(`INFO: Forecast data URL is ${forecastDataUrl}`)
         console.log('INFO: Fetching forecast data from URL...')
 
-        const forecastPromise = promise.getJSONPromisePost(forecastDataUrl)
+        const forecastPromise = promise.getJSONPromiseGet(forecastDataUrl)
 
         forecastPromise.then((data) => {
           fs.writeFile('./forecastData.json', JSON.stringify(data), (error) => {
@@ -741,11 +940,258 @@ if (!(config instanceof Object) || config instanceof Array) {
         })
       }
 
-      checkKeys(OWM, 'config.weather.openWeatherMap', ['location', 'key'])
+      checkKeys(OWM, 'config.weather.openWeatherMap', ['baseURL', 'location', 'key'])
     }// End check openWeatherMap
 
-    checkKeys(weather, 'config.weather', ['alerts', 'openWeatherMap'])
+    // Check response cache
+    const cache = weather.cache
+
+    if (cache !== undefined && checkObject(cache, 'config.weather.cache') && !cache.disabled) {
+      if (cache.directory !== undefined && checkString(cache.directory, 'config.weather.cache.directory')) {
+        console.log(`INFO: Responses will be cached in ${path.resolve('../' + cache.directory)}`)
+      }
+
+      if (cache.ttl !== undefined && (isNaN(cache.ttl) || cache.ttl < 0)) {
+        console.log('ERROR: config.weather.cache.ttl must be a number of seconds 0 or greater')
+      }
+
+      if (cache.maxStaleHours !== undefined && (isNaN(cache.maxStaleHours) || cache.maxStaleHours < 0)) {
+        console.log('ERROR: config.weather.cache.maxStaleHours must be a number of hours 0 or greater')
+      }
+
+      checkKeys(cache, 'config.weather.cache', ['directory', 'disabled', 'maxStaleHours', 'ttl'])
+    }
+
+    // Check nowcasts
+    const nowcast = weather.nowcast
+
+    if (nowcast !== undefined && checkObject(nowcast, 'config.weather.nowcast') && !nowcast.disabled) {
+      const location = (OWM instanceof Object && OWM.location instanceof Object) ? OWM.location : {}
+
+      for (const field of ['lat', 'lon']) {
+        if (nowcast[field] !== undefined) {
+          checkNumber(nowcast[field], `config.weather.nowcast.${field}`)
+        } else if (location[field] === undefined) {
+          console.log(`ERROR: config.weather.nowcast.${field} is required when config.weather.openWeatherMap.location has no ${field}`)
+        }
+      }
+
+      if (nowcast.interval !== undefined && !(Number.isInteger(nowcast.interval) && nowcast.interval >= 1 && nowcast.interval <= 60)) {
+        console.log('ERROR: config.weather.nowcast.interval must be a whole number of minutes from 1 to 60')
+      }
+
+      if (nowcast.threshold !== undefined && (typeof nowcast.threshold !== 'number' || nowcast.threshold <= 0)) {
+        console.log('ERROR: config.weather.nowcast.threshold must be a rate in mm/h greater than 0')
+      }
+
+      if (nowcast.dailyCallLimit !== undefined && !(Number.isInteger(nowcast.dailyCallLimit) && nowcast.dailyCallLimit > 0)) {
+        console.log('ERROR: config.weather.nowcast.dailyCallLimit must be a whole number greater than 0')
+      } else if (weatherTools.getNowcastInterval(nowcast) !== (nowcast.interval || 10)) {
+        console.log(`WARNING: Nowcasts will be checked every ${weatherTools.getNowcastInterval(nowcast)} minutes to stay evenly spaced and under config.weather.nowcast.dailyCallLimit`)
+      }
+
+      checkKeys(nowcast, 'config.weather.nowcast', ['dailyCallLimit', 'disabled', 'interval', 'lat', 'lon', 'threshold'])
+    }
+
+    // Check observations
+    if (observations !== undefined && checkObject(observations, 'config.weather.observations') && !observations.disabled) {
+      const coordinates = (config.extra instanceof Object && config.extra.coordinates instanceof Object) ? config.extra.coordinates : {}
+      const nwsConfig = nws instanceof Object ? nws : {}
+
+      if (observations.station !== undefined) {
+        if (checkString(observations.station, 'config.weather.observations.station') && !/^[A-Z0-9]{3,5}$/.test(observations.station)) {
+          console.log('ERROR: config.weather.observations.station must be an NWS station id like "KCOU"')
+        }
+      } else if ((coordinates.lat === undefined || coordinates.long === undefined) && (nwsConfig.lat === undefined || nwsConfig.lon === undefined)) {
+        console.log('ERROR: config.weather.observations.station is required when config.extra.coordinates and config.weather.nws have no lat and lon')
+      }
+
+      checkKeys(observations, 'config.weather.observations', ['disabled', 'station'])
+    }
+
+    checkKeys(weather, 'config.weather', ['alerts', 'cache', 'failover', 'nowcast', 'nws', 'observations', 'openWeatherMap', 'provider'])
   }// End check weather
 
-  checkKeys(config, 'config', ['extra', 'log', 'twitter', 'weather'])
+  // Check dry run
+  const dryRun = config.dryRun
+
+  if (dryRun instanceof Object) {
+    if (dryRun.outbox !== undefined && checkString(dryRun.outbox, 'config.dryRun.outbox')) {
+      console.log(`INFO: Dry run enabled. Messages will be written to ${path.resolve('../' + dryRun.outbox)}`)
+    }
+
+    checkKeys(dryRun, 'config.dryRun', ['outbox'])
+  } else if (dryRun !== undefined && dryRun !== true && dryRun !== false) {
+    console.log('ERROR: config.dryRun must be a boolean or an object')
+  } else if (dryRun) {
+    console.log('INFO: Dry run enabled. Messages will be written to the log directory instead of being published.')
+  }// End check dry run
+
+  // Check stats file
+  if (config.statsFile !== undefined && checkString(config.statsFile, 'config.statsFile')) {
+    console.log(`INFO: Stats will be saved to ${path.resolve('../' + config.statsFile)}`)
+  }
+
+  // Check http options
+  const httpOptions = config.http
+
+  if (httpOptions !== undefined && checkObject(httpOptions, 'config.http')) {
+    ['timeout', 'maxRedirects', 'maxSize', 'retries', 'retryDelay'].forEach((option) => {
+      const value = httpOptions[option]
+
+      if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+        console.log(`ERROR: config.http.${option} must be a number 0 or greater`)
+      }
+    })
+
+    checkKeys(httpOptions, 'config.http', ['maxRedirects', 'maxSize', 'retries', 'retryDelay', 'timeout'])
+  }
+
+  // Check job retry options
+  const jobs = config.jobs
+
+  if (jobs !== undefined && checkObject(jobs, 'config.jobs')) {
+    Object.keys(jobs).forEach((name) => {
+      const job = jobs[name]
+      const jobPath = `config.jobs.${name}`
+
+      if (!checkObject(job, jobPath)) {
+        return
+      }
+
+      if (job.retries !== undefined && !(Number.isInteger(job.retries) && job.retries >= 0)) {
+        console.log(`ERROR: ${jobPath}.retries must be an integer 0 or greater`)
+      }
+
+      if (job.retryDelay !== undefined && (typeof job.retryDelay !== 'number' || job.retryDelay < 0)) {
+        console.log(`ERROR: ${jobPath}.retryDelay must be a number of seconds 0 or greater`)
+      }
+
+      if (job.cron !== undefined && checkString(job.cron, `${jobPath}.cron`) && !configFieldValidator.validateJobsCron(job.cron)) {
+        console.log(`ERROR: ${jobPath}.cron must be a cron expression like "0 */2 * * *"`)
+      }
+
+      const quietHours = job.quietHours
+
+      if (quietHours !== undefined && checkObject(quietHours, `${jobPath}.quietHours`)) {
+        ['start', 'end'].forEach((field) => {
+          if (checkString(quietHours[field], `${jobPath}.quietHours.${field}`) && !configFieldValidator.validateJobsQuietHoursTime(quietHours[field])) {
+            console.log(`ERROR: ${jobPath}.quietHours.${field} must be a 24 hour time like "05:00"`)
+          }
+        })
+
+        if (name === 'alerts' || name === 'alertPoll') {
+          console.log(`WARNING: ${jobPath}.quietHours holds back alerts during quiet hours`)
+        }
+
+        checkKeys(quietHours, `${jobPath}.quietHours`, ['end', 'start'])
+      }
+
+      if (['observation', 'outlook', 'today', 'tomorrow', 'update'].includes(name)) {
+        if (job.disabled !== undefined && typeof job.disabled !== 'boolean') {
+          console.log(`ERROR: ${jobPath}.disabled must be true or false`)
+        }
+
+        if (name === 'outlook') {
+          if (job.compact !== undefined && typeof job.compact !== 'boolean') {
+            console.log(`ERROR: ${jobPath}.compact must be true or false`)
+          }
+
+          checkKeys(job, jobPath, ['compact', 'cron', 'disabled', 'quietHours', 'retries', 'retryDelay'])
+        } else if (name === 'update') {
+          if (job.temperature !== undefined && job.temperature !== false && (typeof job.temperature !== 'number' || job.temperature <= 0)) {
+            console.log(`ERROR: ${jobPath}.temperature must be a number of °C greater than 0 or false`)
+          }
+
+          if (job.beaufort !== undefined && job.beaufort !== false && !(Number.isInteger(job.beaufort) && job.beaufort >= 1)) {
+            console.log(`ERROR: ${jobPath}.beaufort must be a whole number of beaufort levels 1 or greater or false`)
+          }
+
+          if (job.precipitation !== undefined && typeof job.precipitation !== 'boolean') {
+            console.log(`ERROR: ${jobPath}.precipitation must be true or false`)
+          }
+
+          checkKeys(job, jobPath, ['beaufort', 'cron', 'disabled', 'precipitation', 'quietHours', 'retries', 'retryDelay', 'temperature'])
+        } else {
+          checkKeys(job, jobPath, ['cron', 'disabled', 'quietHours', 'retries', 'retryDelay'])
+        }
+      } else {
+        checkKeys(job, jobPath, ['cron', 'quietHours', 'retries', 'retryDelay'])
+      }
+    })
+
+    checkKeys(jobs, 'config.jobs', ['alertPoll', 'alerts', 'forecast', 'nowcast', 'observation', 'outlook', 'retweet', 'today', 'tomorrow', 'update'])
+  }
+
+  // Check units
+  if (config.units !== undefined && checkString(config.units, 'config.units') && !configFieldValidator.validateUnits(config.units)) {
+    console.log('ERROR: config.units must be one of "metric", "imperial", or "dual"')
+  }
+
+  // Check language
+  if (config.language !== undefined && checkString(config.language, 'config.language') && !configFieldValidator.validateLanguage(config.language)) {
+    console.log(`ERROR: config.language must be one of ${Templates.getLanguages().map((language) => `"${language}"`).join(', ')}`)
+  }
+
+  // Check templates
+  if (config.templates !== undefined && checkObject(config.templates, 'config.templates')) {
+    Templates.validate(config.templates).forEach((error) => {
+      console.log(`ERROR: config.templates: ${error}`)
+    })
+  }
+
+  // Check time zone
+  if (config.timezone === undefined) {
+    console.log('INFO: Times will be posted in the time zone OpenWeatherMap gives for the forecast location.')
+  } else if (checkString(config.timezone, 'config.timezone') && !configFieldValidator.validateTimezone(config.timezone)) {
+    console.log('ERROR: config.timezone must be an IANA time zone like "America/Chicago"')
+  }
+
+  if (config.alertStoreFile !== undefined && checkString(config.alertStoreFile, 'config.alertStoreFile')) {
+    console.log(`INFO: Posted alerts will be saved to ${path.resolve('../' + config.alertStoreFile)}`)
+  }
+
+  checkKeys(config, 'config', ['alertStoreFile', 'dryRun', 'extra', 'http', 'jobs', 'language', 'log', 'name', 'publishers', 'statsFile', 'templates', 'timezone', 'twitter', 'units', 'weather'])
+}
+
+if (!(config instanceof Object) || config instanceof Array) {
+  throw new TypeError('Config file must contain a JSON object')
+} else if (config.locations === undefined) {
+  checkConfig(config)
+} else if (!(config.locations instanceof Array) || !config.locations.length) {
+  console.log('ERROR: config.locations must be an array of at least 1 location')
+} else {
+  // Check locations
+  const locationIds = []
+  let validLocations = true
+
+  config.locations.forEach((location, i) => {
+    const locationPath = `config.locations[${i}]`
+
+    if (!checkObject(location, locationPath) || !checkString(location.name, `${locationPath}.name`)) {
+      validLocations = false
+      return
+    }
+
+    const id = locations.getLocationId(location.name)
+
+    if (!id) {
+      console.log(`ERROR: ${locationPath}.name must contain a letter or number`)
+      validLocations = false
+    } else if (locationIds.includes(id)) {
+      console.log(`ERROR: ${locationPath}.name "${location.name}" is already used by another location`)
+      validLocations = false
+    }
+
+    locationIds.push(id)
+
+    checkKeys(location, locationPath, ['alertStoreFile', 'dryRun', 'extra', 'jobs', 'language', 'name', 'publishers', 'statsFile', 'templates', 'timezone', 'twitter', 'units', 'weather'])
+  })
+
+  if (validLocations) {
+    locations.getLocationConfigs(config).forEach((locationConfig) => {
+      console.log(`INFO: Checking location ${locationConfig.name}`)
+      checkConfig(locationConfig)
+    })
+  }
 }
@@ -0,0 +1,118 @@
+'use strict'
+
+/** @fileoverview Formats times in the forecast location's time zone instead of the host machine's.
+  *   Every time the bot prints goes through a DateFormatter so a bot running on a UTC server still posts local times. */
+module.exports = class DateFormatter {
+  //  @param  {string=}   timeZone An IANA time zone like "America/Chicago"
+  //  @param  {number=}   utcOffset Seconds east of UTC like OpenWeatherMap's city.timezone. Only used when timeZone is unset.
+  //    Times are formatted in the host machine's time zone when both are unset.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  //  @throws {RangeError} for an unknown time zone
+  constructor (timeZone, utcOffset) {
+    if (timeZone !== undefined && typeof timeZone !== 'string') {
+      throw new TypeError('Param timeZone must be a string')
+    }
+
+    if (utcOffset !== undefined && (typeof utcOffset !== 'number' || isNaN(utcOffset))) {
+      throw new TypeError('Param utcOffset must be a number')
+    }
+
+    const isOffset = !timeZone && utcOffset !== undefined
+
+    // Fixed offsets are applied by shifting the time and formatting it as UTC
+    this.shift = isOffset ? utcOffset * 1000 : 0
+    this.timeZone = timeZone
+    this.utcOffset = isOffset ? utcOffset : undefined
+    // Formats by BCP 47 language tag. Made when a language is first used.
+    this.dateTimeFormats = {}
+    // Checks the time zone
+    this.getDateTimeFormat()
+  }
+
+  // Gets the Intl formatter of a language
+  //  @param  {string=} languageTag A BCP 47 language tag like "es-US". "en-US" if unset.
+  //  @return {Intl.DateTimeFormat} A formatter for the weekday, month, day, hour, and minute in the time zone
+  getDateTimeFormat (languageTag) {
+    languageTag = languageTag || 'en-US'
+
+    if (!this.dateTimeFormats[languageTag]) {
+      this.dateTimeFormats[languageTag] = new Intl.DateTimeFormat(languageTag, {
+        timeZone: this.utcOffset !== undefined ? 'UTC' : this.timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        month: 'short',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      })
+    }
+
+    return this.dateTimeFormats[languageTag]
+  }
+
+  // Gets the fields of a time in the time zone
+  //  @param  {Date} date The time
+  //  @param  {string=} languageTag The language of the weekday and month names like "es-US". "en-US" if unset.
+  //  @return {object} An object containing the strings weekday like "Mon", month like "Jul", day like "05", hour like "15", and minute like "00"
+  getParts (date, languageTag) {
+    const parts = {}
+
+    this.getDateTimeFormat(languageTag).formatToParts(new Date(date.getTime() + this.shift)).forEach(({ type, value }) => {
+      parts[type] = value
+    })
+
+    return parts
+  }
+
+  // Gets the hour of a time in the time zone
+  //  @param  {Date} date The time
+  //  @return {number} The hour from 0 to 23
+  getHour (date) {
+    return parseInt(this.getParts(date).hour)
+  }
+
+  // Formats the hour of a time
+  //  @param  {Date} date The time
+  //  @return {string} The hour in the form "15"
+  formatHour (date) {
+    return this.getParts(date).hour
+  }
+
+  // Formats the hour and minute of a time
+  //  @param  {Date} date The time
+  //  @return {string} The time in the form "15:04"
+  formatTime (date) {
+    const { hour, minute } = this.getParts(date)
+
+    return `${hour}:${minute}`
+  }
+
+  // Formats the day of a time
+  //  @param  {Date} date The time
+  //  @param  {string=} languageTag The language of the day like "es-US". "en-US" if unset.
+  //  @return {string} The day in the order of the language like "Mon Jul 05" or "lun 05 jul"
+  formatDay (date, languageTag) {
+    return this.formatFields(date, languageTag, ['weekday', 'month', 'day'])
+  }
+
+  // Formats the month and day of a time
+  //  @param  {Date} date The time
+  //  @param  {string=} languageTag The language of the day like "es-US". "en-US" if unset.
+  //  @return {string} The day in the order of the language like "Jul 05" or "05 jul"
+  formatMonthDay (date, languageTag) {
+    return this.formatFields(date, languageTag, ['month', 'day'])
+  }
+
+  // Formats fields of a time separated by spaces
+  //  @param  {Date} date The time
+  //  @param  {string=} languageTag The language of the fields. "en-US" if unset.
+  //  @param  {string[]} fields The types of Intl.DateTimeFormat parts to include. They're printed in the order the language uses.
+  //  @return {string} The fields like "Mon Jul 05"
+  formatFields (date, languageTag, fields) {
+    return this.getDateTimeFormat(languageTag)
+      .formatToParts(new Date(date.getTime() + this.shift))
+      .filter(({ type }) => fields.includes(type))
+      .map(({ value }) => value)
+      .join(' ')
+  }
+}
@@ -1,13 +1,72 @@
 'use strict'
 
 const celestial = require('./celestial.js')
+const DateFormatter = require('./dateFormatter.js')
+const Templates = require('./templates.js')
+const UnitFormatter = require('./unitFormatter.js')
 const util = require('./util.js')
+const weatherTools = require('./weather.js')
+
+// Picks an extra type at random by its weight
+//  @param  {object[]} probabilities A list of objects containing {string} type and {number[]} range where range spans the type's weight
+//  @param  {string[]} exclude Types that can't be picked
+//  @return {string} The type. undefined if every type is excluded.
+function pickType (probabilities, exclude) {
+  const candidates = probabilities.filter(({ type }) => !exclude.includes(type))
+  let roll = Math.random() * candidates.reduce((total, { range }) => total + range[1] - range[0], 0)
+
+  const picked = candidates.find(({ range }) => {
+    roll -= range[1] - range[0]
+    return roll < 0
+  })
+
+  return (picked || candidates[candidates.length - 1] || {}).type
+}
+
+// The extra type of each extra stat
+const extraStatTypes = {
+  cloudiness: 'Cloud',
+  humidity: 'Humidity',
+  precipitation: 'Precipitation',
+  pressure: 'Pressure'
+}
+
+// Checks if rain or snow is expected
+//  @param  {object[]} forecastData Periods of a normalized forecast. See providers/index.js
+//  @return {boolean} true if any forecast has rain or snow otherwise false
+function hasPrecipitation (forecastData) {
+  return forecastData.some(({ rain, snow }) => rain || snow)
+}
+
+// Picks the stat to feature in an extra stat
+//  Precipitation when no rain or snow is expected and stats the provider doesn't give are swapped for a random stat every forecast has
+//  @param  {string}   stat The requested stat
+//  @param  {object[]} forecastData Periods of a normalized forecast. See providers/index.js
+//  @return {string}   The stat to feature
+//  @throws {RangeError} if the forecast has none of the stats
+function pickStat (stat, forecastData) {
+  const available = ['pressure', 'humidity', 'cloudiness'].filter((name) => forecastData.every((elem) => typeof elem[name] === 'number'))
+
+  if (stat === 'precipitation' ? hasPrecipitation(forecastData) : available.includes(stat)) {
+    return stat
+  }
+
+  if (!available.length) {
+    throw new RangeError(`The forecast has no ${stat} or other extra stats`)
+  }
+
+  return util.pickRandom(available)
+}
 
 /** @fileoverview A collection of functions for generating various statements about the weather */
 module.exports = class ExtraGenerator {
-  constructor (config, logger) {
+  //  @param  {object}    config The "extra" object from config.json
+  //  @param  {object}    logger A winston logger
+  //  @param  {Templates=} templates The wording of extra messages. The defaults in data/templates.json if unset.
+  constructor (config, logger, templates) {
     this.logger = logger
     this.coordinates = config.coordinates
+    this.templates = templates || new Templates()
 
     const probabilities = config.probabilities
 
@@ -26,66 +85,34 @@ module.exports = class ExtraGenerator {
 
       accTotal += chance
     }
-
-    this.totalProbability = accTotal
   }
 
   // Generates a statement about the current wind speed using the beaufort scale
   //  @param  {number} windSpeed The windSpeed in m/s
+  //  @param  {UnitFormatter=} unitFormatter Formats the wind speed. Metric if unset.
   //  @return {string} A statement about how the current wind speed scores on the beaufort scale
-  getBeaufort (windSpeed) {
-    const beaufort = {}
-
-    if (windSpeed < 0.5) {
-      beaufort['description'] = '"calm"'
-      beaufort['fact'] = 'Smoke rises vertically.'
-    } else if (windSpeed < 1.6) {
-      beaufort['description'] = '"light air"'
-      beaufort['fact'] = 'Wind direction is shown by smoke drift but not by wind vanes.'
-    } else if (windSpeed < 3.4) {
-      beaufort['description'] = 'a "light breeze"'
-      beaufort['fact'] = 'Wind is felt on the face and leaves rustle.'
-    } else if (windSpeed < 5.6) {
-      beaufort['description'] = 'a "gentle breeze"'
-      beaufort['fact'] = 'Leaves and small twigs are moved. Light flags are extended.'
-    } else if (windSpeed < 8) {
-      beaufort['description'] = 'a "moderate breeze"'
-      beaufort['fact'] = 'Dust and loose paper are raised. Small branches are moved.'
-    } else if (windSpeed < 10.8) {
-      beaufort['description'] = 'a "fresh breeze"'
-      beaufort['fact'] = 'Small trees are swayed. Crested wavelets form on inland waters.'
-    } else if (windSpeed < 13.9) {
-      beaufort['description'] = 'a "strong breeze"'
-      beaufort['fact'] = 'Large branches are moved. Umbrellas are used with difficulty.'
-    } else if (windSpeed < 17.2) {
-      beaufort['description'] = 'a "near gale"'
-      beaufort['fact'] = 'Whole trees are moved. There is resistance when walking against the wind.'
-    } else if (windSpeed < 20.8) {
-      beaufort['description'] = 'a "gale"'
-      beaufort['fact'] = 'Twigs are broken off trees. The wind impedes progress.'
-    } else if (windSpeed < 24.5) {
-      beaufort['description'] = 'a "strong gale"'
-      beaufort['fact'] = 'Slight structural damage is caused (chimney pots and slates removed).'
-    } else if (windSpeed < 28.5) {
-      beaufort['description'] = 'a storm'
-      beaufort['fact'] = 'Trees are uprooted. There is considerable structural damage.'
-    } else if (windSpeed < 32.7) {
-      beaufort['description'] = 'a "violent storm"'
-      beaufort['fact'] = 'A very rarely experienced event accompanied by widespread damage.'
-    } else {
-      beaufort['description'] = 'a "hurricane force"'
-      beaufort['fact'] = 'Causes devastation.'
-    }
+  getBeaufort (windSpeed, unitFormatter) {
+    const scale = weatherTools.getBeaufortScale(windSpeed)
+    const speed = (unitFormatter || new UnitFormatter()).formatSpeed(windSpeed, '')
+
+    return this.templates.render('beaufort', ({ locale }) => {
+      const { description, fact } = locale.get('beaufort')[scale]
 
-    return `A ${windSpeed}m/s wind is ${beaufort.description} on the beaufort scale. ${beaufort.fact}`
+      return { description, fact, speed }
+    })
   }
 
   // Gets a random extra message to append to each update.
-  //  @param  {object} parsedWeatherData The weather data Object recieved from OpenWeatherMap
+  //  @param  {object} parsedWeatherData A normalized forecast from a provider. See providers/index.js
+  //    The observation type is only picked when it has an observation from DataFetcher.getObservationPromise.
+  //  @param  {DateFormatter=} dateFormatter Formats times in the location's time zone. Uses the time zone the provider gives for the location if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats measurements in the configured unit system. Metric if unset.
+  //  @param  {function=} fits Checks if a statement is short enough to post. A type whose statement doesn't fit is swapped for another picked by weight. Every statement fits if unset.
   //  @return {object} An object containing
-  //            {string} statement A random extra statement to append to each update
-  //            {string} type The type of extra statement generated
-  getExtra (parsedWeatherData) {
+  //            {string} statement A random extra statement to append to each update. Empty if no type fits.
+  //            {string} type The type of extra statement generated. "none" if no type fits.
+  //  @throws {Error} if every type has a probability of 0
+  getExtra (parsedWeatherData, dateFormatter, unitFormatter, fits) {
     this.logger.info('Generating extra statement.')
 
     if (!(parsedWeatherData instanceof Object)) {
@@ -93,26 +120,48 @@ module.exports = class ExtraGenerator {
       throw new Error('Parameter parsedWeatherData must be an object')
     }
 
-    const compareValueToRange = (randomRoll, messageProbability) => {
-      if (randomRoll < messageProbability.range[0]) {
-        return -1
-      } else if (randomRoll <= messageProbability.range[1]) {
-        return 0
-      } else {
-        return 1
-      }
+    if (!this.probabilities.length) {
+      throw new Error('Every extra type has a probability of 0')
     }
 
-    const randomTypeIndex = util.binarySearchIndex(Math.random() * this.totalProbability, this.probabilities, compareValueToRange)
+    const { location } = parsedWeatherData
 
-    const extra = {
-      type: this.probabilities[randomTypeIndex].type
+    dateFormatter = dateFormatter || new DateFormatter(location && location.timeZone, location && location.utcOffset)
+
+    const tried = parsedWeatherData.observation ? [] : ['observation']
+    let type = pickType(this.probabilities, tried)
+
+    while (type) {
+      const extra = this.generateExtra(type, parsedWeatherData, dateFormatter, unitFormatter)
+
+      if (!fits || fits(extra.statement)) {
+        return extra
+      }
+
+      this.logger.info(`Extra statement of type ${extra.type} is too long. Picking another type.`)
+      tried.push(type)
+      type = pickType(this.probabilities, tried)
     }
 
+    return { statement: '', type: 'none' }
+  }
+
+  // Generates an extra message of a type
+  //  @param  {string} type The type of extra message from config.extra.probabilities
+  //  @param  {object} parsedWeatherData A normalized forecast from a provider. See providers/index.js
+  //  @param  {DateFormatter} dateFormatter Formats times in the location's time zone
+  //  @param  {UnitFormatter=} unitFormatter Formats measurements in the configured unit system. Metric if unset.
+  //  @return {object} An object containing
+  //            {string} statement The extra statement
+  //            {string} type The type of extra statement generated. Extra stats are named after the stat shown like "Cloud".
+  //  @throws {RangeError} for an unknown type or an extra stat when the forecast has none
+  generateExtra (type, parsedWeatherData, dateFormatter, unitFormatter) {
+    const extra = { type }
+
     switch (extra.type) {
       case 'joke':
         this.logger.info('Generating joke')
-        extra.statement = this.getJoke(parsedWeatherData.list[0])
+        extra.statement = this.getJoke(parsedWeatherData.periods[0])
         break
 
       case 'tutorial':
@@ -122,45 +171,42 @@ module.exports = class ExtraGenerator {
 
       case 'lunar':
         this.logger.info('Generating lunar')
-        extra.statement = celestial.getLunarPhase()
+        extra.statement = celestial.getLunarPhase(this.templates)
         break
       case 'sunrise':
         this.logger.info('Generating sunrise')
-        extra.statement = celestial.getDayNight(this.coordinates)
+        extra.statement = celestial.getDayNight(this.coordinates, undefined, dateFormatter, this.templates)
         break
       case 'season':
         this.logger.info('Generating season')
-        extra.statement = celestial.getSeasonProgress()
+        extra.statement = celestial.getSeasonProgress(undefined, this.templates)
         break
 
       case 'beaufort':
         this.logger.info('Generating beaufort')
-        extra.statement = this.getBeaufort(parsedWeatherData.list[0].wind.speed.toPrecision(2))
+        extra.statement = this.getBeaufort(parsedWeatherData.periods[0].wind.speed.toPrecision(2), unitFormatter)
+        break
+      case 'observation':
+        this.logger.info('Generating observation')
+        extra.statement = weatherTools.generateObservationMessage(parsedWeatherData.observation, dateFormatter, unitFormatter, this.templates)
         break
       case 'records':
         this.logger.info('Generating records')
-        extra.statement = this.getRecord(new Date())
+        extra.statement = this.getRecord(new Date(), dateFormatter, unitFormatter)
         break
       case 'cloudiness':
-        this.logger.info('Generating extra stat: cloudiness')
-        extra.statement = this.getExtraStat('cloudiness', parsedWeatherData.list.slice(0, 3))
-        extra.type = 'Cloud'
-        break
       case 'humidity':
-        this.logger.info('Generating extra stat: humidity')
-        extra.statement = this.getExtraStat('humidity', parsedWeatherData.list.slice(0, 3))
-        extra.type = 'Humidity'
-        break
       case 'precipitation':
-        this.logger.info('Generating extra stat: precipitation')
-        extra.statement = this.getExtraStat('precipitation', parsedWeatherData.list.slice(0, 3))
-        extra.type = extra.statement.match(/^Expected ([a-zA-Z]+)[: ]/)[1]
-        break
-      case 'pressure':
-        this.logger.info('Generating extra stat: pressure')
-        extra.statement = this.getExtraStat('pressure', parsedWeatherData.list.slice(0, 3))
-        extra.type = 'Pressure'
+      case 'pressure': {
+        this.logger.info(`Generating extra stat: ${extra.type}`)
+        // Another stat is featured when no rain or snow is expected or the provider doesn't give the stat
+        const forecastData = parsedWeatherData.periods.slice(0, 3)
+        const stat = pickStat(extra.type, forecastData)
+
+        extra.statement = this.getExtraStat(stat, forecastData, dateFormatter, unitFormatter)
+        extra.type = extraStatTypes[stat]
         break
+      }
       default:
         throw new RangeError(`Unknown extra message type ${extra.type}`)
     }
@@ -170,104 +216,101 @@ module.exports = class ExtraGenerator {
 
   // Gets an extended forecast for 3 extra stats not usually presesnt in the main forecast
   //  @param  {string} stat The name of the extra stat to feature.
-  //  @param  {object} forecastData An array of 3 objects containing weather data
-  //  @return {string} A forecast message displaying the given stat
-  getExtraStat (stat, forecastData) {
-    if (stat === 'precipitation') {
-      const precipitationStats = forecastData.map((elem) => {
-        return {
-          time: new Date(elem.dt * 1000).toTimeString().substr(0, 2),
-          rain: (elem.rain instanceof Object) ? elem.rain['3h'] : undefined,
-          snow: (elem.snow instanceof Object) ? elem.snow['3h'] : undefined
-        }
-      })
-
-      if (precipitationStats.reduce((acc, elem) => acc || elem.rain || elem.snow, 0)) { // check if any precipitation is present
-        let precipitation = 'Expected Precipitation:\n'
-
-        for (let i = 0; i < 3; i++) {
-          const pStat = precipitationStats[i]
-          const rain = (pStat.rain) ? pStat.rain.toFixed(2) : null
-          const snow = (pStat.snow) ? pStat.snow.toFixed(2) : null
-
-          if (rain || snow) {
-            precipitation += `${pStat.time}:00: `
-            precipitation += (rain) ? `${rain} mm/h rain` : ''
-            precipitation += (snow) ? `, ${snow} mm/h snow.` : '.'
-            precipitation += '\n'
-          }
-        }
-
-        return precipitation.substr(0, precipitation.length - 1)
-      } else {
-        stat = util.pickRandom(['pressure', 'humidity', 'cloudiness'])
-      }
+  //  @param  {object} forecastData An array of 3 periods of a normalized forecast. See providers/index.js
+  //  @param  {DateFormatter=} dateFormatter Formats times in the location's time zone. The host machine's time zone if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats pressure and precipitation. Metric if unset.
+  //  @return {string} A forecast message displaying the given stat. Another stat if the forecast doesn't have it.
+  //  @throws {RangeError} if the forecast has none of the stats
+  getExtraStat (stat, forecastData, dateFormatter, unitFormatter) {
+    dateFormatter = dateFormatter || new DateFormatter()
+    unitFormatter = unitFormatter || new UnitFormatter()
+
+    if (extraStatTypes[stat]) {
+      stat = pickStat(stat, forecastData)
     }
 
-    switch (stat) {
-      case 'pressure':
-        let pressure = 'Expected Pressure:\n'
+    let lines
 
-        forecastData.forEach((elem) => {
-          pressure += `${new Date(elem.dt * 1000).toTimeString().substr(0, 2)}:00: ${elem.main.grnd_level}hPa\n`
-        })
+    switch (stat) {
+      case 'precipitation':
+        lines = forecastData.map((elem) => {
+          const { rain, snow } = elem
+          const amounts = []
 
-        return pressure.substr(0, pressure.length - 1)
-      case 'humidity':
-        let humidity = 'Expected Humidity:\n'
+          if (rain) {
+            amounts.push(this.templates.render('precipitationRain', { rate: unitFormatter.formatPrecipitationRate(rain) }))
+          }
 
-        forecastData.forEach((elem) => {
-          humidity += `${new Date(elem.dt * 1000).toTimeString().substr(0, 2)}:00: ${elem.main.humidity}%\n`
-        })
+          if (snow) {
+            amounts.push(this.templates.render('precipitationSnow', { rate: unitFormatter.formatPrecipitationRate(snow) }))
+          }
 
-        return humidity.substr(0, humidity.length - 1)
+          return amounts.length ? this.templates.render('precipitationLine', { time: dateFormatter.formatHour(elem.time), amounts: amounts.join(', ') }) : null
+        }).filter((line) => line !== null)
+        break
+      case 'pressure':
+        lines = forecastData.map((elem) => this.templates.render('pressureLine', {
+          time: dateFormatter.formatHour(elem.time),
+          pressure: unitFormatter.formatPressure(elem.pressure)
+        }))
+        break
+      case 'humidity':
+        lines = forecastData.map((elem) => this.templates.render('humidityLine', {
+          time: dateFormatter.formatHour(elem.time),
+          humidity: elem.humidity
+        }))
+        break
       case 'cloudiness':
-        let cloudiness = 'Expected Cloud Coverage:\n'
-
-        forecastData.forEach((elem) => {
-          cloudiness += `${new Date(elem.dt * 1000).toTimeString().substr(0, 2)}:00: ${elem.clouds.all}%\n`
-        })
-
-        return cloudiness.substr(0, cloudiness.length - 1)
+        lines = forecastData.map((elem) => this.templates.render('cloudinessLine', {
+          time: dateFormatter.formatHour(elem.time),
+          cloudiness: elem.cloudiness
+        }))
+        break
       default:
         throw new Error(`Could not get extra stat "${stat}"`)
     }
+
+    return this.templates.render(stat, { lines: lines.join('\n') })
   }
 
   // Retrieves a joke from data/jokes.json
-  //  @param  {object} currentConditions The conditions for the near future
-  //  @return {String} A joke.
+  //  @param  {object} currentConditions The first period of a normalized forecast
+  //  @return {String} A joke. The same joke in each language.
   getJoke (currentConditions) {
     if (!(currentConditions instanceof Object)) {
       throw new TypeError('Param currentConditions must be an Object')
     }
 
-    const jokes = require('./data/jokes.json')
-    const jokePool = jokes.general
-
-    if ((currentConditions.main.temp_min + currentConditions.main.temp_max) / 2 >= 30) {
-      jokePool.concat(jokes.hot)
-    }
+    const isHot = (currentConditions.temp.min + currentConditions.temp.max) / 2 >= 30
+    const getJokePool = (jokes) => isHot ? jokes.general.concat(jokes.hot) : jokes.general
+    const index = Math.floor(Math.random() * getJokePool(require('./data/jokes.json')).length)
 
-    return util.pickRandom(jokePool)
+    return this.templates.translate(({ locale }) => getJokePool(locale.getCatalog('jokes'))[index])
   }
 
   // Generates a statement describing the highest temperature, the coldest temperature, or the most precipitation for a day.
   //  @param  {Date} The date to generate a record message for
+  //  @param  {DateFormatter=} dateFormatter Finds the day in the location's time zone. The host machine's time zone if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats the record. Metric if unset.
   //  @return {string} The message describing the record for the day
-  getRecord (date) {
+  getRecord (date, dateFormatter, unitFormatter) {
+    unitFormatter = unitFormatter || new UnitFormatter()
+
+    dateFormatter = dateFormatter || new DateFormatter()
+
     const records = require('./data/records.json')
-    const monthDay = date.toDateString().substr(4, 6)
-    const record = records[monthDay]
+    // Records are listed by the English name of the day
+    const record = records[dateFormatter.formatMonthDay(date)]
     const recordType = util.pickRandom(Object.keys(record))
+    const getDay = ({ locale }) => dateFormatter.formatMonthDay(date, locale.tag)
 
     switch (recordType) {
       case 'coldest':
-        return `The coldest temperature recorded on ${monthDay} is ${record.coldest}°C`
+        return this.templates.render('recordColdest', (language) => ({ day: getDay(language), temperature: unitFormatter.formatTemperature(record.coldest) }))
       case 'hottest':
-        return `The hottest temperature recorded on ${monthDay} is ${record.hottest}°C`
+        return this.templates.render('recordHottest', (language) => ({ day: getDay(language), temperature: unitFormatter.formatTemperature(record.hottest) }))
       case 'precipitation':
-        return `The most rain/snow recorded on ${monthDay} is ${record.precipitation}mm`
+        return this.templates.render('recordPrecipitation', (language) => ({ day: getDay(language), precipitation: unitFormatter.formatPrecipitation(record.precipitation) }))
       default:
         throw new Error(`Unrecognized record type: ${recordType}`)
     }
@@ -285,12 +328,15 @@ module.exports = class ExtraGenerator {
 
     switch (id) {
       case 0:
-        return 'The beaufort scale is a way of measuring wind speed based on observing things blown by the wind rather than using instruments.'
+        return this.templates.render('tutorialBeaufort')
       case 1:
-        return `The pressure displayed is at ground level. Columbia is ${this.coordinates.elevation}m above sea level.`
+        return this.templates.render('tutorialPressure', { elevation: this.coordinates.elevation })
       default: // Icon Definitions
-        const iconDefinition = iconDefinitions[id - 2]
-        return `${iconDefinition.icon} indicates ${iconDefinition.conditions.replace(',', ' or')}\nSee all the icon meanings at https://firelemons.github.io/COMOWeather/`
+        return this.templates.render('tutorialIcon', ({ locale }) => {
+          const iconDefinition = locale.getCatalog('iconDefinitions')[id - 2]
+
+          return { icon: iconDefinition.icon, conditions: iconDefinition.conditions.replace(',', ` ${locale.get('or')}`) }
+        })
     }
   }
 }
@@ -1,15 +1,23 @@
 'use strict'
 
-const config = require('./config.json')
+const AlertStore = require('./alertStore.js')
 const Extra = require('./extra.js')
 const fs = require('fs')
+const locations = require('./locations.js')
 const path = require('path')
+const promise = require('./promise.js')
+const PublisherGroup = require('./publishers/index.js')
 const schedule = require('node-schedule')
-const TwitterManager = require('./tweetWeather.js')
+const Templates = require('./templates.js')
+const WeatherBot = require('./weatherBot.js')
 const weatherTools = require('./weather.js')
 const winston = require('winston')
 const util = require('./util.js')
 
+// The config file is config.json unless another is given with --config PATH
+const configFlagIndex = process.argv.indexOf('--config')
+const config = require(configFlagIndex > -1 ? path.resolve(process.argv[configFlagIndex + 1]) : './config.json')
+
 /*
  * Set up logging
  */
@@ -68,6 +76,10 @@ if (!fs.existsSync(logDir)) {
   fs.mkdirSync(logDir)
 }
 
+// Dry runs print messages and write them to an outbox file instead of publishing them
+//  Enabled by running with --dry-run or by setting config.dryRun
+const isDryRun = process.argv.includes('--dry-run') || Boolean(config.dryRun)
+
 const MESSAGE = Symbol.for('message')
 const LEVEL = Symbol.for('level')
 
@@ -169,315 +181,85 @@ process.on('unhandledRejection', (reason, p) => {
   console.log(p)
 })
 
-// Init Weather Data Object
-const weatherFetcher = new weatherTools.DataFetcher(config.weather, logger)
+// Set request timeouts, size limits, and retries
+promise.configure(config.http || {})
 
-// Init extra statement generator
-const extraGenerator = new Extra(config.extra, logger)
-
-/*
- * Load stats
- */
+const locationConfigs = locations.getLocationConfigs(config)
 
-let _stats
-// Saves the stats object to a file
-const saveStats = () => {
-  fs.writeFile('./data/stats.json', JSON.stringify(_stats), (error) => {
-    if (error) {
-      logger.error(error)
-    }
-  })
+if (isDryRun) {
+  logger.info('Retweets are disabled during dry runs')
 }
 
-if (!fs.existsSync('./data/stats.json')) {
-  _stats = {
-    lastAlertUpdate: new Date(),
-    lastUpdate: new Date()
-  }
-
-  saveStats()
-} else {
-  _stats = require('./data/stats.json')
-  _stats.lastAlertUpdate = new Date(_stats.lastAlertUpdate)
-  _stats.lastUpdate = new Date(_stats.lastUpdate)
-}
-
-const stats = util.getWatchedObject(_stats, saveStats)
-
-// Init Twitter Data Object
-const twitter = new TwitterManager(config.twitter, logger, stats)
-
-/*
- *  Schedule forecasts to go out every 2 hours.
- */
-
-// Fetch forecast data and tweet it
-//  @param  {boolean} isLate true if the last scheduled forecast was missed otherwise false
-//  @return {Promise} A promise representing the complete action of fetching and tweeting the weather
-function tweetWeather (isLate) {
-  return new Promise((resolve, reject) => {
-    weatherFetcher.getForecastPromise().then((forecastData) => {
-      let message = weatherTools.generateForecastMessage(forecastData)
+// Loads a location's stats from its stats file. Stats are kept in memory only during dry runs.
+//  @param  {string} statsFile The path to the stats file
+//  @param  {object} logger A winston logger
+//  @return {object} The stats object. Changes to it are saved to the stats file.
+function loadStats (statsFile, logger) {
+  let _stats
+
+  // Saves the stats object to a file
+  const saveStats = () => {
+    if (isDryRun) {
+      return
+    }
 
-      if (message) {
-        // extra statement
-        let extra
-
-        if (config.extra && !config.extra.disabled) {
-          if (isLate === true) {
-           extra = {
-             statement: util.pickRandom(require('./data/jokes.json').late),
-             type: 'late'
-           }
-          } else {
-            extra = extraGenerator.getExtra(forecastData)
-          }
-
-          message += extra.statement
-
-          logger.info(`Generated: ${JSON.stringify(extra)}`)
-
-          twitter.sendTweet(message)
-            .then((tweet) => {
-              stats.lastUpdate = new Date()
-
-              if (!stats[extra.type]) {
-                stats[extra.type] = 0
-              }
-
-              stats[extra.type] += 1
-              resolve()
-            }).catch((error) => {
-              logger.error('Failed to send forecast update')
-              reject(error)
-            })
-        } else {
-          twitter.sendTweet(message)
-            .then((tweet) => {
-              stats.lastUpdate = new Date()
-              resolve()
-            }).catch((error) => {
-              logger.error('Failed to send forecast update')
-              reject(error)
-            })
-        }
-      } else {
-        reject(new Error('Failed to generate status message.'))
+    fs.writeFile(statsFile, JSON.stringify(_stats), (error) => {
+      if (error) {
+        logger.error(error)
       }
-    }) // end weatherFetcher.getForecastPromise().then((forecastData) => {
-      .catch((error) => {
-        logger.error('Failed to fetch forecast data')
-        reject(error)
-      })
-  }) // end return new Promise((resolve, reject) => {
-}
-
-let tweetingWeatherCall = false
-let retryTimeout = -131072
-const maxRetryCount = 3
-const retryDelayDelta = 131072
-
-// Wait a while before attempting tweetWeather again
-//  @param  {Object}  error Data representing why tweetWeather failed
-//  @return {Promise} A promise lasting the length of the timeout
-const retry = (error) => {
-  return new Promise(function (resolve, reject) {
-    logger.warn(error)
-    logger.info(`Retrying tweeting weather in ${retryTimeout}ms. Retry ${(retryTimeout / 131072) + 1} of 3`)
-
-    setTimeout(reject.bind(null, error), retryTimeout)
-
-    retryTimeout += retryDelayDelta
-  })
-}
-
-// Print an error after all retry attempts have been exhausted
-//  @param  {Object}  error Data representing why tweetWeather failed
-const retriesExhausted = (error) => {
-  logger.error(error)
-
-  const failureMessage = util.pickRandom(require('./data/jokes.json').error)
-
-  twitter.sendTweet(failureMessage)
-    .catch((error) => {
-      logger.error('Failed to send failure tweet for forecast')
-      logger.error(error)
     })
-}
-
-// Detect if computer fell asleep
-if (new Date() - stats.lastUpdate > 7620000) { // 7620000ms = 2 hours 7 minutes
-  logger.warn(new Error('Missed scheduled twitter update. Presumably by waking from sleep.'))
-
-  let promiseChain = Promise.reject()
-
-  for (let i = -1; i < maxRetryCount; i++) {
-    promiseChain = promiseChain
-      .catch(() => {
-        return tweetWeather(true)
-      })
-      .catch(retry)
   }
 
-  promiseChain.catch(retriesExhausted)
-}
-
-schedule.scheduleJob('0 */2 * * *', function () {
-  if (!tweetingWeatherCall) {
-    tweetingWeatherCall = true
-
-    retryTimeout = 0
-
-    let promiseChain = Promise.reject()
-
-    for (let i = -1; i < maxRetryCount; i++) {
-      promiseChain = promiseChain
-        .catch(tweetWeather)
-        .catch(retry)
+  if (!fs.existsSync(statsFile)) {
+    _stats = {
+      lastAlertUpdate: new Date(),
+      lastUpdate: new Date()
     }
 
-    promiseChain
-      .catch(retriesExhausted)
-      .finally(() => {
-        tweetingWeatherCall = false
-      })
+    saveStats()
+  } else {
+    _stats = JSON.parse(fs.readFileSync(statsFile))
+    _stats.lastAlertUpdate = new Date(_stats.lastAlertUpdate)
+    _stats.lastUpdate = new Date(_stats.lastUpdate)
   }
-})
 
-if (typeof config.twitter.localStationHandle === 'string') {
-  schedule.scheduleJob('30 */1 * * *', function () {
-    twitter.retweetLocalStationTweets()
-  })
+  return util.getWatchedObject(_stats, saveStats)
 }
 
 /*
- *  Set up alerts if enabled.
+ *  Schedule forecasts, retweets, and alerts for every location
  */
 
-if (config.weather.alerts && !config.weather.alerts.disabled) {
-  let retryAlertTimeout = 0
-
-  // Fetch forecast data and tweet it
-  //  @return {Promise} A promise representing the complete action of fetching and tweeting the alerts
-  function tweetAlerts () {
-    return new Promise((resolve, reject) => {
-      logger.info('Fetching alerts.')
-
-      weatherFetcher.getWeatherAlertsPromise().then((alertData) => {
-        const alerts = weatherFetcher.filterAlerts(alertData.features)
-
-        if (!alerts.length) {
-          logger.info('No relevant alerts found')
-          stats.lastAlertUpdate = new Date()
-        }
-
-        alerts.forEach((alertData) => {
-          const alertMessage = weatherTools.getAlertMessage(alertData)
-
-          if (alertMessage) {
-            twitter.sendTweet(alertMessage)
-              .then((tweet) => {
-                stats.lastAlertUpdate = new Date()
-                resolve()
-              })
-              .catch((error) => {
-                logger.error('Failed to send weather alert tweet')
-
-                if (error instanceof Array && error[0].code) {
-                  let retry = true
-
-                  error.forEach((error) => {
-                    const { code } = error
-
-                    switch (code) {
-                      case 64:// API account suspended
-                      case 88:// Rate limit exceeded
-                      case 185:// Status update limit reached
-                      case 187:// Duplicate status
-                      case 226:// Tweet blocked by malicious tweet filter
-                      case 251:// Endpoint deprecated
-                      case 326:// Account locked(Manually login to unlock)
-                        retry = false
-                        logger.error(error)
-                        break
-                      default:
-                        // Do nothing (Non fatal errors)
-                    }
-                  })
-
-                  if (retry) {
-                    reject(error)
-                  }
-                } else {
-                  reject(error)
-                }
-              })
-          } else if (!alertMessage) {
-            logger.error(new Error('Failure in generating alert message'))
-            logger.error(alertData)
-          }
-        }) // end alerts.forEach((alertData) => {
-
-        resolve()
-      }) // end weatherFetcher.getWeatherAlertsPromise().then((alertData) => {
-        .catch((error) => {
-          logger.error('Failed to fetch weather alert data')
-          reject(error)
-        })
-    })
-  }
+locationConfigs.forEach((locationConfig) => {
+  const { name } = locationConfig
+  // Log entries are labeled with the location when there are several
+  const locationLogger = name ? logger.child({ location: name }) : logger
+  const defaultOutbox = name ? `outbox-${locations.getLocationId(name)}.jsonl` : 'outbox.jsonl'
+  const outbox = isDryRun ? ((locationConfig.dryRun && locationConfig.dryRun.outbox) || path.join(logDir, defaultOutbox)) : undefined
 
-  // Wait a while before attempting tweetWeather again
-  //  @param  {Object}  error Data representing why tweetWeather failed
-  //  @return {Promise} A promise lasting the length of the timeout
-  const retryAlert = (error) => {
-    return new Promise(function (resolve, reject) {
-      logger.warn(error)
-      logger.info(`Retrying tweeting weather alerts in ${retryAlertTimeout}ms. Retry ${(retryTimeout / 131072) + 1} of 3`)
+  const stats = loadStats(locationConfig.statsFile || './data/stats.json', locationLogger)
 
-      setTimeout(reject.bind(null, error), retryTimeout)
+  // Posted alerts are only remembered in memory during dry runs
+  const alertStore = new AlertStore(isDryRun ? undefined : (locationConfig.alertStoreFile || './data/alerts.json'), locationLogger)
 
-      retryTimeout += retryDelayDelta
-    })
-  }
-
-  // Print an error after all retry attempts have been exhausted
-  //  @param  {Object}  error Data representing why tweetWeather failed
-  const retriesAlertExhausted = (error) => {
-    logger.error(error)
-
-    twitter.sendTweet('Failed to fetch weather alert data. There could be a weather alert currently.')
-      .catch((error) => {
-        logger.error('Failed to send weather alert failure message')
-        logger.error(error)
-      })
-  }
-
-  if (new Date() - stats.lastAlertUpdate > 22020000) { // 22020000ms = 6 hours 7 minutes
-    let promiseChain = Promise.reject()
-
-    for (let i = -1; i < maxRetryCount; i++) {
-      promiseChain = promiseChain
-        .catch(tweetAlerts)
-        .catch(retryAlert)
-    }
+  const publisher = new PublisherGroup(PublisherGroup.getPublisherConfig(locationConfig), locationLogger, stats, { outbox })
 
-    promiseChain.catch(retriesAlertExhausted)
+  if (isDryRun) {
+    locationLogger.warn(`Dry run. Messages will be written to ${path.resolve(outbox)} instead of being published.`)
   }
 
-  schedule.scheduleJob('0 */6 * * *', function () {
-    retryAlertTimeout = 0
-
-    let promiseChain = Promise.reject()
-
-    for (let i = -1; i < maxRetryCount; i++) {
-      promiseChain = promiseChain
-        .catch(tweetAlerts)
-        .catch(retry)
-    }
+  const templates = new Templates(locationConfig.templates, locationConfig.language)
 
-    promiseChain.catch(retriesAlertExhausted)
+  const bot = new WeatherBot(locationConfig, locationLogger, stats, {
+    alertStore: alertStore,
+    extraGenerator: new Extra(locationConfig.extra, locationLogger, templates),
+    publisher: publisher,
+    retweeter: isDryRun ? undefined : publisher.getPublisher('twitter'),
+    templates: templates,
+    weatherFetcher: new weatherTools.DataFetcher(locationConfig.weather, locationLogger, locationConfig.extra && locationConfig.extra.coordinates)
   })
-}
 
-logger.info('Bot process started.')
+  bot.start(schedule)
+})
+
+logger.info(`Bot process started for ${locationConfigs.length} location${locationConfigs.length === 1 ? '' : 's'}.`)
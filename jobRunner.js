@@ -0,0 +1,159 @@
+'use strict'
+
+const promise = require('./promise.js')
+
+/** @fileoverview Runs the bot's jobs retrying failures with exponential backoff.
+  *   Permanent errors like a suspended account aren't retried. Every run ends with a logged outcome. */
+
+// Twitter error codes that won't go away by trying again soon
+// See https://developer.twitter.com/en/docs/basics/response-codes
+const permanentTwitterCodes = [
+  64, // API account suspended
+  88, // Rate limit exceeded
+  185, // Status update limit reached
+  187, // Duplicate status
+  226, // Tweet blocked by malicious tweet filter
+  251, // Endpoint deprecated
+  326, // Account locked(Manually login to unlock)
+  327 // Already retweeted
+]
+
+module.exports = class JobRunner {
+  //  @param  {object}    logger A winston logger
+  //  @param  {object=}   options An object containing
+  //    {function=} setTimeout Used to wait between attempts. Node's setTimeout if unset.
+  //    {function=} onRetry Called with an object containing job, attempt, delay, and error before waiting to retry
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (logger, options) {
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    options = options || {}
+
+    this.logger = logger
+    this.onRetry = options.onRetry || (() => {})
+    this.running = {}
+    this.setTimeout = options.setTimeout || setTimeout
+  }
+
+  // Checks if an error will happen again no matter how many times a job is retried
+  //  @param  {any} error Why a job failed. Twitter errors are arrays of objects with codes.
+  //  @return {boolean} true for twitter errors in the permanent list and http errors other than timeouts and rate limits otherwise false
+  static isPermanentError (error) {
+    if (error instanceof Array) {
+      return error.some((twitterError) => twitterError && permanentTwitterCodes.indexOf(twitterError.code) > -1)
+    }
+
+    if (error instanceof Object && error.statusCode) {
+      return !promise.isTransientError(error) && error.statusCode !== 408
+    }
+
+    return false
+  }
+
+  // Gets how long to wait before retrying. Waits double after each attempt with up to half of the wait being random.
+  //  @param  {number} attempt The number of the attempt that failed starting from 1
+  //  @param  {number} baseDelay The wait in ms after the first attempt before jitter
+  //  @param  {number} maxDelay The longest wait in ms
+  //  @return {number} The wait in ms
+  static getBackoffDelay (attempt, baseDelay, maxDelay) {
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1))
+
+    return Math.round((delay / 2) + (Math.random() * delay / 2))
+  }
+
+  // Runs a job retrying transient failures
+  //  @param  {object} job An object containing
+  //    {string} name The name of the job used in logs
+  //    {function} run Does the job. Returns a promise.
+  //    {number=} retries The most times the job is retried. 0 if unset.
+  //    {number=} baseDelay The wait in ms before the first retry. 60000 if unset.
+  //    {number=} maxDelay The longest wait in ms between retries. 900000 if unset.
+  //    {string=} lock Jobs with the same lock don't run at the same time. The job's name if unset.
+  //    {boolean=} waitForLock true to wait for a running job with the same lock to finish. Otherwise the job is skipped.
+  //    {function=} onGiveUp Called with the last error after every retry fails. Returns a promise.
+  //  @return {Promise} A promise that resolves to an object containing
+  //    {string} job The name of the job
+  //    {string} status One of "succeeded", "skipped", "failed permanently", or "gave up"
+  //    {number} attempts The number of times the job was run
+  //    {number} duration The ms from the first attempt to the outcome
+  //    {any=} error The last error if the job didn't succeed
+  run (job) {
+    const lock = job.lock || job.name
+    const runningJob = this.running[lock]
+
+    if (runningJob && !job.waitForLock) {
+      return Promise.resolve(this.logOutcome({ job: job.name, status: 'skipped', attempts: 0, duration: 0 }))
+    }
+
+    const jobPromise = (runningJob || Promise.resolve())
+      .then(() => this.attempt(job, 1, Date.now()))
+      .finally(() => {
+        if (this.running[lock] === jobPromise) {
+          delete this.running[lock]
+        }
+      })
+
+    this.running[lock] = jobPromise
+
+    return jobPromise
+  }
+
+  // Runs a job once and schedules a retry if it fails from a transient error
+  //  @param  {object} job The job from run
+  //  @param  {number} attempt The number of this attempt starting from 1
+  //  @param  {number} start When the first attempt started in ms
+  //  @return {Promise} A promise that resolves to the outcome. See run.
+  attempt (job, attempt, start) {
+    const retries = job.retries || 0
+
+    return Promise.resolve()
+      .then(() => job.run())
+      .then(() => {
+        return this.logOutcome({ job: job.name, status: 'succeeded', attempts: attempt, duration: Date.now() - start })
+      }, (error) => {
+        const outcome = { job: job.name, attempts: attempt, duration: Date.now() - start, error: error }
+
+        if (JobRunner.isPermanentError(error)) {
+          outcome.status = 'failed permanently'
+          return this.logOutcome(outcome)
+        }
+
+        if (attempt > retries) {
+          outcome.status = 'gave up'
+
+          return Promise.resolve(job.onGiveUp && job.onGiveUp(error))
+            .catch((giveUpError) => this.logger.error(giveUpError))
+            .then(() => this.logOutcome(outcome))
+        }
+
+        const delay = JobRunner.getBackoffDelay(attempt, job.baseDelay === undefined ? 60000 : job.baseDelay, job.maxDelay || 900000)
+
+        this.logger.warn(error)
+        this.logger.info(`Retrying ${job.name} in ${delay}ms. Retry ${attempt} of ${retries}`)
+        this.onRetry({ job: job.name, attempt: attempt, delay: delay, error: error })
+
+        return new Promise((resolve) => this.setTimeout(resolve, delay))
+          .then(() => this.attempt(job, attempt + 1, start))
+      })
+  }
+
+  // Logs the outcome of a job. Successes and skips are info. Failures are errors.
+  //  @param  {object} outcome The outcome from run
+  //  @return {object} outcome
+  logOutcome (outcome) {
+    const { error, ...entry } = outcome
+
+    entry.message = `Job ${outcome.job} ${outcome.status}`
+
+    if (error !== undefined) {
+      entry.error = error instanceof Error ? error.message : error
+      this.logger.error(entry)
+    } else {
+      this.logger.info(entry)
+    }
+
+    return outcome
+  }
+}
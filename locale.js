@@ -0,0 +1,85 @@
+'use strict'
+
+const _ = require('lodash')
+
+/** @fileoverview Looks up the words the bot posts in a language.
+  *   English catalogs are the json files in data/. Other languages are in data/locales/<language>/ in the same form and are merged over English,
+  *   so anything left untranslated like an uncommon alert definition is posted in English. */
+
+// Languages with a catalog in data/locales/ besides English
+const translatedLanguages = ['es']
+
+// Catalogs by the name of their file in data/
+const catalogNames = ['alertDefinitions', 'iconDefinitions', 'jokes', 'messages', 'statusCodeMap', 'templates']
+
+// Merged catalogs by language then name. Catalogs never change while the bot runs.
+const catalogCache = {}
+
+module.exports = class Locale {
+  //  @param  {string=}   language A language code like "es". English if unset.
+  //  @throws {RangeError} for a language without a catalog
+  constructor (language) {
+    language = language || 'en'
+
+    if (!Locale.getLanguages().includes(language)) {
+      throw new RangeError(`Unknown language ${language}`)
+    }
+
+    this.language = language
+    // The BCP 47 tag used to format dates and pick plural forms like "en-US"
+    this.tag = this.get('languageTag')
+    this.pluralRules = new Intl.PluralRules(this.tag)
+  }
+
+  // Lists the languages the bot can post in
+  //  @return {string[]} The language codes
+  static getLanguages () {
+    return ['en'].concat(translatedLanguages)
+  }
+
+  // Gets a catalog in the language
+  //  @param  {string} name The name of a catalog like "jokes"
+  //  @return {object} The catalog. Entries missing from the language are in English. Lists are replaced instead of merged.
+  //  @throws {RangeError} for an unknown catalog
+  getCatalog (name) {
+    if (!catalogNames.includes(name)) {
+      throw new RangeError(`Unknown catalog ${name}`)
+    }
+
+    const cache = catalogCache[this.language] = catalogCache[this.language] || {}
+
+    if (!cache[name]) {
+      const english = require(`./data/${name}.json`)
+
+      cache[name] = this.language === 'en'
+        ? english
+        : _.mergeWith({}, english, require(`./data/locales/${this.language}/${name}.json`), (englishValue, value) => {
+          return value instanceof Array ? value : undefined
+        })
+    }
+
+    return cache[name]
+  }
+
+  // Gets a message from data/messages.json in the language
+  //  @param  {string} path The path to the message like "lunarPhases.fullMoon"
+  //  @return {any} The message. undefined if the path doesn't exist.
+  get (path) {
+    return _.get(this.getCatalog('messages'), path)
+  }
+
+  // Gets a count of something with the plural form the language uses for it
+  //  @param  {string} name The name of the unit in messages.plurals like "days"
+  //  @param  {number} count The number of units
+  //  @return {string} The count with its unit like "1 day" or "3 days"
+  //  @throws {RangeError} for an unknown unit
+  plural (name, count) {
+    const forms = this.get(['plurals', name])
+
+    if (!forms) {
+      throw new RangeError(`Unknown plural ${name}`)
+    }
+
+    return (forms[this.pluralRules.select(count)] || forms.other).replace('{count}', count)
+  }
+}
@@ -0,0 +1,48 @@
+'use strict'
+
+const _ = require('lodash')
+
+/** @fileoverview Splits config.json into one config per location.
+  *   Each entry of config.locations is merged over the rest of config.json so settings like api keys are only written once. */
+
+// Settings that say where a location posts. A location with either replaces both.
+const publisherKeys = ['publishers', 'twitter']
+
+module.exports = {
+  // Gets a name for a location that can be used in file names
+  //  @param  {string} name The name of the location like "Columbia, MO"
+  //  @return {string} The name in lower case with runs of other characters replaced by dashes like "columbia-mo"
+  getLocationId (name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+  },
+
+  // Gets the config of every location
+  //  @param  {object} config The contents of config.json
+  //  @return {object[]} A list of configs in the form of config.json without locations.
+  //    Without config.locations the list only contains config.
+  //    Otherwise each config has the location's name and its own statsFile and alertStoreFile unless they're set for the location.
+  getLocationConfigs (config) {
+    if (!(config.locations instanceof Array)) {
+      return [config]
+    }
+
+    return config.locations.map((location) => {
+      const id = module.exports.getLocationId(location.name)
+      let shared = _.omit(config, 'locations')
+
+      if (publisherKeys.some((key) => location[key] !== undefined)) {
+        shared = _.omit(shared, publisherKeys)
+      }
+
+      // Lists like alert filters and publishers are replaced instead of merged
+      const locationConfig = _.mergeWith({}, shared, location, (sharedValue, locationValue) => {
+        return locationValue instanceof Array ? locationValue : undefined
+      })
+
+      locationConfig.statsFile = location.statsFile || `./data/stats-${id}.json`
+      locationConfig.alertStoreFile = location.alertStoreFile || `./data/alerts-${id}.json`
+
+      return locationConfig
+    })
+  }
+}
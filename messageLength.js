@@ -0,0 +1,76 @@
+'use strict'
+
+/** @fileoverview Measures messages the way publishers count them toward their character limits.
+  *   Twitter weighs characters. See https://developer.twitter.com/en/docs/counting-characters */
+
+// Links are shortened so every url counts as this many characters
+const URL_LENGTH = 23
+
+// Matches urls
+const urlPattern = /https?:\/\/\S+/g
+
+// Ranges of code points Twitter counts as 1 character. Every other code point counts as 2.
+const tweetLightRanges = [[0x0000, 0x10FF], [0x2000, 0x200D], [0x2010, 0x201F], [0x2032, 0x2037]]
+
+// Matches characters that start an emoji
+const emojiPattern = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u
+
+// Splits text into what readers see as single characters
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' })
+
+// Counts urls as URL_LENGTH and measures the rest of the text
+//  @param  {string} text The text to measure
+//  @param  {function} measure Measures text without urls
+//  @return {number} The length of text
+function measureWithUrls (text, measure) {
+  const urls = text.match(urlPattern) || []
+
+  return urls.length * URL_LENGTH + measure(text.replace(urlPattern, ''))
+}
+
+module.exports = {
+  // Measures a message like a type of publisher
+  //  @param  {string} message The message
+  //  @param  {string=} type The type of publisher like "twitter" or "mastodon". The number of UTF-16 code units for other types.
+  //  @return {number} The length of the message
+  getLength (message, type) {
+    switch (type) {
+      case 'twitter':
+        return module.exports.getTweetLength(message)
+      case 'mastodon':
+        return module.exports.getStatusLength(message)
+      default:
+        return message.length
+    }
+  },
+
+  // Measures a tweet. Urls count as 23, emoji including sequences like 👨‍👩‍👧 count as 2, and characters from most non latin scripts count as 2.
+  //  @param  {string} text The text of the tweet
+  //  @return {number} The weighted length of the tweet
+  getTweetLength (text) {
+    return measureWithUrls(text.normalize('NFC'), (rest) => {
+      let length = 0
+
+      for (const { segment } of graphemeSegmenter.segment(rest)) {
+        if (emojiPattern.test(segment)) {
+          length += 2
+        } else {
+          for (const character of segment) {
+            const codePoint = character.codePointAt(0)
+
+            length += tweetLightRanges.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : 2
+          }
+        }
+      }
+
+      return length
+    })
+  },
+
+  // Measures a Mastodon status. Urls count as 23 and every other code point counts as 1.
+  //  @param  {string} text The text of the status
+  //  @return {number} The length of the status
+  getStatusLength (text) {
+    return measureWithUrls(text, (rest) => [...rest].length)
+  }
+}
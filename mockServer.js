@@ -0,0 +1,316 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const querystring = require('querystring')
+
+/** @fileoverview A local stand in for the OpenWeatherMap, api.weather.gov, and Twitter endpoints the bot uses.
+  *   Serves the recorded responses in test/ and can be switched into failure modes per route.
+  *
+  *   Routes:
+  *     forecast  /data/2.5/forecast
+  *     oneCall   /data/3.0/onecall
+  *     alerts    /alerts. Responds with 304 Not Modified to conditional requests if the alerts haven't changed.
+  *     twitter   /1.1/statuses/update.json, /1.1/statuses/user_timeline.json, /1.1/statuses/retweet/ID.json
+  *
+  *   Modes:
+  *     ok           Responds with the recorded response
+  *     error        Responds with status code 500
+  *     contentType  Responds with html instead of json
+  *     slow         Waits options.delay ms before responding with the recorded response
+  *     malformed    Responds with json cut off partway through
+  *
+  *   Controls:
+  *     GET  /mock/requests  Lists every request received
+  *     GET  /mock/posts     Lists every tweet and retweet received
+  *     PUT  /mock/modes     Sets the modes of routes. The body is json in the form { "forecast": "error" }
+  *     POST /mock/reset     Clears requests and posts and sets every route to "ok"
+  *
+  *   Usage: node mockServer.js [--port 8080] [--delay 5000] */
+
+const modes = ['ok', 'error', 'contentType', 'slow', 'malformed']
+const routes = ['forecast', 'oneCall', 'alerts', 'twitter']
+
+const defaultFixtures = {
+  alerts: path.join(__dirname, 'test', 'exampleAlerts4.json'),
+  forecast: path.join(__dirname, 'test', 'sampleData2.json'),
+  oneCall: path.join(__dirname, 'test', 'sampleOneCall.json'),
+  timeline: path.join(__dirname, 'test', 'sampleTweets.json')
+}
+
+// Sends a json response
+//  @param  {http.ServerResponse} res The response to send
+//  @param  {number} statusCode The status code of the response
+//  @param  {any} body The value to be sent as json
+//  @param  {string=} contentType The content-type header. application/json if unset.
+function sendJSON (res, statusCode, body, contentType) {
+  res.writeHead(statusCode, { 'Content-Type': contentType || 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+// Reads the body of a request
+//  @param  {http.IncomingMessage} req The request
+//  @return {Promise} A promise that resolves to the body as a string
+function readBody (req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+
+    req.on('data', (chunk) => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    req.on('error', reject)
+  })
+}
+
+class MockServer {
+  //  @param  {object=} options An object containing
+  //    {object=} fixtures Paths to the json files served as the forecast, oneCall, alerts, and timeline responses. Files in test/ if unset.
+  //    {number=} delay The number of ms slow responses wait. 5000 if unset.
+  constructor (options) {
+    options = options || {}
+
+    this.delay = options.delay === undefined ? 5000 : options.delay
+    this.fixtures = Object.assign({}, defaultFixtures, options.fixtures)
+    this.server = http.createServer((req, res) => this.handleRequest(req, res))
+    this.timeouts = []
+
+    this.reset()
+  }
+
+  // The url of the server. Use it as the baseURL for openWeatherMap, alerts, and twitter in config.json.
+  //  @return {string} The url of the server or undefined if it isn't listening
+  get baseURL () {
+    const address = this.server.address()
+
+    return address && `http://localhost:${address.port}`
+  }
+
+  // Clears recorded requests and posts and sets every route to "ok"
+  reset () {
+    this.modes = {}
+    this.posts = []
+    this.requests = []
+    this.tweetCount = 0
+
+    routes.forEach((route) => {
+      this.modes[route] = 'ok'
+    })
+  }
+
+  // Sets how a route responds
+  //  @param  {string} route One of "forecast", "oneCall", "alerts", or "twitter"
+  //  @param  {string} mode One of "ok", "error", "contentType", "slow", or "malformed"
+  //  @throws {RangeError} for an unknown route or mode
+  setMode (route, mode) {
+    if (routes.indexOf(route) === -1) {
+      throw new RangeError(`Unknown route ${route}`)
+    }
+
+    if (modes.indexOf(mode) === -1) {
+      throw new RangeError(`Unknown mode ${mode}`)
+    }
+
+    this.modes[route] = mode
+  }
+
+  // Starts the server
+  //  @param  {number=} port The port to listen on. A random free port if unset.
+  //  @return {Promise} A promise that resolves to the url of the server
+  listen (port) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(port || 0, 'localhost', () => resolve(this.baseURL))
+    })
+  }
+
+  // Stops the server
+  //  @return {Promise} A promise that resolves when the server is closed
+  close () {
+    this.timeouts.forEach(clearTimeout)
+
+    return new Promise((resolve) => {
+      this.server.close(() => resolve())
+
+      if (this.server.closeAllConnections instanceof Function) {
+        this.server.closeAllConnections()
+      }
+    })
+  }
+
+  // Responds to a request to a stand in route according to its mode
+  //  @param  {http.ServerResponse} res The response to send
+  //  @param  {string} route The name of the route
+  //  @param  {function} respond Sends the response for the "ok" mode
+  respondWithMode (res, route, respond) {
+    switch (this.modes[route]) {
+      case 'error':
+        sendJSON(res, 500, route === 'twitter' ? { errors: [{ code: 131, message: 'Internal error' }] } : { message: 'Internal server error' })
+        break
+      case 'contentType':
+        res.writeHead(200, { 'Content-Type': 'text/html' })
+        res.end('<html><body>Service Unavailable</body></html>')
+        break
+      case 'slow':
+        this.timeouts.push(setTimeout(respond, this.delay))
+        break
+      case 'malformed':
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end('{"cod":"200","list":[{"dt":')
+        break
+      default:
+        respond()
+    }
+  }
+
+  // Routes a request
+  //  @param  {http.IncomingMessage} req The request
+  //  @param  {http.ServerResponse} res The response
+  handleRequest (req, res) {
+    const [pathname, query] = req.url.split('?')
+
+    readBody(req).then((body) => {
+      if (pathname.startsWith('/mock/')) {
+        return this.handleControl(req, res, pathname, body)
+      }
+
+      let route
+
+      if (pathname === '/data/2.5/forecast') {
+        route = 'forecast'
+      } else if (pathname === '/data/3.0/onecall') {
+        route = 'oneCall'
+      } else if (pathname === '/alerts') {
+        route = 'alerts'
+      } else if (pathname.startsWith('/1.1/')) {
+        route = 'twitter'
+      } else {
+        return sendJSON(res, 404, { message: `Unknown endpoint ${pathname}` })
+      }
+
+      this.requests.push({
+        route: route,
+        method: req.method,
+        path: pathname,
+        query: querystring.parse(query || ''),
+        headers: req.headers,
+        time: new Date()
+      })
+
+      this.respondWithMode(res, route, () => {
+        switch (route) {
+          case 'forecast':
+            return sendJSON(res, 200, JSON.parse(fs.readFileSync(this.fixtures.forecast)))
+          case 'oneCall':
+            return sendJSON(res, 200, JSON.parse(fs.readFileSync(this.fixtures.oneCall)))
+          case 'alerts':
+            return this.handleAlerts(req, res)
+          case 'twitter':
+            return this.handleTwitter(req, res, pathname, body)
+        }
+      })
+    })
+  }
+
+  // Responds to a request for alerts. Supports conditional requests with If-None-Match and If-Modified-Since.
+  //  @param  {http.IncomingMessage} req The request
+  //  @param  {http.ServerResponse} res The response
+  handleAlerts (req, res) {
+    const body = fs.readFileSync(this.fixtures.alerts)
+    const alerts = JSON.parse(body)
+    const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`
+    const lastModified = new Date(alerts.updated || fs.statSync(this.fixtures.alerts).mtime).toUTCString()
+    const ifNoneMatch = req.headers['if-none-match']
+    const ifModifiedSince = req.headers['if-modified-since']
+
+    if (ifNoneMatch ? ifNoneMatch === etag : ifModifiedSince && new Date(ifModifiedSince) >= new Date(lastModified)) {
+      res.writeHead(304, { ETag: etag, 'Last-Modified': lastModified })
+      return res.end()
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'application/geo+json',
+      ETag: etag,
+      'Last-Modified': lastModified
+    })
+    res.end(JSON.stringify(alerts))
+  }
+
+  // Responds to a request to a twitter endpoint
+  //  @param  {http.IncomingMessage} req The request
+  //  @param  {http.ServerResponse} res The response
+  //  @param  {string} pathname The path of the request url
+  //  @param  {string} body The request body
+  handleTwitter (req, res, pathname, body) {
+    const retweet = pathname.match(/^\/1\.1\/statuses\/retweet\/([0-9]+)\.json$/)
+
+    if (pathname === '/1.1/statuses/update.json' && req.method === 'POST') {
+      const { status, in_reply_to_status_id: inReplyTo } = querystring.parse(body)
+      const tweet = {
+        created_at: new Date().toUTCString(),
+        id_str: `${++this.tweetCount}`,
+        in_reply_to_status_id_str: inReplyTo || null,
+        text: status
+      }
+
+      this.posts.push({ type: 'tweet', id: tweet.id_str, inReplyTo: tweet.in_reply_to_status_id_str, text: status })
+
+      sendJSON(res, 200, tweet)
+    } else if (pathname === '/1.1/statuses/user_timeline.json') {
+      sendJSON(res, 200, JSON.parse(fs.readFileSync(this.fixtures.timeline)))
+    } else if (retweet && req.method === 'POST') {
+      this.posts.push({ type: 'retweet', id: retweet[1] })
+
+      sendJSON(res, 200, { id_str: retweet[1], retweeted: true })
+    } else {
+      sendJSON(res, 404, { errors: [{ code: 34, message: 'Sorry, that page does not exist' }] })
+    }
+  }
+
+  // Responds to a request to a control endpoint
+  //  @param  {http.IncomingMessage} req The request
+  //  @param  {http.ServerResponse} res The response
+  //  @param  {string} pathname The path of the request url
+  //  @param  {string} body The request body
+  handleControl (req, res, pathname, body) {
+    switch (pathname) {
+      case '/mock/requests':
+        return sendJSON(res, 200, this.requests)
+      case '/mock/posts':
+        return sendJSON(res, 200, this.posts)
+      case '/mock/modes':
+        if (req.method === 'PUT') {
+          try {
+            const newModes = JSON.parse(body)
+
+            for (const route in newModes) {
+              this.setMode(route, newModes[route])
+            }
+          } catch (e) {
+            return sendJSON(res, 400, { message: e.message })
+          }
+        }
+
+        return sendJSON(res, 200, this.modes)
+      case '/mock/reset':
+        this.reset()
+        return sendJSON(res, 200, this.modes)
+      default:
+        return sendJSON(res, 404, { message: `Unknown control ${pathname}` })
+    }
+  }
+}
+
+module.exports = MockServer
+
+if (require.main === module) {
+  const portFlagIndex = process.argv.indexOf('--port')
+  const delayFlagIndex = process.argv.indexOf('--delay')
+  const mockServer = new MockServer({
+    delay: delayFlagIndex > -1 ? parseInt(process.argv[delayFlagIndex + 1]) : undefined
+  })
+
+  mockServer.listen(portFlagIndex > -1 ? parseInt(process.argv[portFlagIndex + 1]) : 8080).then((baseURL) => {
+    console.log(`Mock server listening at ${baseURL}`)
+  })
+}
@@ -1,123 +1,428 @@
 'use strict'
 
+const http = require('http')
 const https = require('https')
+const zlib = require('zlib')
+
+// Status codes that redirect to the url in the Location header
+const redirectStatusCodes = [301, 302, 303, 307, 308]
+
+// Methods that can repeat an action on the server when sent again
+const nonIdempotentMethods = ['PATCH', 'POST']
+
+// Options of request that aren't options of node's http.request
+const requestOnlyOptions = ['body', 'maxRedirects', 'maxSize', 'retry', 'timeout', 'validateStatus']
+
+// Options used by request when they aren't given. Changed with configure.
+const defaults = {
+  maxRedirects: 5,
+  maxSize: 10485760, // 10MB
+  retry: () => null,
+  timeout: 30000
+}
+
+// Gets the node module for sending requests to a url
+//  @param  {string} url The url for the request
+//  @return {object} http for http urls otherwise https
+function getTransport (url) {
+  return url.startsWith('http:') ? http : https
+}
+
+// Checks if an error is likely to go away if the request is sent again
+//  @param  {Error} error Why a request failed
+//  @return {boolean} true for network errors, timeouts, rate limits, and server errors otherwise false
+function isTransientError (error) {
+  if (!error.statusCode) {
+    return !(error instanceof SyntaxError) && !/^Invalid content-type|^Response exceeded|^Too many redirects/.test(error.message)
+  }
+
+  return error.statusCode === 429 || error.statusCode >= 500
+}
+
+// Checks the content-type of a response and parses the body as json
+//  @param  {object} response A response from request
+//  @return {object} The parsed body
+//  @throws {Error} if the response isn't json
+//  @throws {SyntaxError} if the body is malformed json
+function parseJSON ({ headers, body }) {
+  const contentType = headers['content-type']
+
+  if (!/^application\/([a-zA-Z]+\+)*json/.test(contentType)) {
+    throw new Error(`Invalid content-type. Expected application/json but received ${contentType}`)
+  }
+
+  return JSON.parse(body.toString())
+}
+
+// Sends a request once following redirects
+//  @param  {string} url The url for the request
+//  @param  {object} options The options given to request merged with the defaults
+//  @param  {number} redirectCount The number of redirects followed so far
+//  @return {Promise} A promise that is fulfilled with the response. See request.
+function send (url, options, redirectCount) {
+  const { body, maxRedirects, maxSize, timeout, validateStatus } = options
+  const requestOptions = Object.assign({}, options, {
+    headers: Object.assign({ 'Accept-Encoding': 'gzip, deflate, br' }, options.headers)
+  })
+
+  // Options only used by request aren't given to node
+  requestOnlyOptions.forEach((option) => {
+    delete requestOptions[option]
+  })
+
+  return new Promise((resolve, reject) => {
+    const req = getTransport(url).request(url, requestOptions, (res) => {
+      const { statusCode, headers } = res
+
+      if (redirectStatusCodes.indexOf(statusCode) > -1 && headers.location) {
+        res.resume()
+
+        if (redirectCount >= maxRedirects) {
+          return reject(new Error(`Too many redirects. Stopped after ${maxRedirects}`))
+        }
+
+        const redirectURL = new URL(headers.location, url).toString()
+        const redirectOptions = Object.assign({}, options, { headers: Object.assign({}, options.headers) })
+
+        // Browsers resend POSTs as GETs after 301s and 302s so servers expect it
+        if (statusCode === 303 || (statusCode !== 307 && statusCode !== 308 && options.method === 'POST')) {
+          redirectOptions.method = 'GET'
+          delete redirectOptions.body
+
+          // The headers describing the body would describe a body that isn't sent
+          Object.keys(redirectOptions.headers).filter((name) => /^content-(length|type)$/i.test(name)).forEach((name) => {
+            delete redirectOptions.headers[name]
+          })
+        }
+
+        // Credentials aren't sent to other hosts
+        if (new URL(redirectURL).host !== new URL(url).host) {
+          delete redirectOptions.headers.Authorization
+          delete redirectOptions.headers.authorization
+        }
+
+        return resolve(send(redirectURL, redirectOptions, redirectCount + 1))
+      }
+
+      if (!validateStatus(statusCode)) {
+        res.resume()
+
+        const error = new Error(`Request Failed. Status Code: ${statusCode}`)
+        error.statusCode = statusCode
+
+        return reject(error)
+      }
+
+      let stream = res
+
+      switch (headers['content-encoding']) {
+        case 'gzip':
+          stream = res.pipe(zlib.createGunzip())
+          break
+        case 'deflate':
+          stream = res.pipe(zlib.createInflate())
+          break
+        case 'br':
+          stream = res.pipe(zlib.createBrotliDecompress())
+          break
+      }
+
+      const chunks = []
+      let size = 0
+
+      stream.on('data', (chunk) => {
+        size += chunk.length
+
+        if (size > maxSize) {
+          stream.removeAllListeners('data')
+          stream.removeAllListeners('end')
+          res.destroy()
+          reject(new Error(`Response exceeded ${maxSize} bytes`))
+        } else {
+          chunks.push(chunk)
+        }
+      })
+
+      stream.on('end', () => {
+        resolve({
+          body: Buffer.concat(chunks),
+          headers: headers,
+          statusCode: statusCode,
+          url: url
+        })
+      })
+
+      stream.on('error', reject)
+      res.on('error', reject)
+    })
+
+    req.setTimeout(timeout, () => {
+      const error = new Error(`Request timed out after ${timeout}ms`)
+      error.code = 'ETIMEDOUT'
+
+      req.destroy(error)
+    })
+
+    req.on('error', reject)
+
+    if (body) {
+      req.write(body)
+    }
+
+    req.end()
+  })
+}
 
 /** @fileoverview node requests in the form of promises. */
 module.exports = {
-  // Sends a get request for json
+  // Retry policies for request. A policy is a function taking the attempt number and the error and returning
+  //  the number of ms to wait before trying again or null to stop trying.
+  retryPolicies: {
+    // Never retries
+    none () {
+      return () => null
+    },
+
+    // Retries transient errors waiting twice as long after each attempt
+    //  @param  {object=} options An object containing
+    //    {number=} retries The maximum number of retries. 3 if unset.
+    //    {number=} delay The number of ms to wait before the first retry. 1000 if unset.
+    //    {number=} maxDelay The most ms to wait between attempts. 30000 if unset.
+    //  @return {function} The policy
+    exponentialBackoff (options) {
+      const { retries = 3, delay = 1000, maxDelay = 30000 } = options || {}
+
+      return (attempt, error) => {
+        if (attempt > retries || !isTransientError(error)) {
+          return null
+        }
+
+        return Math.min(maxDelay, delay * Math.pow(2, attempt - 1))
+      }
+    }
+  },
+
+  isTransientError: isTransientError,
+
+  // Sets the options requests use by default
+  //  @param  {object} config The "http" object from config.json containing
+  //    {number=} timeout Seconds a request can go without receiving data before it fails. 30 if unset.
+  //    {number=} maxRedirects The most redirects followed. 5 if unset.
+  //    {number=} maxSize The most bytes a response can have. 10MB if unset.
+  //    {number=} retries The number of times requests failing from transient errors are retried. 0 if unset.
+  //    {number=} retryDelay Seconds to wait before the first retry. Doubles after each retry. 1 if unset.
+  configure (config) {
+    if (!(config instanceof Object)) {
+      throw new TypeError('Param config must be an object')
+    }
+
+    if (config.timeout !== undefined) {
+      defaults.timeout = config.timeout * 1000
+    }
+
+    if (config.maxRedirects !== undefined) {
+      defaults.maxRedirects = config.maxRedirects
+    }
+
+    if (config.maxSize !== undefined) {
+      defaults.maxSize = config.maxSize
+    }
+
+    if (config.retries) {
+      defaults.retry = module.exports.retryPolicies.exponentialBackoff({
+        retries: config.retries,
+        delay: (config.retryDelay || 1) * 1000
+      })
+    } else {
+      defaults.retry = module.exports.retryPolicies.none()
+    }
+  },
+
+  // Sends a request. Redirects are followed and compressed responses are decompressed.
   //  @param  {string} url The url for the request
-  //  @param  {object} params Options accepted by node's http.request see https://nodejs.org/api/http.html#http_http_request_options_callback for more information
-  //  @return {Promise} A promise that is fulfilled when json from the request is parsed into an object
-  getJSONPromiseGet (url, params) {
+  //  @param  {object=} options Options accepted by node's http.request see https://nodejs.org/api/http.html#http_http_request_options_callback for more information and
+  //    {string|Buffer=} body The request body
+  //    {number=} timeout Ms the request can go without receiving data before it fails
+  //    {number=} maxRedirects The most redirects followed
+  //    {number=} maxSize The most bytes the response can have
+  //    {function=} retry A retry policy. See retryPolicies. POSTs and PATCHes aren't retried unless it's set
+  //      since a retry after a timeout can repeat an action the server already took.
+  //    {function=} validateStatus Returns true for status codes that aren't failures. 2XX if unset.
+  //  @return {Promise} A promise that is fulfilled with an object containing
+  //    {number} statusCode The status code of the response
+  //    {object} headers The headers of the response
+  //    {Buffer} body The decompressed response body
+  //    {string} url The url of the response after redirects
+  request (url, options) {
     if (typeof url !== 'string') {
       throw new TypeError('Param url must be a string')
     }
 
-    if (params && (!(params instanceof Object) || params instanceof Array)) {
-      throw new TypeError('Param params must be an object')
+    if (options && (!(options instanceof Object) || options instanceof Array)) {
+      throw new TypeError('Param options must be an object')
     }
 
-    return new Promise(function (resolve, reject) {
-      const handleResponse = (res) => {
-        // reject on bad status or not json
-        const { statusCode } = res
-        const contentType = res.headers['content-type']
+    const method = ((options && options.method) || 'GET').toUpperCase()
 
-        if (statusCode !== 200) {
-          return reject(new Error(`Request Failed. Status Code: ${statusCode}`))
-        } else if (!/^application\/([a-zA-Z]+\+)*json/.test(contentType)) {
-          return reject(new Error(`Invalid content-type. Expected application/json but received ${contentType}`))
-        }
-
-        // cumulate data
-        let json = []
-        res.on('data', function (chunk) {
-          json.push(chunk)
-        })
-
-        // resolve on end
-        res.on('end', function () {
-          try {
-            json = JSON.parse(Buffer.concat(json).toString())
-          } catch (e) {
-            reject(e)
-          }
+    options = Object.assign({
+      validateStatus: (statusCode) => statusCode >= 200 && statusCode < 300
+    }, defaults, nonIdempotentMethods.includes(method) ? { retry: module.exports.retryPolicies.none() } : {}, options)
 
-          resolve(json)
-        })
-      }
+    const attempt = (attemptNumber) => {
+      return send(url, options, 0).catch((error) => {
+        const delay = options.retry(attemptNumber, error)
 
-      const req = params ? https.get(url, params, handleResponse) : https.get(url, handleResponse)
+        if (typeof delay !== 'number' || delay < 0) {
+          throw error
+        }
 
-      // reject on request error
-      req.on('error', (err) => {
-        // This is not a "Second reject", just a different sort of failure
-        reject(err)
+        return new Promise((resolve) => setTimeout(resolve, delay))
+          .then(() => attempt(attemptNumber + 1))
       })
+    }
 
-      // IMPORTANT
-      req.end()
-    })
+    return attempt(1)
   },
 
-  // Sends a post request for json
+  // Sends a get request for json
   //  @param  {string} url The url for the request
-  //  @param  {object} params Options accepted by node's http.request see https://nodejs.org/api/http.html#http_http_request_options_callback for more information
+  //  @param  {object} params Options accepted by request
   //  @return {Promise} A promise that is fulfilled when json from the request is parsed into an object
-  getJSONPromisePost (url, params) {
-    if (typeof url !== 'string') {
-      throw new TypeError('Param url must be a string')
+  getJSONPromiseGet (url, params) {
+    return module.exports.request(url, Object.assign({}, params, { method: 'GET' })).then(parseJSON)
+  },
+
+  // Sends a get request for json that is only downloaded if it changed since the last request
+  //  @param  {string} url The url for the request
+  //  @param  {object} params Options accepted by request
+  //  @param  {object=} validators The validators of the last response containing
+  //    {string=} etag The ETag header of the last response
+  //    {string=} lastModified The Last-Modified header of the last response
+  //  @return {Promise} A promise that is fulfilled with an object containing
+  //    {boolean} modified false if the server responded with 304 Not Modified otherwise true
+  //    {object=} data The json from the request parsed into an object. Unset if not modified.
+  //    {object} validators The validators to send with the next request
+  getJSONPromiseGetIfChanged (url, params, validators) {
+    validators = validators || {}
+
+    const headers = Object.assign({}, params && params.headers)
+
+    if (validators.etag) {
+      headers['If-None-Match'] = validators.etag
+    }
+
+    if (validators.lastModified) {
+      headers['If-Modified-Since'] = validators.lastModified
     }
 
-    if (params) {
-      if (!(params instanceof Object) || params instanceof Array) {
-        throw new TypeError('Param params must be an object')
+    return module.exports.request(url, Object.assign({}, params, {
+      headers: headers,
+      method: 'GET',
+      validateStatus: (statusCode) => statusCode === 200 || statusCode === 304
+    })).then((response) => {
+      if (response.statusCode === 304) {
+        return {
+          modified: false,
+          validators: validators
+        }
       }
-      params.method = 'POST'
-    } else {
-      params = {
-        mathod: 'POST'
+
+      return {
+        modified: true,
+        data: parseJSON(response),
+        validators: {
+          etag: response.headers.etag,
+          lastModified: response.headers['last-modified']
+        }
       }
+    })
+  },
+
+  // Sends a get request for json using a cache. Responses younger than ttl come from the cache.
+  //  Older responses are revalidated with a conditional request and the cached body is used if the server responds 304 Not Modified.
+  //  If the request fails the cached body is used as long as it's no older than maxStale.
+  //  @param  {string} url The url for the request
+  //  @param  {object} params Options accepted by request
+  //  @param  {ResponseCache} cache The cache for responses
+  //  @param  {object=} options An object containing
+  //    {number=} ttl The number of seconds a response is used without checking with the server. 0 if unset.
+  //    {number=} maxStale The number of seconds a response can be used for when the server can't be reached. 0 if unset.
+  //  @return {Promise} A promise that is fulfilled with an object containing
+  //    {object} data The json from the request or the cache parsed into an object
+  //    {boolean} modified true if data was downloaded by this request otherwise false
+  //    {boolean} stale true if data is from the cache because the request failed otherwise false
+  //    {Date} time When data was last confirmed to be current
+  //    {Error=} error Why the request failed if data is stale
+  getJSONPromiseGetCached (url, params, cache, options) {
+    if (!(cache instanceof Object)) {
+      throw new TypeError('Param cache must be an object')
     }
 
-    return new Promise(function (resolve, reject) {
-      const req = https.request(url, params, (res) => {
-        // reject on bad status or not json
-        const { statusCode } = res
-        const contentType = res.headers['content-type']
+    const ttl = ((options && options.ttl) || 0) * 1000
+    const maxStale = ((options && options.maxStale) || 0) * 1000
+    const entry = cache.get(url)
 
-        if (statusCode !== 200) {
-          return reject(new Error(`Request Failed. Status Code: ${statusCode}`))
-        } else if (!/^application\/([a-zA-Z]+\+)*json/.test(contentType)) {
-          return reject(new Error(`Invalid content-type. Expected application/json but received ${contentType}`))
-        }
+    if (entry && Date.now() - entry.time < ttl) {
+      return Promise.resolve({
+        data: entry.data,
+        modified: false,
+        stale: false,
+        time: new Date(entry.time)
+      })
+    }
 
-        // cumulate data
-        let json = []
-        res.on('data', function (chunk) {
-          json.push(chunk)
-        })
+    const validators = entry ? { etag: entry.etag, lastModified: entry.lastModified } : undefined
 
-        // resolve on end
-        res.on('end', function () {
-          try {
-            json = JSON.parse(Buffer.concat(json).toString())
-          } catch (e) {
-            reject(e)
-          }
+    return module.exports.getJSONPromiseGetIfChanged(url, params, validators).then(({ modified, data, validators }) => {
+      const time = Date.now()
 
-          resolve(json)
+      if (modified) {
+        cache.set(url, {
+          data: data,
+          etag: validators.etag,
+          lastModified: validators.lastModified,
+          time: time
         })
-      })
+      } else {
+        cache.set(url, Object.assign({}, entry, { time: time }))
+      }
 
-      // reject on request error
-      req.on('error', (err) => {
-        // This is not a "Second reject", just a different sort of failure
-        reject(err)
-      })
+      return {
+        data: modified ? data : entry.data,
+        modified: modified,
+        stale: false,
+        time: new Date(time)
+      }
+    }, (error) => {
+      if (!entry || Date.now() - entry.time > maxStale) {
+        throw error
+      }
 
-      // IMPORTANT
-      req.end()
+      return {
+        data: entry.data,
+        error: error,
+        modified: false,
+        stale: true,
+        time: new Date(entry.time)
+      }
     })
+  },
+
+  // Sends a post request for json
+  //  @param  {string} url The url for the request
+  //  @param  {object} params Options accepted by request
+  //  @param  {string=} body The request body
+  //  @return {Promise} A promise that is fulfilled when json from the request is parsed into an object
+  getJSONPromisePost (url, params, body) {
+    return module.exports.request(url, Object.assign({}, params, { body: body, method: 'POST' })).then(parseJSON)
+  },
+
+  // Sends a post request where only the status of the response matters
+  //  @param  {string} url The url for the request
+  //  @param  {object} params Options accepted by request
+  //  @param  {string=} body The request body
+  //  @return {Promise} A promise that is fulfilled with the status code when the response status is 2XX
+  postPromise (url, params, body) {
+    return module.exports.request(url, Object.assign({}, params, { body: body, method: 'POST' })).then(({ statusCode }) => statusCode)
   }
 }
@@ -0,0 +1,83 @@
+'use strict'
+
+const NWSProvider = require('./nws.js')
+const OpenWeatherMapProvider = require('./openWeatherMap.js')
+
+/** @fileoverview Creates the weather provider set in config.json so message generators don't depend on one API's response.
+  *   A provider is any object with getForecastPromise() returning a Promise of a normalized forecast:
+  *     {string} provider The name of the provider in the registry
+  *     {object} location An object containing
+  *       {string=} name The name of the place
+  *       {number=} lat, lon The coordinates of the place
+  *       {string=} timeZone An IANA time zone like "America/Chicago"
+  *       {number=} utcOffset Seconds east of UTC. Used when timeZone is unset.
+  *     {object[]} periods The forecast in 3 hour periods ordered by time. Each contains
+  *       {Date}    time The start of the period
+  *       {number}  conditionId An OpenWeatherMap condition code. See https://openweathermap.org/weather-conditions
+  *       {object}  temp The lowest and highest temperatures min and max in °C and optionally the feelsLike temperature
+  *       {object}  wind The speed in m/s and the deg the wind blows from. deg is undefined if unknown.
+  *       {number=} humidity The relative humidity in %
+  *       {number=} pressure The pressure at ground level in hPa
+  *       {number=} cloudiness The cloud cover in %
+  *       {number=} rain, snow The amount in mm
+  *       {number=} pop The chance of rain or snow from 0 to 1
+  *     {Date=}   cachedAt When the forecast was fetched if it's an old forecast standing in for providers that are down
+  *   Values a provider doesn't give are undefined. */
+
+// Provider classes by the name used in config.json
+const registry = {
+  nws: NWSProvider,
+  openWeatherMap: OpenWeatherMapProvider
+}
+
+module.exports = {
+  // Creates the provider set in config.weather.provider
+  //  @param  {object}    config The "weather" object from config.json
+  //  @param  {object}    logger A winston logger
+  //  @param  {function}  fetchJSON Sends a get request. Called with the url, options for node's http.request, and a name for logs. Returns a promise of the json.
+  //  @param  {string=}   name The provider to create. config.provider or "openWeatherMap" if unset.
+  //  @return {object}    The provider
+  //  @throws {TypeError} for a parameter of the incorrect type
+  //  @throws {RangeError} for an unknown provider
+  create (config, logger, fetchJSON, name) {
+    if (!(config instanceof Object)) {
+      throw new TypeError('Param config must be an object')
+    }
+
+    if (!(fetchJSON instanceof Function)) {
+      throw new TypeError('Param fetchJSON must be a function')
+    }
+
+    name = name || config.provider || 'openWeatherMap'
+
+    const Provider = registry[name]
+
+    if (!Provider) {
+      throw new RangeError(`Unknown weather provider ${name}`)
+    }
+
+    return new Provider(config, logger, fetchJSON)
+  },
+
+  // Gets the names of every provider
+  //  @return {string[]} The names used in config.json
+  getNames () {
+    return Object.keys(registry)
+  },
+
+  // Adds a provider class to the registry
+  //  @param  {string}   name The name used for the provider in config.json
+  //  @param  {function} Provider The provider class
+  //  @throws {TypeError} for a parameter of the incorrect type
+  register (name, Provider) {
+    if (typeof name !== 'string') {
+      throw new TypeError('Param name must be a string')
+    }
+
+    if (!(Provider instanceof Function)) {
+      throw new TypeError('Param Provider must be a class')
+    }
+
+    registry[name] = Provider
+  }
+}
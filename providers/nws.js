@@ -0,0 +1,285 @@
+'use strict'
+
+/** @fileoverview Fetches hourly forecasts and current observations from the National Weather Service.
+  *   The forecast office grid of the location is looked up once from /points then /gridpoints/.../forecast/hourly is fetched.
+  *   Observations come from /stations/{id}/observations/latest of the configured station or else the one nearest the location.
+  *   See https://www.weather.gov/documentation/services-web-api */
+
+// OpenWeatherMap condition codes for NWS forecast icons. See https://api.weather.gov/icons
+const iconConditions = {
+  skc: 800,
+  few: 801,
+  sct: 802,
+  bkn: 803,
+  ovc: 804,
+  wind_skc: 800,
+  wind_few: 801,
+  wind_sct: 802,
+  wind_bkn: 803,
+  wind_ovc: 804,
+  snow: 601,
+  rain_snow: 616,
+  rain_sleet: 611,
+  snow_sleet: 611,
+  fzra: 511,
+  rain_fzra: 511,
+  snow_fzra: 511,
+  sleet: 611,
+  rain: 501,
+  rain_showers: 521,
+  rain_showers_hi: 520,
+  tsra: 211,
+  tsra_sct: 210,
+  tsra_hi: 210,
+  tornado: 781,
+  hurricane: 781,
+  tropical_storm: 771,
+  dust: 761,
+  smoke: 711,
+  haze: 721,
+  hot: 800,
+  cold: 800,
+  blizzard: 622,
+  fog: 741
+}
+
+// Compass points in the order of their angle from north
+const compassPoints = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW']
+
+// The number of hourly forecasts in each normalized period
+const periodHours = 3
+
+// Gets the condition code of an NWS forecast icon
+//  @param  {string} icon The url of the icon like "https://api.weather.gov/icons/land/day/tsra_hi,40?size=small"
+//  @return {number} An OpenWeatherMap condition code
+//  @throws {RangeError} for an unknown icon
+function getConditionId (icon) {
+  // Icons for periods that change conditions have 2 names like ".../rain_showers,30/tsra_hi,40". The first is used.
+  const match = /\/icons\/land\/(?:day|night)\/([a-z_]+)/.exec(icon)
+  const conditionId = match && iconConditions[match[1]]
+
+  if (!conditionId) {
+    throw new RangeError(`Unknown NWS icon ${icon}`)
+  }
+
+  return conditionId
+}
+
+// Converts an NWS wind speed into m/s
+//  @param  {string} windSpeed The speed like "15 km/h" or "5 to 10 mph". The fastest speed of a range is used.
+//  @return {number} The speed in m/s
+function getWindSpeed (windSpeed) {
+  const [, slowest, fastest, unit] = /([0-9]+)(?: to ([0-9]+))? (km\/h|mph)/.exec(windSpeed)
+  const speed = parseInt(fastest || slowest)
+
+  return Math.round((unit === 'mph' ? speed * 0.44704 : speed / 3.6) * 100) / 100
+}
+
+// Converts an NWS wind direction into degrees
+//  @param  {string} windDirection A compass point like "SW"
+//  @return {number} The angle from north the wind blows from. undefined for an unknown direction.
+function getWindDirection (windDirection) {
+  const index = compassPoints.indexOf(windDirection)
+
+  return index === -1 ? undefined : index * 360 / compassPoints.length
+}
+
+// Gets the value of a measurement in an observation
+//  @param  {object} quantity A measurement like { "unitCode": "wmoUnit:km_h-1", "value": 14.8 }
+//  @return {number} The value with speeds in m/s. undefined if the station didn't measure it.
+function getQuantity (quantity) {
+  if (!quantity || typeof quantity.value !== 'number') {
+    return undefined
+  }
+
+  return quantity.unitCode === 'wmoUnit:km_h-1' ? Math.round(quantity.value / 3.6 * 100) / 100 : quantity.value
+}
+
+// Converts an NWS temperature into °C
+//  @param  {object} hour An hourly forecast period
+//  @return {number} The temperature in °C
+function getTemperature ({ temperature, temperatureUnit }) {
+  return temperatureUnit === 'F' ? Math.round((temperature - 32) * 5 / 9 * 100) / 100 : temperature
+}
+
+module.exports = class NWSProvider {
+  //  @param  {object}    config The "weather" object from config.json. Uses config.nws and falls back on config.openWeatherMap.location for coordinates and config.alerts.app for the app.
+  //    config.nws.station sets the observation station. Coordinates aren't needed for observations from a set station.
+  //  @param  {object}    logger A winston logger
+  //  @param  {function}  fetchJSON Sends a get request. Called with the url, options for node's http.request, and a name for logs. Returns a promise of the json.
+  //  @throws {TypeError} without coordinates or a station or without an app to identify the bot to the NWS
+  constructor (config, logger, fetchJSON) {
+    const nws = config.nws || {}
+    const location = (config.openWeatherMap && config.openWeatherMap.location) || {}
+    const lat = nws.lat === undefined ? location.lat : nws.lat
+    const lon = nws.lon === undefined ? location.lon : nws.lon
+    const app = nws.app || (config.alerts && config.alerts.app)
+
+    if ((typeof lat !== 'number' || typeof lon !== 'number') && !nws.station) {
+      throw new TypeError('The NWS provider needs a lat and lon in config.weather.nws or config.weather.openWeatherMap.location')
+    }
+
+    if (!(app instanceof Object)) {
+      throw new TypeError('The NWS provider needs an app in config.weather.nws or config.weather.alerts')
+    }
+
+    this.logger = logger
+    this.fetchJSON = fetchJSON
+
+    this.baseURL = (nws.baseURL || 'https://api.weather.gov').replace(/\/+$/, '')
+
+    // The NWS redirects coordinates with more than 4 decimal places
+    this.pointURL = typeof lat === 'number' && typeof lon === 'number' ? `${this.baseURL}/points/${Number(lat.toFixed(4))},${Number(lon.toFixed(4))}` : undefined
+    this.params = {
+      headers: {
+        Accept: 'application/geo+json',
+        'User-Agent': NWSProvider.getUserAgent(app)
+      }
+    }
+    // The /points response. Looked up once since the grid of a location doesn't change.
+    this.point = undefined
+    // The id of the observation station like "KCOU". Looked up once from the point if unset.
+    this.station = nws.station
+  }
+
+  // Gets the User-Agent the NWS requires to identify the app
+  //  @param  {object} app The "app" object from config.json containing contact, name, version, and website
+  //  @return {string} The User-Agent header
+  static getUserAgent ({ contact, name, version, website }) {
+    return `${name}/v${version} (${website}; ${contact})`
+  }
+
+  // Converts an hourly forecast from the NWS into the form every provider gives. See providers/index.js
+  //  Hours are combined into 3 hour periods like OpenWeatherMap's. The NWS doesn't give amounts of rain or snow, pressure, or cloudiness.
+  //  @param  {object} data A response from /gridpoints/.../forecast/hourly
+  //  @param  {object} point The response from /points for the location
+  //  @return {object} The normalized forecast
+  //  @throws {RangeError} for an unknown forecast icon
+  static normalize (data, point) {
+    const hours = data.properties.periods
+    const periods = []
+
+    for (let i = 0; i < hours.length; i += periodHours) {
+      const group = hours.slice(i, i + periodHours)
+      const temperatures = group.map(getTemperature)
+      const windiest = group.reduce((fastest, hour) => getWindSpeed(hour.windSpeed) > getWindSpeed(fastest.windSpeed) ? hour : fastest)
+      const humidities = group.map(({ relativeHumidity }) => relativeHumidity && relativeHumidity.value).filter((value) => typeof value === 'number')
+      const pops = group.map(({ probabilityOfPrecipitation }) => probabilityOfPrecipitation && probabilityOfPrecipitation.value).filter((value) => typeof value === 'number')
+
+      periods.push({
+        time: new Date(group[0].startTime),
+        conditionId: getConditionId(group[0].icon),
+        temp: {
+          min: Math.min(...temperatures),
+          max: Math.max(...temperatures)
+        },
+        wind: {
+          speed: getWindSpeed(windiest.windSpeed),
+          deg: getWindDirection(windiest.windDirection)
+        },
+        humidity: humidities.length ? Math.round(humidities.reduce((total, value) => total + value, 0) / humidities.length) : undefined,
+        pop: pops.length ? Math.max(...pops) / 100 : undefined
+      })
+    }
+
+    const { relativeLocation, timeZone } = point.properties
+    const [lon, lat] = point.geometry ? point.geometry.coordinates : []
+
+    return {
+      provider: 'nws',
+      location: {
+        name: relativeLocation && relativeLocation.properties.city,
+        lat: lat,
+        lon: lon,
+        timeZone: timeZone
+      },
+      periods: periods
+    }
+  }
+
+  // Converts the latest observation of a station into the form generateObservationMessage takes
+  //  @param  {object} data A response from /stations/{id}/observations/latest
+  //  @param  {string} station The id of the station like "KCOU"
+  //  @return {object} An object containing
+  //    {string}  station The id of the station
+  //    {Date}    time When the observation was made
+  //    {number=} conditionId An OpenWeatherMap condition code. undefined if the NWS gave no icon.
+  //    {string=} description The NWS description of the conditions like "Mostly Cloudy"
+  //    {number=} temp, dewpoint The temperature and dew point in °C
+  //    {object}  wind The speed and gust in m/s and the deg the wind blows from
+  //    {number=} visibility How far can be seen in m
+  //    Measurements the station didn't make are undefined.
+  //  @throws {RangeError} for an unknown icon
+  static normalizeObservation (data, station) {
+    const { dewpoint, icon, temperature, textDescription, timestamp, visibility, windDirection, windGust, windSpeed } = data.properties
+
+    return {
+      station: station,
+      time: new Date(timestamp),
+      conditionId: icon ? getConditionId(icon) : undefined,
+      description: textDescription || undefined,
+      temp: getQuantity(temperature),
+      dewpoint: getQuantity(dewpoint),
+      wind: {
+        speed: getQuantity(windSpeed),
+        deg: getQuantity(windDirection),
+        gust: getQuantity(windGust)
+      },
+      visibility: getQuantity(visibility)
+    }
+  }
+
+  // Looks up the forecast office grid of the location
+  //  @return {Promise} A promise that resolves to the /points response
+  getPointPromise () {
+    if (this.point) {
+      return Promise.resolve(this.point)
+    }
+
+    return this.fetchJSON(this.pointURL, this.params, 'forecast grid').then((point) => {
+      this.point = point
+
+      return point
+    })
+  }
+
+  // Looks up the observation station
+  //  @return {Promise} A promise that resolves to the id of config.nws.station or else the station nearest the location
+  getStationPromise () {
+    if (this.station) {
+      return Promise.resolve(this.station)
+    }
+
+    return this.getPointPromise()
+      .then((point) => this.fetchJSON(point.properties.observationStations, this.params, 'observation stations'))
+      .then((stations) => {
+        // Stations are listed nearest first
+        if (!stations.features.length) {
+          throw new RangeError(`The NWS has no observation stations near ${this.pointURL}`)
+        }
+
+        this.station = stations.features[0].properties.stationIdentifier
+        this.logger.info(`Using observation station ${this.station}`)
+
+        return this.station
+      })
+  }
+
+  // Sends the get requests for the latest observation of the station
+  //  @return {Promise} A promise that resolves to the observation. See normalizeObservation.
+  getObservationPromise () {
+    return this.getStationPromise().then((station) => {
+      return this.fetchJSON(`${this.baseURL}/stations/${station}/observations/latest`, this.params, 'observation')
+        .then((data) => NWSProvider.normalizeObservation(data, station))
+    })
+  }
+
+  // Sends the get requests for the hourly forecast
+  //  @return {Promise} A promise that resolves to the normalized forecast
+  getForecastPromise () {
+    return this.getPointPromise().then((point) => {
+      return this.fetchJSON(`${point.properties.forecastHourly}?units=si`, this.params, 'forecast')
+        .then((data) => NWSProvider.normalize(data, point))
+    })
+  }
+}
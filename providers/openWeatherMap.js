@@ -0,0 +1,76 @@
+'use strict'
+
+/** @fileoverview Fetches 5 day forecasts in 3 hour periods from OpenWeatherMap. See https://openweathermap.org/forecast5 */
+
+module.exports = class OpenWeatherMapProvider {
+  //  @param  {object}    config The "weather" object from config.json. Uses config.openWeatherMap.
+  //  @param  {object}    logger A winston logger
+  //  @param  {function}  fetchJSON Sends a get request. Called with the url, options for node's http.request, and a name for logs. Returns a promise of the json.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (config, logger, fetchJSON) {
+    const OWM = config.openWeatherMap
+
+    if (!(OWM instanceof Object)) {
+      throw new TypeError('Param config must have an openWeatherMap object')
+    }
+
+    this.logger = logger
+    this.fetchJSON = fetchJSON
+
+    const OWMlocation = OWM.location
+    let OWMQueryParams = ''
+
+    for (const paramName in OWMlocation) {
+      if (Object.prototype.hasOwnProperty.call(OWMlocation, paramName)) {
+        OWMQueryParams += '&' + paramName + '=' + OWMlocation[paramName]
+      }
+    }
+
+    const OWMBaseURL = (OWM.baseURL || 'https://api.openweathermap.org').replace(/\/+$/, '')
+
+    this.weatherRequestURL = `${OWMBaseURL}/data/2.5/forecast?${OWMQueryParams.substr(1)}&units=metric&APPID=${OWM.key}`
+  }
+
+  // Converts a forecast from OpenWeatherMap into the form every provider gives. See providers/index.js
+  //  @param  {object} data A response from OpenWeatherMap's 5 day forecast
+  //  @return {object} The normalized forecast
+  static normalize (data) {
+    const city = data.city || {}
+    const coord = city.coord || {}
+
+    return {
+      provider: 'openWeatherMap',
+      location: {
+        name: city.name,
+        lat: coord.lat,
+        lon: coord.lon,
+        utcOffset: city.timezone
+      },
+      periods: data.list.map(({ clouds, dt, main, pop, rain, snow, weather, wind }) => ({
+        time: new Date(dt * 1000),
+        conditionId: weather[0].id,
+        temp: {
+          min: main.temp_min,
+          max: main.temp_max,
+          feelsLike: main.feels_like
+        },
+        wind: {
+          speed: wind.speed,
+          deg: wind.deg
+        },
+        humidity: main.humidity,
+        pressure: main.grnd_level || main.pressure,
+        cloudiness: clouds && clouds.all,
+        rain: rain && rain['3h'],
+        snow: snow && snow['3h'],
+        pop: pop
+      }))
+    }
+  }
+
+  // Sends the get request for the forecast
+  //  @return {Promise} A promise that resolves to the normalized forecast
+  getForecastPromise () {
+    return this.fetchJSON(this.weatherRequestURL, {}, 'forecast').then(OpenWeatherMapProvider.normalize)
+  }
+}
@@ -0,0 +1,81 @@
+'use strict'
+
+const fs = require('fs')
+const messageLength = require('../messageLength.js')
+
+/** @fileoverview Prints messages to stdout and appends them to a jsonl outbox instead of publishing them. Used for dry runs. */
+module.exports = class ConsolePublisher {
+  //  @param  {object}    config An object containing
+  //    {string} outbox The path to the jsonl file messages are appended to
+  //    {string=} destination The type of publisher the messages would have been sent to
+  //    {number=} characterLimit The character limit of the publisher the messages would have been sent to
+  //  @param  {object}    logger A winston logger
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (config, logger) {
+    if (!(config instanceof Object)) {
+      throw new TypeError('Param config must be an object')
+    }
+
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    if (typeof config.outbox !== 'string') {
+      throw new TypeError('Console publisher requires an outbox file path')
+    }
+
+    this.destination = config.destination || 'console'
+    this.logger = logger
+    this.maxCharacters = config.characterLimit || Infinity
+    this.outbox = config.outbox
+  }
+
+  // The character limit of the publisher being stood in for
+  //  @return {number} The configured character limit. Infinity if unset.
+  get characterLimit () {
+    return this.maxCharacters
+  }
+
+  // Measures a message the way the publisher being stood in for counts it
+  //  @param  {string} message The message
+  //  @return {number} The length of the message. See messageLength.getLength
+  getLength (message) {
+    return messageLength.getLength(message, this.destination)
+  }
+
+  // Prints a message and appends it to the outbox
+  //  @param  {string} message The message that would have been published
+  //  @param  {object=} metadata Information about the message
+  //  @return {Promise} A promise that resolves to the outbox entry after it is written
+  publish (message, metadata) {
+    if (this.getLength(message) > this.maxCharacters) {
+      return Promise.reject(new Error(`Message too long: ${message}`))
+    }
+
+    console.log(`[DRY RUN ${this.destination}] ${(metadata && metadata.type) || 'message'}\n${message}\n`)
+
+    return this.record({
+      destination: this.destination,
+      message: message,
+      metadata: metadata || {}
+    })
+  }
+
+  // Appends an entry to the outbox
+  //  @param  {object} entry The data to be written as a line of json
+  //  @return {Promise} A promise that resolves to the entry after it is written
+  record (entry) {
+    const outboxEntry = Object.assign({ time: new Date() }, entry)
+
+    return new Promise((resolve, reject) => {
+      fs.appendFile(this.outbox, JSON.stringify(outboxEntry) + '\n', (error) => {
+        if (error) {
+          this.logger.error(error)
+          reject(error)
+        } else {
+          resolve(outboxEntry)
+        }
+      })
+    })
+  }
+}
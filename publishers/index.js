@@ -0,0 +1,169 @@
+'use strict'
+
+const ConsolePublisher = require('./console.js')
+const MastodonPublisher = require('./mastodon.js')
+const TweetWeather = require('../tweetWeather.js')
+const WebhookPublisher = require('./webhook.js')
+
+/** @fileoverview Sends the same message to every configured destination.
+  *   A publisher is any object with
+  *     publish(message, metadata) returning a Promise
+  *     characterLimit the maximum length of a message it can publish
+  *   and optionally
+  *     getLength(message) returning the length of a message as counted toward characterLimit. Its string length if unset. */
+
+// Publisher classes by the "type" used in config.json
+const registry = {
+  console: ConsolePublisher,
+  mastodon: MastodonPublisher,
+  twitter: TweetWeather,
+  webhook: WebhookPublisher
+}
+
+module.exports = class PublisherGroup {
+  //  @param  {object[]}  config The "publishers" array from config.json. Each entry has a "type" from the registry and the settings for that publisher.
+  //  @param  {object}    logger A winston logger
+  //  @param  {object}    stats The bot's stats object
+  //  @param  {object=}   options An object containing
+  //    {string=} outbox When set, messages are printed and written to this jsonl file instead of being published
+  //  @throws {TypeError} for a parameter of the incorrect type
+  //  @throws {RangeError} for an unknown publisher type
+  constructor (config, logger, stats, options) {
+    if (!(config instanceof Array)) {
+      throw new TypeError('Param config must be an array')
+    }
+
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    const { outbox } = options || {}
+
+    this.isDryRun = typeof outbox === 'string'
+    this.logger = logger
+    this.publishers = []
+
+    config.forEach((publisherConfig) => {
+      if (publisherConfig.disabled) {
+        return
+      }
+
+      const Publisher = registry[publisherConfig.type]
+
+      if (!Publisher) {
+        throw new RangeError(`Unknown publisher type ${publisherConfig.type}`)
+      }
+
+      let publisher = new Publisher(publisherConfig, logger, stats)
+
+      // Stand in for the publisher while keeping its character limit so messages are generated the same way
+      if (this.isDryRun) {
+        publisher = new ConsolePublisher({
+          characterLimit: publisher.characterLimit,
+          destination: publisherConfig.type,
+          outbox: outbox
+        }, logger)
+      }
+
+      this.publishers.push({
+        type: publisherConfig.type,
+        publisher: publisher
+      })
+    })
+
+    if (!this.publishers.length) {
+      throw new RangeError('At least 1 publisher must be enabled')
+    }
+  }
+
+  // Gets the publisher configuration from config.json
+  // Configs without a "publishers" array are treated as only publishing to config.twitter
+  //  @param  {object} config The contents of config.json
+  //  @return {object[]} A list of publisher entries
+  static getPublisherConfig (config) {
+    if (config.publishers instanceof Array) {
+      return config.publishers
+    }
+
+    return [Object.assign({ type: 'twitter' }, config.twitter)]
+  }
+
+  // Adds a publisher class to the registry
+  //  @param  {string}   type The name used for the publisher in config.json
+  //  @param  {function} Publisher The publisher class
+  static register (type, Publisher) {
+    if (typeof type !== 'string') {
+      throw new TypeError('Param type must be a string')
+    }
+
+    if (!(Publisher instanceof Function)) {
+      throw new TypeError('Param Publisher must be a class')
+    }
+
+    registry[type] = Publisher
+  }
+
+  // The length of the longest message every publisher can publish
+  //  @return {number} The smallest character limit among the publishers
+  get characterLimit () {
+    return Math.min(...this.publishers.map(({ publisher }) => publisher.characterLimit))
+  }
+
+  // Checks if every publisher can publish a message
+  //  @param  {string} message The message
+  //  @return {boolean} true if the message is within the character limit of every publisher as each of them counts it otherwise false
+  fits (message) {
+    return this.publishers.every(({ publisher }) => {
+      return (publisher.getLength instanceof Function ? publisher.getLength(message) : message.length) <= publisher.characterLimit
+    })
+  }
+
+  // Gets the first publisher of a type
+  //  @param  {string} type The type of publisher
+  //  @return {object} The publisher if one of the type is enabled otherwise undefined
+  getPublisher (type) {
+    const entry = this.publishers.find((entry) => entry.type === type)
+
+    return entry && entry.publisher
+  }
+
+  // Writes an entry to the outbox of the first publisher with one. Does nothing for publishers without an outbox.
+  //  @param  {object} entry Information about an event like a retry
+  //  @return {Promise} A promise that resolves when the entry has been recorded or failed to be recorded. Failures are logged by the publisher.
+  record (entry) {
+    const entryRecorder = this.publishers.find(({ publisher }) => publisher.record instanceof Function)
+
+    return entryRecorder ? entryRecorder.publisher.record(entry).catch(() => {}) : Promise.resolve()
+  }
+
+  // Sends a message to every publisher
+  //  @param  {string} message The message to be published
+  //  @param  {object=} metadata Information about the message
+  //    {string} type The kind of message. e.g. "forecast", "alert", "error"
+  //  @return {Promise} A promise that resolves to a list of the results of publishers that succeeded.
+  //    Rejects with the first publisher's error if all publishers failed.
+  publish (message, metadata) {
+    return Promise.allSettled(this.publishers.map(({ publisher }) => {
+      return Promise.resolve().then(() => publisher.publish(message, metadata))
+    })).then((results) => {
+      const published = []
+      const errors = []
+
+      results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+          published.push(result.value)
+        } else {
+          this.logger.error(`Publisher ${this.publishers[i].type} failed`)
+          this.logger.error(result.reason)
+          errors.push(result.reason)
+        }
+      })
+
+      if (!published.length) {
+        throw errors[0]
+      }
+
+      return published
+    })
+  }
+}
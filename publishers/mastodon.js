@@ -0,0 +1,74 @@
+'use strict'
+
+const messageLength = require('../messageLength.js')
+const promise = require('../promise.js')
+
+const DEFAULT_CHARACTER_LIMIT = 500
+
+/** @fileoverview Publishes messages as statuses to a Mastodon compatible instance. */
+module.exports = class MastodonPublisher {
+  //  @param  {object}    config A publisher entry of type "mastodon" from config.json
+  //  @param  {object}    logger A winston logger
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (config, logger) {
+    if (!(config instanceof Object)) {
+      throw new TypeError('Param config must be an object')
+    }
+
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    if (typeof config.instance !== 'string') {
+      throw new TypeError('Mastodon publisher requires an instance url')
+    }
+
+    if (typeof config.accessToken !== 'string') {
+      throw new TypeError('Mastodon publisher requires an access token')
+    }
+
+    this.accessToken = config.accessToken
+    this.logger = logger
+    this.statusURL = `${config.instance.replace(/\/+$/, '')}/api/v1/statuses`
+    this.visibility = config.visibility || 'public'
+    this.maxCharacters = config.characterLimit || DEFAULT_CHARACTER_LIMIT
+  }
+
+  // The maximum length of a single status
+  //  @return {number} The number of characters allowed in a status on the instance
+  get characterLimit () {
+    return this.maxCharacters
+  }
+
+  // Measures a message the way Mastodon counts it toward the character limit
+  //  @param  {string} message The message
+  //  @return {number} The length of the message. See messageLength.getStatusLength
+  getLength (message) {
+    return messageLength.getStatusLength(message)
+  }
+
+  // Posts a status
+  //  @param  {string} message The message to be published
+  //  @param  {object=} metadata Information about the message
+  //  @return {Promise} A promise that resolves to the created status. See https://docs.joinmastodon.org/methods/statuses/ for details about the structure of the Object.
+  publish (message, metadata) {
+    if (this.getLength(message) > this.maxCharacters) {
+      return Promise.reject(new Error(`Message too long: ${message}`))
+    }
+
+    this.logger.info(`Posting ${(metadata && metadata.type) || 'message'} to ${this.statusURL}`)
+
+    const body = JSON.stringify({
+      status: message,
+      visibility: this.visibility
+    })
+
+    return promise.getJSONPromisePost(this.statusURL, {
+      headers: {
+        Authorization: `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, body)
+  }
+}
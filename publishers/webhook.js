@@ -0,0 +1,65 @@
+'use strict'
+
+const promise = require('../promise.js')
+
+/** @fileoverview Publishes messages by posting them as json to a url. */
+module.exports = class WebhookPublisher {
+  //  @param  {object}    config A publisher entry of type "webhook" from config.json
+  //  @param  {object}    logger A winston logger
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (config, logger) {
+    if (!(config instanceof Object)) {
+      throw new TypeError('Param config must be an object')
+    }
+
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    if (typeof config.url !== 'string') {
+      throw new TypeError('Webhook publisher requires a url')
+    }
+
+    this.headers = config.headers || {}
+    this.logger = logger
+    this.maxCharacters = config.characterLimit || Infinity
+    this.url = config.url
+  }
+
+  // The maximum length of a message the webhook accepts
+  //  @return {number} The configured character limit. Infinity if unset.
+  get characterLimit () {
+    return this.maxCharacters
+  }
+
+  // Measures a message
+  //  @param  {string} message The message
+  //  @return {number} The number of UTF-16 code units in the message
+  getLength (message) {
+    return message.length
+  }
+
+  // Posts a message and its metadata as json in the form { "message": "", "metadata": {} }
+  //  @param  {string} message The message to be published
+  //  @param  {object=} metadata Information about the message
+  //  @return {Promise} A promise that resolves to the status code of the response
+  publish (message, metadata) {
+    if (this.getLength(message) > this.maxCharacters) {
+      return Promise.reject(new Error(`Message too long: ${message}`))
+    }
+
+    this.logger.info(`Posting ${(metadata && metadata.type) || 'message'} to webhook`)
+
+    const body = JSON.stringify({
+      message: message,
+      metadata: metadata || {}
+    })
+
+    return promise.postPromise(this.url, {
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }, this.headers)
+    }, body)
+  }
+}
@@ -0,0 +1,450 @@
+'use strict'
+
+const cronParser = require('cron-parser')
+const fs = require('fs')
+const messageLength = require('./messageLength.js')
+const NWSProvider = require('./providers/nws.js')
+const OpenWeatherMapProvider = require('./providers/openWeatherMap.js')
+const path = require('path')
+const Templates = require('./templates.js')
+const TweetWeather = require('./tweetWeather.js')
+const WeatherBot = require('./weatherBot.js')
+const weatherTools = require('./weather.js')
+const Extra = require('./extra.js')
+
+/** @fileoverview Replays the bot's schedule against recorded OpenWeatherMap, NWS, and Twitter responses using a simulated clock.
+  *   The posts made during a replay can be saved as a snapshot and compared against later replays.
+  *
+  *   Usage: node replay.js --fixtures DIR --start DATE [--hours 24] [--config FILE] [--seed 1] [--snapshot FILE] [--update] [--verbose] */
+
+const RealDate = Date
+const realRandom = Math.random
+const threeHours = 10800000
+
+// Generates predictable random numbers so replays can be compared
+// From https://github.com/bryc/code/blob/master/jshash/PRNGs.md#mulberry32
+//  @param  {number} seed The starting state of the generator
+//  @return {function} A function returning numbers in the range [0, 1) like Math.random
+function getSeededRandom (seed) {
+  return function () {
+    let t = seed += 0x6D2B79F5
+    t = Math.imul(t ^ t >>> 15, t | 1)
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61)
+    return ((t ^ t >>> 14) >>> 0) / 4294967296
+  }
+}
+
+// Replaces the global Date with one where the current time is controlled by the replay
+//  @param  {object} clock An object containing now, the current time in ms
+function useSimulatedClock (clock) {
+  global.Date = class SimulatedDate extends RealDate {
+    constructor (...args) {
+      if (args.length) {
+        super(...args)
+      } else {
+        super(clock.now)
+      }
+    }
+
+    static now () {
+      return clock.now
+    }
+  }
+}
+
+// Restores the global Date and Math.random
+function useRealClock () {
+  global.Date = RealDate
+  Math.random = realRandom
+}
+
+// Gets the recording from a sorted list that would have been the latest response at a time
+//  @param  {object[]} recordings A list of objects containing time and data sorted by time
+//  @param  {number} time The time in ms
+//  @return {object} The data of the latest recording at or before time. The earliest recording if all recordings are after time.
+function getRecordingAt (recordings, time) {
+  let recording = recordings[0]
+
+  for (const candidate of recordings) {
+    if (candidate.time <= time) {
+      recording = candidate
+    }
+  }
+
+  return recording && recording.data
+}
+
+// Stands in for a weather provider with its recorded forecasts. Only OpenWeatherMap forecasts are recorded so other providers fail like they're down.
+class ReplayProvider {
+  //  @param  {string} name The name of the provider in the registry. See providers/index.js
+  //  @param  {object} recordings The recorded responses from loadRecordings
+  constructor (name, recordings) {
+    this.name = name
+    this.forecasts = name === 'openWeatherMap' ? recordings.forecasts : []
+  }
+
+  // Gets the forecast that would have been fetched at the current simulated time
+  //  @return {Promise} A promise that resolves to the recorded forecast normalized like a provider's. See providers/index.js
+  getForecastPromise () {
+    const forecastData = getRecordingAt(this.forecasts, Date.now())
+
+    return forecastData ? Promise.resolve(OpenWeatherMapProvider.normalize(forecastData)) : Promise.reject(new Error(`No recorded ${this.name} forecast data`))
+  }
+}
+
+// Fetches forecasts and alerts from recorded responses instead of the network
+class ReplayFetcher extends weatherTools.DataFetcher {
+  //  @param  {object} config The "weather" object from config.json
+  //  @param  {object} logger A winston logger
+  //  @param  {object} recordings The recorded responses from loadRecordings
+  //  @param  {object=} coordinates The "coordinates" object from config.extra. Used to find the observation station nearest the bot.
+  constructor (config, logger, recordings, coordinates) {
+    super(config, logger, coordinates)
+
+    this.recordings = recordings
+
+    // Failover providers are replayed too so a failed forecast falls back like it would live
+    this.provider = new ReplayProvider(config.provider || 'openWeatherMap', recordings)
+
+    if (this.failover) {
+      this.failover.providers = this.failover.providers.map(({ name }) => ({ name, provider: new ReplayProvider(name, recordings) }))
+    }
+  }
+
+  // Gets the alerts that would have been fetched at the current simulated time
+  //  @return {Promise} A promise that resolves to recorded alert data
+  getWeatherAlertsPromise () {
+    this.logger.info('Attempt fetch weather alerts')
+
+    const alertData = getRecordingAt(this.recordings.alerts, Date.now())
+
+    return alertData ? Promise.resolve(alertData) : Promise.reject(new Error('No recorded alert data'))
+  }
+
+  // Gets the alerts that would have been fetched at the current simulated time if they changed since the last call
+  //  @return {Promise} A promise that resolves to recorded alert data or null if the alerts haven't changed
+  getWeatherAlertsIfChangedPromise () {
+    return this.getWeatherAlertsPromise().then((alertData) => {
+      const isModified = alertData !== this.lastAlertData
+
+      this.lastAlertData = alertData
+
+      return isModified ? alertData : null
+    })
+  }
+
+  // Gets the observation that would have been fetched at the current simulated time
+  //  @return {Promise} A promise that resolves to the recorded observation. See NWSProvider.normalizeObservation
+  getObservationPromise () {
+    this.logger.info('Attempt fetch observation')
+
+    const observationData = getRecordingAt(this.recordings.observations, Date.now())
+
+    if (!observationData) {
+      return Promise.reject(new Error('No recorded observation data'))
+    }
+
+    // The station is the last part of its url like "https://api.weather.gov/stations/KCOU"
+    const station = observationData.properties.station.split('/').pop()
+
+    return Promise.resolve(NWSProvider.normalizeObservation(observationData, station))
+  }
+
+  // Gets the One Call data that would have been fetched at the current simulated time
+  //  @return {Promise} A promise that resolves to recorded One Call data
+  getOneCallPromise () {
+    this.logger.info('Attempt fetch nowcast data')
+
+    const oneCallData = getRecordingAt(this.recordings.oneCalls, Date.now())
+
+    return oneCallData ? Promise.resolve(oneCallData) : Promise.reject(new Error('No recorded nowcast data'))
+  }
+}
+
+// Records published messages with the simulated time they were published at
+class ReplayPublisher {
+  //  @param  {number} characterLimit The character limit of the publisher being replayed
+  constructor (characterLimit) {
+    this.characterLimit = characterLimit
+    this.posts = []
+  }
+
+  // Checks if a message is within the character limit as Twitter counts it
+  //  @param  {string} message The message
+  //  @return {boolean} true if the message can be published otherwise false
+  fits (message) {
+    return messageLength.getTweetLength(message) <= this.characterLimit
+  }
+
+  // Records a message
+  //  @param  {string} message The message to be published
+  //  @param  {object=} metadata Information about the message
+  //  @return {Promise} A promise that resolves to the recorded post
+  publish (message, metadata) {
+    if (!this.fits(message)) {
+      return Promise.reject(new Error(`Message too long: ${message}`))
+    }
+
+    const post = {
+      time: new Date().toISOString(),
+      type: (metadata && metadata.type) || 'message',
+      message: message
+    }
+
+    this.posts.push(post)
+
+    return Promise.resolve(post)
+  }
+
+  // Records an event like a retry
+  //  @param  {object} entry Information about the event
+  //  @return {Promise} A resolved promise
+  record (entry) {
+    this.posts.push(Object.assign({ time: new Date().toISOString() }, entry))
+
+    return Promise.resolve()
+  }
+}
+
+module.exports = {
+  // Reads recorded responses from a directory. Files are sorted by their contents:
+  //  OpenWeatherMap forecasts contain "list", One Call responses contain "minutely", NWS alerts contain "features",
+  //  NWS observations contain "properties.timestamp", and twitter timelines are arrays
+  //  @param  {string} directory The path to the directory of recorded responses
+  //  @return {object} An object containing
+  //    {object[]} forecasts Forecast responses and the time they were recorded sorted by time
+  //    {object[]} alerts Alert responses and the time they were recorded sorted by time
+  //    {object[]} oneCalls One Call responses and the time they were recorded sorted by time
+  //    {object[]} observations NWS observations and the time they were made sorted by time
+  //    {object[]} tweets Every recorded tweet
+  loadRecordings (directory) {
+    const recordings = {
+      alerts: [],
+      forecasts: [],
+      oneCalls: [],
+      observations: [],
+      tweets: []
+    }
+
+    fs.readdirSync(directory)
+      .filter((fileName) => path.extname(fileName) === '.json')
+      .forEach((fileName) => {
+        const data = JSON.parse(fs.readFileSync(path.join(directory, fileName)))
+
+        if (data instanceof Array) {
+          recordings.tweets = recordings.tweets.concat(data)
+        } else if (data.list instanceof Array && data.list.length) {
+          // The first forecast is for up to 3 hours after the request
+          recordings.forecasts.push({
+            time: (data.list[0].dt * 1000) - threeHours,
+            data: data
+          })
+        } else if (data.minutely instanceof Array && data.current) {
+          recordings.oneCalls.push({
+            time: data.current.dt * 1000,
+            data: data
+          })
+        } else if (data.features instanceof Array && data.updated) {
+          recordings.alerts.push({
+            time: new Date(data.updated).getTime(),
+            data: data
+          })
+        } else if (data.properties && data.properties.timestamp && data.properties.station) {
+          recordings.observations.push({
+            time: new Date(data.properties.timestamp).getTime(),
+            data: data
+          })
+        }
+      })
+
+    recordings.alerts.sort((a, b) => a.time - b.time)
+    recordings.forecasts.sort((a, b) => a.time - b.time)
+    recordings.oneCalls.sort((a, b) => a.time - b.time)
+    recordings.observations.sort((a, b) => a.time - b.time)
+
+    return recordings
+  },
+
+  // Runs every scheduled job of the bot between 2 times against recorded responses
+  //  @param  {object} options An object containing
+  //    {object} config The contents of a config.json
+  //    {object} recordings The recorded responses from loadRecordings
+  //    {Date} start The time to start the replay
+  //    {Date} end The time to end the replay
+  //    {number=} seed Seeds the random number generator. 1 if unset.
+  //    {number=} characterLimit The character limit for posts. 280 if unset.
+  //    {object=} logger A winston logger. Logs are discarded if unset.
+  //  @return {Promise} A promise that resolves to a list of the posts, retweets, and retries made during the replay
+  replay (options) {
+    const { config, recordings, start, end } = options
+    const logger = options.logger || { info () {}, warn () {}, error () {} }
+    const clock = { now: start.getTime() }
+
+    const publisher = new ReplayPublisher(options.characterLimit || 280)
+    const stats = {
+      lastAlertUpdate: new Date(start),
+      lastUpdate: new Date(start)
+    }
+
+    let retweeter
+
+    if (config.twitter && typeof config.twitter.localStationHandle === 'string') {
+      retweeter = new TweetWeather(config.twitter, logger, stats)
+      retweeter.twitterClient = {
+        get (endpoint, params) {
+          return Promise.resolve(recordings.tweets.filter((tweet) => new Date(tweet.created_at) <= Date.now()))
+        },
+        post (endpoint, params) {
+          const id = endpoint.match(/([0-9]+)\.json$/)[1]
+
+          publisher.record({ type: 'retweet', id: id })
+          return Promise.resolve({})
+        }
+      }
+    }
+
+    // Forecasts and extras are worded the same way like in index.js
+    const templates = new Templates(config.templates, config.language)
+    const bot = new WeatherBot(config, logger, stats, {
+      extraGenerator: new Extra(config.extra, logger, templates),
+      publisher: publisher,
+      retweeter: retweeter,
+      setTimeout: (callback) => setImmediate(callback),
+      templates: templates,
+      weatherFetcher: new ReplayFetcher(config.weather, logger, recordings, config.extra && config.extra.coordinates)
+    })
+
+    // Every time a job would have run in order
+    const runs = []
+
+    bot.getSchedule().forEach((job) => {
+      const interval = cronParser.parseExpression(job.cron, {
+        currentDate: new RealDate(start.getTime() - 1),
+        endDate: new RealDate(end.getTime() - 1),
+        iterator: true,
+        tz: config.timezone
+      })
+
+      while (interval.hasNext()) {
+        runs.push({
+          job: job,
+          time: interval.next().value.getTime()
+        })
+      }
+    })
+
+    runs.sort((a, b) => a.time - b.time)
+
+    useSimulatedClock(clock)
+    Math.random = getSeededRandom(options.seed === undefined ? 1 : options.seed)
+
+    return runs.reduce((replayChain, { job, time }) => {
+      return replayChain.then(() => {
+        clock.now = time
+        logger.info(`Replaying ${job.name} at ${new Date().toISOString()}`)
+
+        return job.run()
+      })
+    }, Promise.resolve())
+      .then(() => publisher.posts)
+      .finally(useRealClock)
+  },
+
+  // Compares the posts of 2 replays
+  //  @param  {object[]} expected The posts from a saved snapshot
+  //  @param  {object[]} actual The posts from the latest replay
+  //  @return {string[]} Lines describing each difference. Empty if the replays are the same.
+  diffSnapshots (expected, actual) {
+    const differences = []
+
+    for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+      const expectedPost = expected[i]
+      const actualPost = actual[i]
+
+      if (JSON.stringify(expectedPost) === JSON.stringify(actualPost)) {
+        continue
+      }
+
+      const post = actualPost || expectedPost
+      differences.push(`@@ post ${i} ${post.type} at ${post.time} @@`)
+
+      const expectedLines = expectedPost ? JSON.stringify(expectedPost, null, 2).split('\n') : []
+      const actualLines = actualPost ? JSON.stringify(actualPost, null, 2).split('\n') : []
+
+      for (let j = 0; j < Math.max(expectedLines.length, actualLines.length); j++) {
+        if (expectedLines[j] !== actualLines[j]) {
+          if (expectedLines[j] !== undefined) {
+            differences.push(`- ${expectedLines[j]}`)
+          }
+
+          if (actualLines[j] !== undefined) {
+            differences.push(`+ ${actualLines[j]}`)
+          }
+        }
+      }
+    }
+
+    return differences
+  }
+}
+
+// Parses --key value pairs from the command line
+//  @param  {string[]} args The command line arguments after the script name
+//  @return {object} The arguments by key. Flags without values are true.
+function parseArgs (args) {
+  const parsed = {}
+
+  for (let i = 0; i < args.length; i++) {
+    const key = args[i].replace(/^--/, '')
+
+    if (args[i + 1] === undefined || args[i + 1].startsWith('--')) {
+      parsed[key] = true
+    } else {
+      parsed[key] = args[++i]
+    }
+  }
+
+  return parsed
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2))
+
+  if (!args.fixtures || !args.start) {
+    console.log('Usage: node replay.js --fixtures DIR --start DATE [--hours 24] [--config FILE] [--seed 1] [--snapshot FILE] [--update] [--verbose]')
+    process.exit(1)
+  }
+
+  const start = new Date(args.start)
+  const end = new Date(start.getTime() + (parseFloat(args.hours || 24) * 3600000))
+  const config = require(path.resolve(args.config || './config.json'))
+  const log = (level) => (message) => console.log(`${level}: ${message instanceof Object && !(message instanceof Error) ? JSON.stringify(message) : message}`)
+
+  module.exports.replay({
+    config: config,
+    recordings: module.exports.loadRecordings(args.fixtures),
+    start: start,
+    end: end,
+    seed: args.seed === undefined ? 1 : parseInt(args.seed),
+    logger: args.verbose ? { info: log('INFO'), warn: log('WARN'), error: log('ERROR') } : undefined
+  }).then((posts) => {
+    if (!args.snapshot) {
+      console.log(JSON.stringify(posts, null, 2))
+    } else if (args.update || !fs.existsSync(args.snapshot)) {
+      fs.writeFileSync(args.snapshot, JSON.stringify(posts, null, 2) + '\n')
+      console.log(`Wrote ${posts.length} posts to ${path.resolve(args.snapshot)}`)
+    } else {
+      const differences = module.exports.diffSnapshots(JSON.parse(fs.readFileSync(args.snapshot)), posts)
+
+      if (differences.length) {
+        console.log(differences.join('\n'))
+        process.exit(1)
+      }
+
+      console.log(`Replay matches ${path.resolve(args.snapshot)}`)
+    }
+  }).catch((error) => {
+    console.log(error)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,75 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+/** @fileoverview Keeps the latest response from each url along with its validators so requests can be conditional.
+  *   Responses are saved to a directory as one json file per url so they survive restarts. */
+module.exports = class ResponseCache {
+  //  @param  {string=}   directory The directory responses are saved to. Responses are only kept in memory if unset.
+  //  @param  {object}    logger A winston logger
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (directory, logger) {
+    if (directory !== undefined && typeof directory !== 'string') {
+      throw new TypeError('Param directory must be a string')
+    }
+
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    this.directory = directory
+    this.entries = {}
+    this.logger = logger
+
+    if (directory && !fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true })
+    }
+  }
+
+  // Gets the file a url's response is saved to. Urls are hashed since they can contain api keys.
+  //  @param  {string} url The url of the request
+  //  @return {string} The path to the file
+  getFile (url) {
+    return path.join(this.directory, `${crypto.createHash('sha1').update(url).digest('hex')}.json`)
+  }
+
+  // Gets the cached response for a url
+  //  @param  {string} url The url of the request
+  //  @return {object} The entry saved by set or undefined if the url has no cached response
+  get (url) {
+    if (!this.entries[url] && this.directory) {
+      const file = this.getFile(url)
+
+      if (fs.existsSync(file)) {
+        try {
+          this.entries[url] = JSON.parse(fs.readFileSync(file))
+        } catch (e) {
+          this.logger.warn(`Could not read cached response ${file}`)
+        }
+      }
+    }
+
+    return this.entries[url]
+  }
+
+  // Caches the response for a url
+  //  @param  {string} url The url of the request
+  //  @param  {object} entry An object containing
+  //    {any} data The parsed response body
+  //    {number} time When the response was received or last revalidated in ms
+  //    {string=} etag The ETag header of the response
+  //    {string=} lastModified The Last-Modified header of the response
+  set (url, entry) {
+    this.entries[url] = entry
+
+    if (this.directory) {
+      try {
+        fs.writeFileSync(this.getFile(url), JSON.stringify(entry))
+      } catch (e) {
+        this.logger.error(e)
+      }
+    }
+  }
+}
@@ -0,0 +1,245 @@
+'use strict'
+
+const _ = require('lodash')
+const Locale = require('./locale.js')
+
+/** @fileoverview Fills in the wording of every message the bot posts.
+  *   Templates are strings with placeholders like "{time}" or "{temp.min}". Defaults are in data/templates.json and can be replaced by config.templates.
+  *   "{{" and "}}" print literal braces. Bilingual messages are rendered in English then Spanish. */
+
+// The languages of bilingual messages in the order they're posted
+const bilingualLanguages = ['en', 'es']
+
+// Matches escaped braces and placeholders
+const placeholderPattern = /\{\{|\}\}|\{([^{}]*)\}/g
+
+// Matches valid placeholder names like "time" or "temp.min"
+const fieldPattern = /^[a-zA-Z][a-zA-Z0-9]*(\.[a-zA-Z][a-zA-Z0-9]*)*$/
+
+// The placeholders each template can use
+const templateFields = {
+  forecast: ['title', 'lines'],
+  forecastTitle: [],
+  forecastTitleTypo: [],
+  forecastTitleCached: ['age'],
+  forecastTitleUpdated: ['changes'],
+  forecastChangePrecipitation: ['time', 'symbol'],
+  forecastChangeWarmer: ['time'],
+  forecastChangeColder: ['time'],
+  forecastChangeWindier: ['time'],
+  forecastLine: ['time', 'symbol', 'condition', 'temp.min', 'temp.max', 'temp.range', 'temp.feelsLike', 'humidity', 'pressure', 'cloudiness', 'wind.speed', 'wind.direction'],
+
+  alert: ['event', 'start', 'end', 'definition', 'severity', 'area'],
+  alertEnd: ['time'],
+  alertNoEnd: [],
+  alertCancel: ['event', 'reason'],
+  alertCancelledEarly: ['time'],
+  alertCancelledAfterEnd: [],
+  alertUpdate: ['event', 'changes'],
+  alertReplaces: ['event'],
+  alertUpgraded: ['from', 'to'],
+  alertDowngraded: ['from', 'to'],
+  alertExtended: ['time'],
+  alertShortened: ['time'],
+  alertNowEnding: ['time'],
+  alertStillInEffect: ['time'],
+  alertStillInEffectNoEnd: [],
+  alertFailure: [],
+
+  beaufort: ['speed', 'description', 'fact'],
+  cloudiness: ['lines'],
+  cloudinessLine: ['time', 'cloudiness'],
+  humidity: ['lines'],
+  humidityLine: ['time', 'humidity'],
+  precipitation: ['lines'],
+  precipitationLine: ['time', 'amounts'],
+  precipitationRain: ['rate'],
+  precipitationSnow: ['rate'],
+  pressure: ['lines'],
+  pressureLine: ['time', 'pressure'],
+  recordColdest: ['day', 'temperature'],
+  recordHottest: ['day', 'temperature'],
+  recordPrecipitation: ['day', 'precipitation'],
+  tutorialBeaufort: [],
+  tutorialIcon: ['icon', 'conditions'],
+  tutorialPressure: ['elevation'],
+
+  day: ['sunrise', 'sunset', 'hours', 'minutes'],
+  night: ['sunrise', 'sunset', 'hours', 'minutes'],
+  lunarPhase: ['phase'],
+  seasonEvent: ['event'],
+  seasonProgress: ['previous.days', 'previous.event', 'next.days', 'next.event'],
+
+  today: ['day', 'symbol', 'condition', 'temp.max', 'temp.min', 'precipitation', 'wind.speed', 'wind.direction'],
+  tomorrow: ['day', 'symbol', 'condition', 'temp.max', 'temp.min', 'precipitation', 'wind.speed', 'wind.direction'],
+  dailyPrecipitation: ['amounts'],
+  dailyNoPrecipitation: [],
+  dailyRain: ['amount'],
+  dailySnow: ['amount'],
+
+  outlook: ['title', 'lines'],
+  outlookTitle: [],
+  outlookLine: ['day', 'weekday', 'symbol', 'condition', 'temp.min', 'temp.max', 'temp.range', 'precipitation'],
+  outlookCompactLine: ['day', 'weekday', 'symbol', 'condition', 'temp.min', 'temp.max', 'temp.range', 'precipitation'],
+  outlookPrecipitation: ['pop'],
+
+  nowcastRain: ['minutes', 'time', 'rate'],
+  nowcastSnow: ['minutes', 'time', 'rate'],
+
+  observation: ['station', 'time', 'symbol', 'condition', 'lines'],
+  observationTemperature: ['temp'],
+  observationTemperatureDewpoint: ['temp', 'dewpoint'],
+  observationWind: ['speed', 'direction', 'gust'],
+  observationWindVariable: ['speed', 'gust'],
+  observationCalm: [],
+  observationGust: ['speed'],
+  observationVisibility: ['visibility']
+}
+
+// Gets a value from an object by a path of dot accessors
+//  @param  {object} values The object
+//  @param  {string} path A path like "temp.min"
+//  @return {any} The value at the path. undefined if the path doesn't exist.
+function getValue (values, path) {
+  return path.split('.').reduce((value, key) => (value instanceof Object ? value[key] : undefined), values)
+}
+
+module.exports = class Templates {
+  //  @param  {object=}   overrides Templates by name that replace the defaults in every language. Usually config.templates.
+  //  @param  {string=}   language A language code like "es" or "bilingual". English if unset.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  //  @throws {RangeError} for an unknown template, placeholder, or language. See validate.
+  constructor (overrides, language) {
+    if (overrides !== undefined && (!(overrides instanceof Object) || overrides instanceof Array)) {
+      throw new TypeError('Param overrides must be an object')
+    }
+
+    const errors = Templates.validate(overrides || {})
+
+    if (errors.length) {
+      throw new RangeError(errors[0])
+    }
+
+    this.language = language || 'en'
+
+    if (this.language === 'bilingual') {
+      // Templates of each language rendered one after another
+      this.translations = bilingualLanguages.map((language) => new Templates(overrides, language))
+      this.locale = this.translations[0].locale
+    } else {
+      this.locale = new Locale(this.language)
+      this.templates = Object.assign({}, this.locale.getCatalog('templates'), overrides)
+      this.translations = [this]
+    }
+  }
+
+  // Lists the languages messages can be posted in
+  //  @return {string[]} The language codes including "bilingual"
+  static getLanguages () {
+    return Locale.getLanguages().concat('bilingual')
+  }
+
+  // Lists the names of every template
+  //  @return {string[]} The template names
+  static getNames () {
+    return Object.keys(templateFields)
+  }
+
+  // Lists the placeholders a template can use
+  //  @param  {string} name The name of the template
+  //  @return {string[]} The placeholder names. undefined for an unknown template.
+  static getFields (name) {
+    return templateFields[name]
+  }
+
+  // Finds the placeholders in a template
+  //  @param  {string} template The template
+  //  @return {string[]} The placeholder names in the order they appear
+  static getPlaceholders (template) {
+    const placeholders = []
+
+    template.replace(placeholderPattern, (match, field) => {
+      if (field !== undefined) {
+        placeholders.push(field)
+      }
+
+      return match
+    })
+
+    return placeholders
+  }
+
+  // Checks templates for mistakes
+  //  @param  {object} templates Templates by name
+  //  @return {string[]} A description of each mistake. Empty if there are none.
+  static validate (templates) {
+    const errors = []
+
+    Object.keys(templates).forEach((name) => {
+      const template = templates[name]
+      const fields = templateFields[name]
+
+      if (!fields) {
+        errors.push(`Unknown template "${name}"`)
+        return
+      }
+
+      if (typeof template !== 'string') {
+        errors.push(`Template "${name}" must be a string`)
+        return
+      }
+
+      Templates.getPlaceholders(template).forEach((field) => {
+        if (!fieldPattern.test(field)) {
+          errors.push(`Template "${name}" has a malformed placeholder "{${field}}"`)
+        } else if (!fields.includes(field)) {
+          errors.push(`Template "${name}" has unknown placeholder "{${field}}". Available placeholders are ${fields.map((field) => `{${field}}`).join(', ') || 'none'}`)
+        }
+      })
+
+      // Braces not part of a placeholder or an escape
+      if (/[{}]/.test(template.replace(placeholderPattern, ''))) {
+        errors.push(`Template "${name}" has an unmatched brace. Use "{{" or "}}" for literal braces`)
+      }
+    })
+
+    return errors
+  }
+
+  // Writes a message in each language. Text that reads the same in every language is only written once.
+  //  @param  {function} getText Gets the text in a language. Called with the single language Templates of each language.
+  //  @return {string} The text of each language separated by " / " or by a blank line if any of them has several lines
+  translate (getText) {
+    const texts = _.uniq(this.translations.map(getText))
+
+    return texts.join(texts.some((text) => text.includes('\n')) ? '\n\n' : ' / ')
+  }
+
+  // Fills in a template in each language
+  //  @param  {string} name The name of the template
+  //  @param  {(object|function)=} values The values of the placeholders. Nested objects are reached with dots like "temp.min".
+  //    Values that depend on the language like translated names are given by a function called with the single language Templates of each language.
+  //  @return {string} The template with its placeholders replaced. Missing values are left empty.
+  //  @throws {RangeError} for an unknown template
+  render (name, values) {
+    return this.translate((templates) => {
+      const template = templates.templates[name]
+
+      if (template === undefined) {
+        throw new RangeError(`Unknown template ${name}`)
+      }
+
+      const languageValues = (typeof values === 'function' ? values(templates) : values) || {}
+
+      return template.replace(placeholderPattern, (match, field) => {
+        if (field === undefined) {
+          return match[0]
+        }
+
+        const value = getValue(languageValues, field)
+
+        return value === undefined || value === null ? '' : String(value)
+      })
+    })
+  }
+}
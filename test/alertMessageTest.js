@@ -0,0 +1,80 @@
+const expect = require('chai').expect
+const weatherTools = require('../weather.js')
+
+// Makes an alert in the form returned by api.weather.gov/alerts
+//  @param  {object} properties The properties of the alert that differ from the defaults
+//  @return {object} An alert
+function makeAlert (properties) {
+  return {
+    properties: Object.assign({
+      id: 'alert',
+      event: 'Flood Watch',
+      messageType: 'Alert',
+      severity: 'Moderate',
+      sent: '2019-07-15T04:00:00-05:00',
+      effective: '2019-07-15T04:00:00-05:00',
+      ends: '2019-07-16T19:00:00-05:00'
+    }, properties)
+  }
+}
+
+// A posted alert as stored by AlertStore
+const previous = {
+  id: 'previous',
+  event: 'Flood Watch',
+  messageType: 'Alert',
+  severity: 'Moderate',
+  sent: '2019-07-14T16:00:00-05:00',
+  ends: '2019-07-16T07:00:00-05:00'
+}
+
+describe('Alert Messages', function () {
+  it('should describe new alerts', function () {
+    const message = weatherTools.getAlertMessage(makeAlert())
+
+    expect(message).to.match(/^ALERT: Flood Watch\nLasting from /)
+  })
+
+  it('should describe updates without a posted original as new alerts', function () {
+    const message = weatherTools.getAlertMessage(makeAlert({ messageType: 'Update' }), undefined, [])
+
+    expect(message).to.match(/^ALERT: Flood Watch/)
+  })
+
+  it('should describe extended end times of updates', function () {
+    const message = weatherTools.getAlertMessage(makeAlert({ messageType: 'Update' }), undefined, [previous])
+
+    expect(message).to.match(/^UPDATE: Flood Watch\nExtended to /)
+  })
+
+  it('should describe upgraded severities and events of updates', function () {
+    const alert = makeAlert({
+      event: 'Flood Warning',
+      messageType: 'Update',
+      severity: 'Severe',
+      ends: previous.ends
+    })
+    const message = weatherTools.getAlertMessage(alert, undefined, [previous])
+
+    expect(message).to.equal('UPDATE: Flood Warning\nReplaces the Flood Watch\nUpgraded from Moderate to Severe')
+  })
+
+  it('should say when an update changes nothing followers can see', function () {
+    const alert = makeAlert({ messageType: 'Update', ends: previous.ends })
+
+    expect(weatherTools.getAlertMessage(alert, undefined, [previous])).to.match(/\nStill in effect until /)
+  })
+
+  it('should say when an alert is cancelled early', function () {
+    const ongoing = Object.assign({}, previous, { ends: new Date(Date.now() + 3600000).toISOString() })
+    const message = weatherTools.getAlertMessage(makeAlert({ messageType: 'Cancel' }), undefined, [ongoing])
+
+    expect(message).to.match(/^CANCELLED: Flood Watch\nCancelled early\. /)
+  })
+
+  it('should not say an alert was cancelled early after it was supposed to end', function () {
+    const message = weatherTools.getAlertMessage(makeAlert({ messageType: 'Cancel' }), undefined, [previous])
+
+    expect(message).to.equal('CANCELLED: Flood Watch\nThe alert is no longer in effect.')
+  })
+})
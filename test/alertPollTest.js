@@ -0,0 +1,100 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+const fs = require('fs')
+const MockServer = require('../mockServer.js')
+const os = require('os')
+const path = require('path')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Alert Polls', function () {
+  const app = { contact: 'bot@example.com', name: 'WeatherBot', version: '1.0', website: 'https://example.com' }
+  const fixture = path.join(os.tmpdir(), `alertPollTest-${process.pid}.json`)
+  let mockServer
+  let baseURL
+
+  before(function () {
+    const alerts = require('./exampleAlerts4.json')
+    const tomorrow = new Date(Date.now() + 86400000).toISOString()
+
+    // One current alert so it isn't skipped as expired
+    fs.writeFileSync(fixture, JSON.stringify(Object.assign({}, alerts, {
+      features: [Object.assign({}, alerts.features[0], {
+        properties: Object.assign({}, alerts.features[0].properties, { expires: tomorrow, ends: tomorrow })
+      })]
+    })))
+
+    mockServer = new MockServer({ fixtures: { alerts: fixture } })
+
+    return mockServer.listen().then((url) => {
+      baseURL = url
+    })
+  })
+
+  after(function () {
+    fs.unlinkSync(fixture)
+
+    return mockServer.close()
+  })
+
+  beforeEach(function () {
+    mockServer.reset()
+  })
+
+  // Makes a bot polling the mock server for alerts. Every alert counts as urgent.
+  //  @param  {function} publish Stands in for the publisher's publish
+  //  @return {WeatherBot} The bot
+  function createPollingBot (publish) {
+    const weather = {
+      openWeatherMap: { key: 'KEY', location: { id: 4381982 } },
+      alerts: { app, baseURL, params: { zone: 'MOZ041' }, poll: { severity: 'Unknown', urgency: 'Unknown' } }
+    }
+
+    return createBot({
+      config: { weather },
+      weatherFetcher: new weatherTools.DataFetcher(weather, logger),
+      publisher: { publish }
+    }).bot
+  }
+
+  it('should skip alerts that are unchanged since the last poll', function () {
+    const posts = []
+    const bot = createPollingBot((message) => {
+      posts.push(message)
+      return Promise.resolve([])
+    })
+
+    return bot.tweetAlerts(true)
+      .then(() => bot.tweetAlerts(true))
+      .then(() => {
+        expect(posts).to.have.lengthOf(1)
+        expect(mockServer.requests[1].headers['if-none-match']).to.be.a('string')
+      })
+  })
+
+  it('should retry urgent alerts that failed to post on the next poll', function () {
+    const posts = []
+    let isDown = true
+    const bot = createPollingBot((message) => {
+      if (isDown) {
+        return Promise.reject(new Error('Request Failed. Status Code: 503'))
+      }
+
+      posts.push(message)
+      return Promise.resolve([])
+    })
+
+    return bot.tweetAlerts(true).then(() => {
+      throw new Error('Expected tweetAlerts to fail')
+    }, (error) => {
+      expect(error.message).to.equal('Request Failed. Status Code: 503')
+      isDown = false
+
+      return bot.tweetAlerts(true)
+    }).then(() => {
+      expect(posts).to.have.lengthOf(1)
+      expect(mockServer.requests[1].headers['if-none-match']).to.equal(undefined)
+    })
+  })
+})
@@ -0,0 +1,110 @@
+const AlertStore = require('../alertStore.js')
+const expect = require('chai').expect
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+// Makes an alert in the form returned by api.weather.gov/alerts
+//  @param  {string} id The id of the alert
+//  @param  {string} messageType One of "Alert", "Update", or "Cancel"
+//  @param  {string[]=} references The ids of the alerts the alert replaces
+//  @param  {string=} expires When the alert expires. A day from now if unset.
+//  @return {object} An alert
+function makeAlert (id, messageType, references, expires) {
+  return {
+    properties: {
+      id: id,
+      event: 'Flood Warning',
+      messageType: messageType,
+      expires: expires || new Date(Date.now() + 86400000).toISOString(),
+      references: (references || []).map((identifier) => ({ identifier }))
+    }
+  }
+}
+
+describe('Alert Store', function () {
+  describe('classify', function () {
+    let store
+
+    beforeEach(function () {
+      store = new AlertStore(undefined, logger)
+      store.add(makeAlert('original', 'Alert'))
+    })
+
+    it('should classify unseen alerts as new', function () {
+      expect(store.classify(makeAlert('other', 'Alert'))).to.equal('new')
+    })
+
+    it('should skip alerts that have been posted', function () {
+      expect(store.classify(makeAlert('original', 'Alert'))).to.equal(null)
+    })
+
+    it('should classify updates to posted alerts as updates', function () {
+      expect(store.classify(makeAlert('update', 'Update', ['original']))).to.equal('update')
+    })
+
+    it('should classify updates to alerts that were never posted as new', function () {
+      expect(store.classify(makeAlert('update', 'Update', ['unknown']))).to.equal('new')
+    })
+
+    it('should only post cancellations of posted alerts', function () {
+      expect(store.classify(makeAlert('cancel', 'Cancel', ['original']))).to.equal('cancel')
+      expect(store.classify(makeAlert('cancel', 'Cancel', ['unknown']))).to.equal(null)
+    })
+  })
+
+  describe('add', function () {
+    it('should mark referenced alerts as replaced', function () {
+      const store = new AlertStore(undefined, logger)
+
+      store.add(makeAlert('original', 'Alert'))
+      store.add(makeAlert('update', 'Update', ['original']))
+
+      expect(store.alerts.original.replacedBy).to.equal('update')
+      expect(store.alerts.update.references).to.deep.equal(['original'])
+    })
+  })
+
+  describe('prune', function () {
+    it('should remove alerts that have expired', function () {
+      const store = new AlertStore(undefined, logger)
+
+      store.add(makeAlert('expired', 'Alert', [], '2019-07-15T05:00:00-05:00'))
+      store.add(makeAlert('active', 'Alert'))
+
+      expect(store.prune()).to.equal(1)
+      expect(store.has('expired')).to.equal(false)
+      expect(store.has('active')).to.equal(true)
+    })
+
+    it('should keep alerts that have expired but not ended', function () {
+      const store = new AlertStore(undefined, logger)
+      const alert = makeAlert('ongoing', 'Alert', [], '2019-07-15T05:00:00-05:00')
+
+      alert.properties.ends = new Date(Date.now() + 3600000).toISOString()
+      store.add(alert)
+
+      expect(store.prune()).to.equal(0)
+    })
+  })
+
+  describe('save', function () {
+    it('should remember posted alerts between instances', function () {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherbot-'))
+      const file = path.join(tempDir, 'alerts.json')
+
+      try {
+        const store = new AlertStore(file, logger)
+
+        store.add(makeAlert('original', 'Alert'))
+        store.save()
+
+        expect(new AlertStore(file, logger).has('original')).to.equal(true)
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true })
+      }
+    })
+  })
+})
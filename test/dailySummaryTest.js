@@ -0,0 +1,103 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+const DateFormatter = require('../dateFormatter.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const Templates = require('../templates.js')
+const UnitFormatter = require('../unitFormatter.js')
+const weatherTools = require('../weather.js')
+
+describe('Daily Summaries', function () {
+  const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+  const dateFormatter = new DateFormatter('America/Chicago')
+
+  describe('summarizeDay', function () {
+    it('should sum up the 3 hour forecasts in the day', function () {
+      const summary = weatherTools.summarizeDay(weatherData, new Date('2019-07-02T17:00:00Z'), dateFormatter)
+
+      expect(summary.high).to.equal(30.31)
+      expect(summary.low).to.equal(21.35)
+      expect(summary.rain).to.be.closeTo(4.25, 0.001)
+      expect(summary.snow).to.equal(0)
+      expect(summary.wind).to.deep.equal({ speed: 2.71, deg: 230.578 })
+      expect(summary.conditionId).to.equal(804)
+    })
+
+    it('should pick the earliest of equally common conditions', function () {
+      const periods = [800, 500, 500, 800].map((conditionId, i) => ({
+        time: new Date((1561960800 + i * 10800) * 1000),
+        conditionId: conditionId,
+        temp: { max: 20, min: 10 },
+        wind: { speed: 1, deg: 0 }
+      }))
+
+      expect(weatherTools.summarizeDay({ periods }, new Date('2019-07-01T17:00:00Z'), dateFormatter).conditionId).to.equal(800)
+    })
+
+    it('should use the day in the time zone', function () {
+      const summary = weatherTools.summarizeDay(weatherData, new Date('2019-07-01T17:00:00Z'), dateFormatter)
+
+      expect(summary.high).to.equal(31.56)
+      expect(summary.low).to.equal(21.56)
+    })
+
+    it('should be undefined for a day past the end of the forecast', function () {
+      expect(weatherTools.summarizeDay(weatherData, new Date('2019-07-10T17:00:00Z'), dateFormatter)).to.equal(undefined)
+    })
+
+    it('should throw a TypeError without a date', function () {
+      expect(() => weatherTools.summarizeDay(weatherData, '2019-07-02')).to.throw(TypeError)
+    })
+  })
+
+  describe('generateDailyMessage', function () {
+    const date = new Date('2019-07-02T17:00:00Z')
+    const summary = weatherTools.summarizeDay(weatherData, date, dateFormatter)
+
+    it('should describe the day', function () {
+      const message = weatherTools.generateDailyMessage('today', summary, date, dateFormatter)
+
+      expect(message).to.equal('Today, Tue Jul 02: ☁️ Overcast\nHigh 30°C, low 21°C\n☔ 4.3mm of rain expected\n💨 Up to 2.7 m/s ↗️')
+    })
+
+    it('should say when no rain or snow is expected', function () {
+      const message = weatherTools.generateDailyMessage('tomorrow', Object.assign({}, summary, { rain: 0.01 }), date, dateFormatter)
+
+      expect(message).to.match(/^Tomorrow, Tue Jul 02: /)
+      expect(message).to.include('\nNo rain or snow expected\n')
+    })
+
+    it('should list rain and snow in the unit system', function () {
+      const message = weatherTools.generateDailyMessage('today', Object.assign({}, summary, { snow: 25.4 }), date, dateFormatter, new UnitFormatter('imperial'))
+
+      expect(message).to.include('☔ 0.17in of rain, 1.00in of snow expected')
+    })
+
+    it('should write the day in each language', function () {
+      const message = weatherTools.generateDailyMessage('tomorrow', summary, date, dateFormatter, undefined, new Templates(undefined, 'bilingual'))
+
+      expect(message).to.match(/^Tomorrow, Tue Jul 02: ☁️ Overcast\n/)
+      expect(message).to.include('\n\nMañana, mar 02 jul: ☁️ Cubierto\nMáxima 30°C, mínima 21°C\n☔ Se esperan 4.3mm de lluvia\n')
+    })
+  })
+
+  describe('jobs', function () {
+    function createScheduledBot (jobs) {
+      return createBot({ config: { jobs } }).bot
+    }
+
+    it('should not schedule summaries unless configured', function () {
+      const names = createScheduledBot(undefined).getSchedule().map(({ name }) => name)
+
+      expect(names).to.not.include('today')
+      expect(names).to.not.include('tomorrow')
+    })
+
+    it('should schedule configured summaries at their default times', function () {
+      const schedule = createScheduledBot({ today: {}, tomorrow: { disabled: true } }).getSchedule()
+      const today = schedule.find(({ name }) => name === 'today')
+
+      expect(today.cron).to.equal('0 7 * * *')
+      expect(schedule.map(({ name }) => name)).to.not.include('tomorrow')
+    })
+  })
+})
@@ -0,0 +1,60 @@
+const DateFormatter = require('../dateFormatter.js')
+const expect = require('chai').expect
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const weatherTools = require('../weather.js')
+
+// 2019-07-15 20:05 UTC is 15:05 in Columbia, MO
+const date = new Date('2019-07-15T20:05:00Z')
+
+describe('Date Formatter', function () {
+  it('should format times in an IANA time zone', function () {
+    const dateFormatter = new DateFormatter('America/Chicago')
+
+    expect(dateFormatter.formatTime(date)).to.equal('15:05')
+    expect(dateFormatter.formatDay(date)).to.equal('Mon Jul 15')
+  })
+
+  it('should format times with a UTC offset in seconds', function () {
+    const dateFormatter = new DateFormatter(undefined, -18000)
+
+    expect(dateFormatter.formatHour(date)).to.equal('15')
+    expect(dateFormatter.getHour(date)).to.equal(15)
+  })
+
+  it('should prefer the time zone to the offset', function () {
+    expect(new DateFormatter('Asia/Tokyo', -18000).formatTime(date)).to.equal('05:05')
+  })
+
+  it('should change the day when the time zone is past midnight', function () {
+    const dateFormatter = new DateFormatter('Asia/Tokyo')
+
+    expect(dateFormatter.formatDay(date)).to.equal('Tue Jul 16')
+    expect(dateFormatter.formatMonthDay(date)).to.equal('Jul 16')
+  })
+
+  it('should format midnight as 00', function () {
+    expect(new DateFormatter('UTC').formatHour(new Date('2019-07-15T00:00:00Z'))).to.equal('00')
+  })
+
+  it('should throw a RangeError for an unknown time zone', function () {
+    expect(() => new DateFormatter('Mars/Olympus_Mons')).to.throw(RangeError)
+  })
+
+  describe('generateForecastMessage', function () {
+    const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+
+    it('should use the offset the provider gives for the location by default', function () {
+      const hours = weatherTools.generateForecastMessage(weatherData).match(/^[0-9]{2}(?=:00:)/gm)
+      const expected = weatherData.periods.slice(0, 3).map(({ time }) => new DateFormatter(undefined, weatherData.location.utcOffset).formatHour(time))
+
+      expect(hours).to.deep.equal(expected)
+    })
+
+    it('should use the given formatter', function () {
+      const dateFormatter = new DateFormatter('Asia/Tokyo')
+      const hours = weatherTools.generateForecastMessage(weatherData, dateFormatter).match(/^[0-9]{2}(?=:00:)/gm)
+
+      expect(hours).to.deep.equal(weatherData.periods.slice(0, 3).map(({ time }) => dateFormatter.formatHour(time)))
+    })
+  })
+})
@@ -0,0 +1,186 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+const MockServer = require('../mockServer.js')
+const NWSProvider = require('../providers/nws.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Provider Failover', function () {
+  const app = { contact: 'bot@example.com', name: 'WeatherBot', version: '1.0', website: 'https://example.com' }
+  const owmForecast = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+  const nwsForecast = NWSProvider.normalize(require('./sampleNWSHourly.json'), require('./sampleNWSPoint.json'))
+  const down = () => Promise.reject(new Error('Request Failed. Status Code: 503'))
+
+  // Makes a fetcher with an OpenWeatherMap primary and an NWS failover. Neither sends requests.
+  //  @param  {function} getNWSForecast Stands in for the NWS provider's getForecastPromise
+  //  @param  {object=} failover Settings for config.weather.failover
+  //  @return {DataFetcher} The fetcher
+  function makeFetcher (getNWSForecast, failover) {
+    const fetcher = new weatherTools.DataFetcher({
+      openWeatherMap: { key: 'KEY', location: { lat: 38.9517, lon: -92.3341 } },
+      nws: { app },
+      failover: Object.assign({ providers: ['nws'] }, failover)
+    }, logger)
+
+    fetcher.provider.getForecastPromise = down
+    fetcher.failover.providers[0].provider.getForecastPromise = getNWSForecast
+
+    return fetcher
+  }
+
+  describe('getFallbackForecastPromise', function () {
+    it('should use the failover provider', function () {
+      return makeFetcher(() => Promise.resolve(nwsForecast)).getFallbackForecastPromise().then((forecast) => {
+        expect(forecast).to.equal(nwsForecast)
+      })
+    })
+
+    it('should use the latest forecast when every provider is down', function () {
+      const fetcher = makeFetcher(down)
+      const time = new Date(Date.now() - 7200000)
+
+      fetcher.lastForecast = { time, forecast: owmForecast }
+
+      return fetcher.getFallbackForecastPromise().then((forecast) => {
+        expect(forecast.cachedAt).to.equal(time)
+        expect(forecast.periods).to.equal(owmForecast.periods)
+        expect(owmForecast.cachedAt).to.equal(undefined)
+      })
+    })
+
+    it('should fail when the latest forecast is too old', function () {
+      const fetcher = makeFetcher(down, { maxAgeHours: 1 })
+
+      fetcher.lastForecast = { time: new Date(Date.now() - 7200000), forecast: owmForecast }
+
+      return fetcher.getFallbackForecastPromise().then(() => {
+        throw new Error('Expected getFallbackForecastPromise to fail')
+      }, (error) => {
+        expect(error.message).to.equal('Request Failed. Status Code: 503')
+      })
+    })
+  })
+
+  describe('generateForecastMessage', function () {
+    it('should say how old a cached forecast is', function () {
+      const cached = Object.assign({}, owmForecast, { cachedAt: new Date(Date.now() - 10800000) })
+
+      expect(weatherTools.generateForecastMessage(cached)).to.match(/^⚠️ Forecast from 3 hours ago\n/)
+      expect(weatherTools.generateForecastMessage(Object.assign({}, cached, { cachedAt: new Date(Date.now() - 60000) }))).to.match(/^⚠️ Forecast from 1 minute ago\n/)
+    })
+  })
+
+  describe('retriesExhausted', function () {
+    it('should tweet the forecast from the failover provider', function () {
+      const { bot, posts, stats } = createBot({ weatherFetcher: makeFetcher(() => Promise.resolve(nwsForecast)) })
+
+      return bot.retriesExhausted(new Error('Request Failed. Status Code: 503')).then(() => {
+        expect(posts).to.have.lengthOf(1)
+        expect(posts[0].metadata.type).to.equal('forecast')
+        expect(posts[0].message).to.include('\n15:00:🌥️, [31,32]°C')
+        expect(stats.forecastSources).to.deep.equal({ nws: 1 })
+        expect(stats.lastForecastSource).to.equal('nws')
+      })
+    })
+
+    it('should record a cached forecast as its own source', function () {
+      const fetcher = makeFetcher(down)
+
+      fetcher.lastForecast = { time: new Date(Date.now() - 3600000), forecast: owmForecast }
+
+      const { bot, posts, stats } = createBot({ weatherFetcher: fetcher })
+
+      return bot.retriesExhausted(new Error('Request Failed. Status Code: 503')).then(() => {
+        expect(posts[0].message).to.match(/^⚠️ Forecast from 1 hour ago\n/)
+        expect(stats.lastForecastSource).to.equal('cache')
+      })
+    })
+
+    it('should tweet the error joke when nothing is left', function () {
+      const { bot, posts, stats } = createBot({ weatherFetcher: makeFetcher(down) })
+
+      return bot.retriesExhausted(new Error('Request Failed. Status Code: 503')).then(() => {
+        expect(posts).to.have.lengthOf(1)
+        expect(posts[0].metadata).to.deep.equal({ type: 'error' })
+        expect(stats.forecastSources).to.equal(undefined)
+      })
+    })
+
+    it('should tweet the error joke without failover', function () {
+      const { bot, posts } = createBot({ weatherFetcher: { getForecastPromise: down } })
+
+      return bot.retriesExhausted(new Error('Request Failed. Status Code: 503')).then(() => {
+        expect(posts[0].metadata).to.deep.equal({ type: 'error' })
+      })
+    })
+  })
+  describe('with the response cache', function () {
+    let mockServer
+    let baseURL
+
+    before(function () {
+      mockServer = new MockServer()
+
+      return mockServer.listen().then((url) => {
+        baseURL = url
+      })
+    })
+
+    after(function () {
+      return mockServer.close()
+    })
+
+    beforeEach(function () {
+      mockServer.reset()
+    })
+
+    // Makes a bot whose OpenWeatherMap forecast is cached then makes the mock server fail
+    //  @param  {function} getNWSForecast Stands in for the NWS provider's getForecastPromise
+    //  @return {Promise} A promise that resolves to an object containing the bot, its posts, and its stats
+    function createBotWithCachedForecast (getNWSForecast) {
+      const weather = {
+        cache: { maxStaleHours: 6 },
+        openWeatherMap: { baseURL, key: 'KEY', location: { lat: 38.9517, lon: -92.3341 } },
+        nws: { app },
+        failover: { providers: ['nws'] }
+      }
+      const weatherFetcher = new weatherTools.DataFetcher(weather, logger)
+      const { bot, posts, stats } = createBot({ config: { jobs: { forecast: { retries: 0 } }, weather }, weatherFetcher })
+
+      weatherFetcher.failover.providers[0].provider.getForecastPromise = getNWSForecast
+
+      return weatherFetcher.getForecastPromise().then(() => {
+        const url = weatherFetcher.provider.weatherRequestURL
+        const entry = weatherFetcher.responseCache.get(url)
+
+        weatherFetcher.responseCache.set(url, Object.assign({}, entry, { time: Date.now() - 3600000 }))
+        weatherFetcher.lastForecast = undefined
+        mockServer.setMode('forecast', 'error')
+
+        return { bot, posts, stats }
+      })
+    }
+
+    it('should try the failover provider before the cached forecast', function () {
+      return createBotWithCachedForecast(() => Promise.resolve(nwsForecast)).then(({ bot, posts, stats }) => {
+        return bot.runForecastJob().then(() => {
+          expect(posts).to.have.lengthOf(1)
+          expect(posts[0].message).to.include('\n15:00:🌥️, [31,32]°C')
+          expect(stats.lastForecastSource).to.equal('nws')
+        })
+      })
+    })
+
+    it('should post the cached forecast when the failover provider is down too', function () {
+      return createBotWithCachedForecast(down).then(({ bot, posts, stats }) => {
+        return bot.runForecastJob().then(() => {
+          expect(posts).to.have.lengthOf(1)
+          expect(posts[0].message).to.match(/^⚠️ Forecast from 1 hour ago\n/)
+          expect(stats.lastForecastSource).to.equal('cache')
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,215 @@
+const createBot = require('./helpers/createBot.js')
+const DateFormatter = require('../dateFormatter.js')
+const expect = require('chai').expect
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const Templates = require('../templates.js')
+const weatherTools = require('../weather.js')
+
+describe('Forecast Updates', function () {
+  const forecast = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+
+  // Copies the forecast with one 3 hour forecast changed
+  //  @param  {number} index The 3 hour forecast to change
+  //  @param  {object} values The values to replace
+  //  @return {object} The changed forecast
+  function change (index, values) {
+    return Object.assign({}, forecast, {
+      periods: forecast.periods.map((period, i) => i === index ? Object.assign({}, period, values) : period)
+    })
+  }
+
+  describe('detectForecastChanges', function () {
+    it('should find nothing in the same forecast', function () {
+      expect(weatherTools.detectForecastChanges(forecast, forecast)).to.deep.equal([])
+    })
+
+    it('should find rain that is newly expected', function () {
+      const changes = weatherTools.detectForecastChanges(forecast, change(1, { conditionId: 501, rain: 4.2 }))
+
+      expect(changes).to.deep.equal([{ type: 'precipitation', time: new Date('2019-07-01T03:00:00Z'), conditionId: 501 }])
+      expect(weatherTools.detectForecastChanges(change(1, { conditionId: 500 }), change(1, { conditionId: 501 }))).to.deep.equal([])
+    })
+
+    it('should find temperature shifts over the threshold', function () {
+      const colder = change(2, { temp: { min: 16, max: 17 } })
+
+      expect(weatherTools.detectForecastChanges(forecast, colder)).to.deep.equal([{ type: 'temperature', time: new Date('2019-07-01T06:00:00Z'), conditionId: 800, difference: -6 }])
+      expect(weatherTools.detectForecastChanges(forecast, colder, { temperature: 6 })).to.deep.equal([])
+      expect(weatherTools.detectForecastChanges(forecast, colder, { temperature: false })).to.deep.equal([])
+    })
+
+    it('should find wind rising a beaufort level', function () {
+      const windier = change(0, { wind: { speed: 3.5, deg: 300 } })
+
+      expect(weatherTools.detectForecastChanges(forecast, windier)).to.deep.equal([{ type: 'wind', time: new Date('2019-07-01T00:00:00Z'), conditionId: 800, difference: 2 }])
+      expect(weatherTools.detectForecastChanges(forecast, windier, { beaufort: 3 })).to.deep.equal([])
+      expect(weatherTools.detectForecastChanges(windier, forecast)).to.deep.equal([])
+    })
+
+    it('should only compare the forecasts that are posted', function () {
+      const later = change(3, { conditionId: 501 })
+
+      expect(weatherTools.detectForecastChanges(forecast, later)).to.deep.equal([])
+      expect(weatherTools.detectForecastChanges(forecast, later, {}, 4)).to.have.lengthOf(1)
+    })
+  })
+
+  describe('generateForecastMessage', function () {
+    const changes = weatherTools.detectForecastChanges(forecast, change(1, { conditionId: 501, temp: { min: 17, max: 18 } }))
+
+    it('should say what changed in the title', function () {
+      const message = weatherTools.generateForecastMessage(Object.assign({}, forecast, { changes }))
+
+      expect(message).to.match(/^🔄 Updated forecast: 🌧️ from 22:00, 🌡️ colder at 22:00\n19:00:☀️/)
+    })
+
+    it('should say what changed in each language', function () {
+      const message = weatherTools.generateForecastMessage(Object.assign({}, forecast, { changes }), undefined, undefined, new Templates(undefined, 'es'))
+
+      expect(message).to.match(/^🔄 Pronóstico actualizado: 🌧️ desde las 22:00, 🌡️ más frío a las 22:00\n/)
+    })
+  })
+
+  describe('jobs', function () {
+    // Makes a bot whose scheduled forecast is far enough away that updates aren't left to it unless jobs.forecast is set
+    function createUpdateBot (jobs, forecastData) {
+      return createBot({
+        config: { jobs: Object.assign({ forecast: { cron: '0 0 1 1 *' } }, jobs) },
+        weatherFetcher: { getForecastPromise: () => Promise.resolve(forecastData) }
+      })
+    }
+
+    it('should only schedule updates when configured', function () {
+      expect(createUpdateBot(undefined).bot.getSchedule().map(({ name }) => name)).to.not.include('update')
+      expect(createUpdateBot({ update: {} }).bot.getSchedule().find(({ name }) => name === 'update').cron).to.equal('*/30 * * * *')
+    })
+
+    it('should wait for a posted forecast to compare', function () {
+      const { bot, posts } = createUpdateBot({ update: {} }, change(1, { conditionId: 501 }))
+
+      return bot.checkForecastUpdate().then((isPosted) => {
+        expect(isPosted).to.equal(false)
+        expect(posts).to.have.lengthOf(0)
+      })
+    })
+
+    it('should post an updated forecast when it changed significantly', function () {
+      const { bot, posts, stats } = createUpdateBot({ update: {} }, change(1, { conditionId: 501 }))
+
+      bot.postedForecast = forecast
+
+      return bot.checkForecastUpdate().then((isPosted) => {
+        expect(isPosted).to.equal(true)
+        expect(posts[0].message).to.match(/^🔄 Updated forecast: 🌧️ from 22:00\n/)
+        expect(stats.forecastUpdates).to.equal(1)
+
+        // The update is compared to from now on
+        return bot.checkForecastUpdate()
+      }).then((isPosted) => {
+        expect(isPosted).to.equal(false)
+        expect(posts).to.have.lengthOf(1)
+      })
+    })
+
+    it('should only post the forecast and what changed', function () {
+      const { bot, posts, stats } = createUpdateBot({ update: {} }, change(1, { conditionId: 501 }))
+
+      bot.config.extra = { probabilities: { joke: 1 } }
+      bot.extraGenerator.getExtra = () => { throw new Error('Updates have no extra') }
+      bot.postedForecast = forecast
+
+      return bot.checkForecastUpdate().then(() => {
+        expect(posts).to.have.lengthOf(1)
+        expect(posts[0].metadata).to.deep.equal({ type: 'forecast' })
+        expect(posts[0].message).to.match(/\n$/)
+        expect(stats.forecastSources).to.equal(undefined)
+        expect(stats.lastUpdate).to.equal(undefined)
+      })
+    })
+
+    it('should not compare a forecast from the cache', function () {
+      const { bot, posts } = createUpdateBot({ update: {} }, Object.assign(change(1, { conditionId: 501 }), { cachedAt: new Date() }))
+
+      bot.postedForecast = forecast
+
+      return bot.checkForecastUpdate().then((isPosted) => {
+        expect(isPosted).to.equal(false)
+        expect(posts).to.have.lengthOf(0)
+      })
+    })
+
+    it('should skip updates while the forecast job is running', function () {
+      const { bot, posts } = createUpdateBot({ update: {} }, change(1, { conditionId: 501 }))
+      let fetchForecast
+      const forecastPromise = new Promise((resolve) => {
+        fetchForecast = resolve
+      })
+
+      bot.postedForecast = forecast
+      bot.weatherFetcher.getForecastPromise = () => forecastPromise
+
+      const forecastJob = bot.runForecastJob()
+
+      return bot.runUpdateJob().then(({ status }) => {
+        expect(status).to.equal('skipped')
+
+        fetchForecast(forecast)
+
+        return forecastJob
+      }).then(({ status }) => {
+        expect(status).to.equal('succeeded')
+        expect(posts).to.have.lengthOf(1)
+        expect(posts[0].message).to.not.match(/^🔄/)
+      })
+    })
+
+    it('should leave updates to a forecast scheduled at the same minute', function () {
+      const { bot, posts, stats } = createUpdateBot({ forecast: { cron: '* * * * *' }, update: {} }, change(1, { conditionId: 501 }))
+
+      bot.postedForecast = forecast
+
+      // The update starts first so the lock doesn't stop it. The forecast being due does.
+      return Promise.all([bot.runUpdateJob(), bot.runForecastJob()]).then(([update, scheduled]) => {
+        expect(update.status).to.equal('succeeded')
+        expect(scheduled.status).to.equal('succeeded')
+        expect(posts).to.have.lengthOf(1)
+        expect(posts[0].message).to.not.match(/^🔄/)
+        expect(stats.forecastUpdates).to.equal(undefined)
+      })
+    })
+
+    it('should keep the quiet hours of the forecast', function () {
+      const quietHours = { start: '00:00', end: '05:00' }
+      const { bot } = createUpdateBot({ forecast: { cron: '0 0 1 1 *', quietHours }, update: {} })
+
+      // 01:00 and 07:00 in Chicago
+      expect(bot.isQuietTime('update', new Date('2019-07-15T06:00:00Z'))).to.equal(true)
+      expect(bot.isQuietTime('update', new Date('2019-07-15T12:00:00Z'))).to.equal(false)
+
+      bot.config.jobs.update.quietHours = { start: '07:00', end: '08:00' }
+      expect(bot.isQuietTime('update', new Date('2019-07-15T06:00:00Z'))).to.equal(false)
+      expect(bot.isQuietTime('update', new Date('2019-07-15T12:00:00Z'))).to.equal(true)
+    })
+
+    it('should not post updates during the quiet hours of the forecast', function () {
+      const hour = new DateFormatter('America/Chicago').getHour(new Date())
+      const formatHour = (offset) => `${String((hour + offset + 24) % 24).padStart(2, '0')}:00`
+      const quietHours = { start: formatHour(-1), end: formatHour(2) }
+      const { bot, posts } = createUpdateBot({ forecast: { cron: '0 0 1 1 *', quietHours }, update: {} }, change(1, { conditionId: 501 }))
+
+      bot.postedForecast = forecast
+
+      return bot.getSchedule().find(({ name }) => name === 'update').run().then(() => {
+        expect(posts).to.have.lengthOf(0)
+      })
+    })
+
+    it('should remember scheduled forecasts', function () {
+      const { bot } = createUpdateBot({ update: {} }, forecast)
+
+      return bot.tweetWeather().then(() => {
+        expect(bot.postedForecast).to.equal(forecast)
+      })
+    })
+  })
+})
@@ -0,0 +1,34 @@
+const WeatherBot = require('../../weatherBot.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+// Makes a bot with stub services that records what it publishes
+//  @param  {object=} options An object containing
+//    {object=} config Merged over a config with the America/Chicago time zone and no weather settings
+//    {object=} stats The bot's stats object. {} if unset.
+//    {object=} weatherFetcher Stands in for the DataFetcher. {} if unset.
+//    {object=} publisher Merged over a publisher with a 280 character limit that fits everything and records each post
+//    {object=} services Any other services of the bot like extraGenerator or templates
+//  @return {object} An object containing the bot, its posts as objects containing the message and metadata, and its stats
+module.exports = function createBot (options) {
+  options = options || {}
+
+  const posts = []
+  const stats = options.stats || {}
+  const config = Object.assign({ timezone: 'America/Chicago', weather: {} }, options.config)
+  const publisher = Object.assign({
+    characterLimit: 280,
+    fits: () => true,
+    publish (message, metadata) {
+      posts.push({ message, metadata })
+      return Promise.resolve([])
+    }
+  }, options.publisher)
+  const bot = new WeatherBot(config, logger, stats, Object.assign({
+    weatherFetcher: options.weatherFetcher || {},
+    extraGenerator: {},
+    publisher
+  }, options.services))
+
+  return { bot, posts, stats }
+}
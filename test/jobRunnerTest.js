@@ -0,0 +1,115 @@
+const expect = require('chai').expect
+const JobRunner = require('../jobRunner.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+// Makes a job that fails with each of the errors in turn before succeeding
+//  @param  {any[]} errors The errors to fail with
+//  @return {object} A job for JobRunner.run that counts its attempts in calls
+function makeJob (errors) {
+  const job = {
+    name: 'test',
+    calls: 0,
+    run () {
+      job.calls += 1
+
+      return job.calls <= errors.length ? Promise.reject(errors[job.calls - 1]) : Promise.resolve()
+    }
+  }
+
+  return job
+}
+
+describe('Job Runner', function () {
+  let delays
+  let runner
+
+  beforeEach(function () {
+    delays = []
+    runner = new JobRunner(logger, {
+      setTimeout: (callback, delay) => {
+        delays.push(delay)
+        setImmediate(callback)
+      }
+    })
+  })
+
+  it('should retry transient errors until the job succeeds', function () {
+    const job = Object.assign(makeJob([new Error('socket hang up'), { statusCode: 503 }]), { retries: 3 })
+
+    return runner.run(job).then((outcome) => {
+      expect(outcome.status).to.equal('succeeded')
+      expect(outcome.attempts).to.equal(3)
+      expect(job.calls).to.equal(3)
+    })
+  })
+
+  it('should not retry permanent errors', function () {
+    const job = Object.assign(makeJob([[{ code: 185, message: 'User is over daily status update limit.' }]]), { retries: 3 })
+
+    return runner.run(job).then((outcome) => {
+      expect(outcome.status).to.equal('failed permanently')
+      expect(outcome.attempts).to.equal(1)
+      expect(delays).to.have.lengthOf(0)
+    })
+  })
+
+  it('should give up after the retries are used', function () {
+    const error = new Error('socket hang up')
+    let giveUpError
+    const job = Object.assign(makeJob([error, error, error]), {
+      retries: 2,
+      onGiveUp: (error) => { giveUpError = error }
+    })
+
+    return runner.run(job).then((outcome) => {
+      expect(outcome.status).to.equal('gave up')
+      expect(outcome.attempts).to.equal(3)
+      expect(giveUpError).to.equal(error)
+    })
+  })
+
+  it('should double the delay after each retry with up to half of it random', function () {
+    const error = new Error('socket hang up')
+    const job = Object.assign(makeJob([error, error, error]), { retries: 3, baseDelay: 1000 })
+
+    return runner.run(job).then(() => {
+      expect(delays[0]).to.be.within(500, 1000)
+      expect(delays[1]).to.be.within(1000, 2000)
+      expect(delays[2]).to.be.within(2000, 4000)
+    })
+  })
+
+  it('should skip a job while another with the same lock is running', function () {
+    const first = runner.run({ name: 'alerts', run: () => Promise.resolve() })
+
+    return runner.run({ name: 'alertPoll', lock: 'alerts', run: () => Promise.resolve() }).then((outcome) => {
+      expect(outcome.status).to.equal('skipped')
+
+      return first
+    })
+  })
+
+  it('should wait for a job with the same lock when waitForLock is set', function () {
+    const order = []
+    const first = runner.run({ name: 'alertPoll', lock: 'alerts', run: () => new Promise((resolve) => setImmediate(resolve)).then(() => order.push('alertPoll')) })
+    const second = runner.run({ name: 'alerts', waitForLock: true, run: () => order.push('alerts') })
+
+    return Promise.all([first, second]).then(() => {
+      expect(order).to.deep.equal(['alertPoll', 'alerts'])
+    })
+  })
+
+  describe('isPermanentError', function () {
+    it('should classify twitter errors by code', function () {
+      expect(JobRunner.isPermanentError([{ code: 187 }])).to.equal(true)
+      expect(JobRunner.isPermanentError([{ code: 130 }])).to.equal(false)
+    })
+
+    it('should classify http errors by status code', function () {
+      expect(JobRunner.isPermanentError({ statusCode: 401 })).to.equal(true)
+      expect(JobRunner.isPermanentError({ statusCode: 429 })).to.equal(false)
+      expect(JobRunner.isPermanentError({ statusCode: 500 })).to.equal(false)
+    })
+  })
+})
@@ -0,0 +1,91 @@
+const celestial = require('../celestial.js')
+const createBot = require('./helpers/createBot.js')
+const DateFormatter = require('../dateFormatter.js')
+const expect = require('chai').expect
+const Locale = require('../locale.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const Templates = require('../templates.js')
+const weatherTools = require('../weather.js')
+
+// A flood watch in the form returned by api.weather.gov/alerts
+const alertData = {
+  properties: {
+    event: 'Flood Watch',
+    messageType: 'Alert',
+    severity: 'Moderate',
+    effective: '2019-07-15T04:00:00-05:00',
+    ends: '2019-07-16T19:00:00-05:00'
+  }
+}
+
+describe('Locales', function () {
+  const spanish = new Templates(undefined, 'es')
+  const bilingual = new Templates(undefined, 'bilingual')
+
+  it('should throw a RangeError for a language without a catalog', function () {
+    expect(() => new Locale('fr')).to.throw(RangeError)
+    expect(() => new Templates(undefined, 'fr')).to.throw(RangeError)
+  })
+
+  it('should have a valid Spanish translation of every template', function () {
+    const templates = require('../data/locales/es/templates.json')
+
+    expect(Object.keys(templates)).to.have.members(Templates.getNames())
+    expect(Templates.validate(templates)).to.deep.equal([])
+  })
+
+  it('should use English for entries missing from a translation', function () {
+    const statusCodes = new Locale('es').getCatalog('statusCodeMap')
+
+    expect(statusCodes['800']).to.deep.equal({ desc: 'Cielo despejado', symbol: '☀️' })
+  })
+
+  it('should pick the plural form of the language', function () {
+    expect(new Locale('en').plural('days', 1)).to.equal('1 day')
+    expect(new Locale('en').plural('days', 0)).to.equal('0 days')
+    expect(new Locale('es').plural('days', 1)).to.equal('1 día')
+    expect(new Locale('es').plural('minutes', 12)).to.equal('12 minutos')
+  })
+
+  it('should count the days of the season in Spanish', function () {
+    const message = celestial.getSeasonProgress(new Date('2019-07-22T12:00:00Z'), spanish)
+
+    expect(message).to.equal('Han pasado 31 días desde el solsticio de verano y faltan 62 días para el equinoccio de otoño.')
+  })
+
+  it('should name days in the language', function () {
+    const dateFormatter = new DateFormatter('America/Chicago')
+
+    expect(dateFormatter.formatDay(new Date('2019-07-15T20:05:00Z'), 'es-US')).to.equal('lun 15 jul')
+  })
+
+  it('should translate alerts', function () {
+    const message = weatherTools.getAlertMessage(alertData, undefined, undefined, new DateFormatter('America/Chicago'), spanish)
+
+    expect(message).to.match(/^ALERTA: Vigilancia de inundación\nDesde lun 15 jul 4:00 hasta mar 16 jul 19:00\n\nLas condiciones son favorables/)
+  })
+
+  it('should post bilingual alerts in English then Spanish', function () {
+    const message = weatherTools.getAlertMessage(alertData, undefined, undefined, new DateFormatter('America/Chicago'), bilingual)
+
+    expect(message).to.match(/^ALERT: Flood Watch\nLasting from Mon Jul 15 4:00 to Tue Jul 16 19:00\n\nConditions are favorable for flooding\.\n\nALERTA: Vigilancia de inundación\n/)
+  })
+
+  it('should only write the forecast lines once in bilingual forecasts', function () {
+    const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+    const message = weatherTools.generateForecastMessage(weatherData, undefined, undefined, bilingual)
+
+    expect(message).to.match(/^(Forecast|Fourcast) \/ (Pronóstico|Pronóstiko)\n([0-9]{2}:00:.+\n){3}\n$/)
+  })
+
+  it('should post the alert failure message in the language', function () {
+    const { bot, posts } = createBot({ config: { language: 'es' } })
+
+    return bot.retriesAlertExhausted(new Error('Request Failed. Status Code: 503')).then(() => {
+      expect(posts).to.deep.equal([{
+        message: 'No se pudieron obtener los datos de alertas meteorológicas. Podría haber una alerta meteorológica en este momento.',
+        metadata: { type: 'error' }
+      }])
+    })
+  })
+})
@@ -0,0 +1,92 @@
+const expect = require('chai').expect
+const locations = require('../locations.js')
+
+const config = {
+  log: { logDir: 'logs' },
+  twitter: { consumer_key: 'shared key' },
+  weather: {
+    alerts: {
+      app: { contact: 'test@test.com' },
+      filters: [{ restriction: 'has', path: 'properties.replacedBy', keep: false }],
+      params: { area: 'MO' }
+    },
+    openWeatherMap: {
+      key: 'OWM KEY',
+      location: { id: 4381982 }
+    }
+  },
+  locations: [
+    {
+      name: 'Columbia, MO'
+    },
+    {
+      name: 'Kansas City',
+      publishers: [{ type: 'mastodon', instance: 'https://example.com', accessToken: 'token' }],
+      weather: {
+        alerts: {
+          filters: [{ restriction: 'matches', path: 'properties.areaDesc', value: 'Jackson', keep: true }]
+        },
+        openWeatherMap: {
+          location: { id: 4393217 }
+        }
+      },
+      statsFile: './data/kc.json'
+    }
+  ]
+}
+
+describe('Locations', function () {
+  describe('getLocationId', function () {
+    it('should make names safe for file names', function () {
+      expect(locations.getLocationId('Columbia, MO')).to.equal('columbia-mo')
+      expect(locations.getLocationId(' St. Louis ')).to.equal('st-louis')
+    })
+  })
+
+  describe('getLocationConfigs', function () {
+    it('should return the config alone when there are no locations', function () {
+      const singleConfig = { weather: {} }
+
+      expect(locations.getLocationConfigs(singleConfig)).to.deep.equal([singleConfig])
+    })
+
+    it('should merge each location over the shared settings', function () {
+      const [columbia, kansasCity] = locations.getLocationConfigs(config)
+
+      expect(columbia.weather.openWeatherMap).to.deep.equal({ key: 'OWM KEY', location: { id: 4381982 } })
+      expect(kansasCity.weather.openWeatherMap).to.deep.equal({ key: 'OWM KEY', location: { id: 4393217 } })
+      expect(kansasCity.weather.alerts.app.contact).to.equal('test@test.com')
+      expect(kansasCity).to.not.have.property('locations')
+    })
+
+    it('should replace lists instead of merging them', function () {
+      const kansasCity = locations.getLocationConfigs(config)[1]
+
+      expect(kansasCity.weather.alerts.filters).to.have.lengthOf(1)
+      expect(kansasCity.weather.alerts.filters[0].value).to.equal('Jackson')
+    })
+
+    it('should only use the shared publishers for locations without their own', function () {
+      const [columbia, kansasCity] = locations.getLocationConfigs(config)
+
+      expect(columbia.twitter.consumer_key).to.equal('shared key')
+      expect(kansasCity).to.not.have.property('twitter')
+      expect(kansasCity.publishers[0].type).to.equal('mastodon')
+    })
+
+    it('should give each location its own stats and alert files', function () {
+      const [columbia, kansasCity] = locations.getLocationConfigs(config)
+
+      expect(columbia.statsFile).to.equal('./data/stats-columbia-mo.json')
+      expect(columbia.alertStoreFile).to.equal('./data/alerts-columbia-mo.json')
+      expect(kansasCity.statsFile).to.equal('./data/kc.json')
+    })
+
+    it('should not change the config', function () {
+      locations.getLocationConfigs(config)
+
+      expect(config.weather.alerts.filters[0].restriction).to.equal('has')
+      expect(config.weather.openWeatherMap.location.id).to.equal(4381982)
+    })
+  })
+})
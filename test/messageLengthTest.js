@@ -0,0 +1,95 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+const Extra = require('../extra.js')
+const messageLength = require('../messageLength.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+// A publisher that only checks messages fit
+//  @param  {number} characterLimit The weighted tweet length messages must fit in
+//  @return {object} A publisher
+function makePublisher (characterLimit) {
+  return {
+    characterLimit,
+    fits: (message) => messageLength.getTweetLength(message) <= characterLimit
+  }
+}
+
+describe('Message Length', function () {
+  it('should count emoji as 2 characters', function () {
+    expect(messageLength.getTweetLength('🌩️')).to.equal(2)
+    expect(messageLength.getTweetLength('🇺🇸 👨‍👩‍👧')).to.equal(5)
+  })
+
+  it('should count urls as 23 characters', function () {
+    expect(messageLength.getTweetLength('See https://firelemons.github.io/COMOWeather/')).to.equal(27)
+    expect(messageLength.getStatusLength('See https://firelemons.github.io/COMOWeather/')).to.equal(27)
+  })
+
+  it('should count characters from most non latin scripts as 2 characters on twitter', function () {
+    expect(messageLength.getTweetLength('Ñandú 日本')).to.equal(10)
+    expect(messageLength.getStatusLength('Ñandú 日本')).to.equal(8)
+  })
+
+  it('should use string length for publishers without their own counting', function () {
+    expect(messageLength.getLength('🌩️', 'webhook')).to.equal(3)
+  })
+
+  describe('forecasts', function () {
+    const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+
+    // Makes a bot that only generates forecasts
+    //  @param  {number} characterLimit The character limit of the publisher
+    //  @param  {string=} units The unit system
+    //  @return {WeatherBot} The bot
+    function makeBot (characterLimit, units) {
+      return createBot({ config: { units }, publisher: makePublisher(characterLimit) }).bot
+    }
+
+    it('should post every 3 hour forecast when they fit', function () {
+      const { message } = makeBot(280).fitForecast(weatherData)
+
+      expect(message.trim().split('\n')).to.have.lengthOf(4)
+    })
+
+    it('should drop 3 hour forecasts that don\'t fit', function () {
+      const { message } = makeBot(100).fitForecast(weatherData)
+
+      // The title and 2 of the 3 hour forecasts
+      expect(message.trim().split('\n')).to.have.lengthOf(3)
+      expect(messageLength.getTweetLength(message)).to.be.at.most(100)
+    })
+
+    it('should drop dual units before 3 hour forecasts', function () {
+      const { message, unitFormatter } = makeBot(150, 'dual').fitForecast(weatherData)
+
+      expect(unitFormatter.system).to.equal('metric')
+      expect(message.trim().split('\n')).to.have.lengthOf(4)
+    })
+
+    it('should give up when not even one 3 hour forecast fits', function () {
+      expect(makeBot(20).fitForecast(weatherData).message).to.equal(undefined)
+    })
+  })
+
+  describe('extras', function () {
+    const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+
+    it('should swap an extra that doesn\'t fit for a shorter one', function () {
+      const extra = new Extra({ coordinates: { elevation: 231 }, probabilities: { humidity: 1000, lunar: 1 } }, logger)
+      // Only the lunar phase is short enough
+      const fits = (statement) => !statement.startsWith('Expected Humidity')
+
+      for (let i = 0; i < 5; i++) {
+        expect(extra.getExtra(weatherData, undefined, undefined, fits).type).to.equal('lunar')
+      }
+    })
+
+    it('should give no extra when none fit', function () {
+      const extra = new Extra({ coordinates: { elevation: 231 }, probabilities: { humidity: 1, pressure: 1 } }, logger)
+
+      expect(extra.getExtra(weatherData, undefined, undefined, () => false)).to.deep.equal({ statement: '', type: 'none' })
+    })
+  })
+})
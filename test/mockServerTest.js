@@ -0,0 +1,231 @@
+const childProcess = require('child_process')
+const expect = require('chai').expect
+const fs = require('fs')
+const MockServer = require('../mockServer.js')
+const os = require('os')
+const path = require('path')
+const promise = require('../promise.js')
+
+// Checks a condition until it's true or time runs out
+//  @param  {function} condition Returns true when done waiting
+//  @param  {number} timeout The maximum number of ms to wait
+//  @return {Promise} A promise that resolves when condition returns true and rejects on timeout
+function waitFor (condition, timeout) {
+  const start = Date.now()
+
+  return new Promise((resolve, reject) => {
+    const check = () => {
+      if (condition()) {
+        resolve()
+      } else if (Date.now() - start > timeout) {
+        reject(new Error('Timed out waiting for condition'))
+      } else {
+        setTimeout(check, 50)
+      }
+    }
+
+    check()
+  })
+}
+
+describe('Mock Server', function () {
+  let mockServer
+  let baseURL
+
+  before(function () {
+    mockServer = new MockServer({ delay: 300 })
+
+    return mockServer.listen().then((url) => {
+      baseURL = url
+    })
+  })
+
+  after(function () {
+    return mockServer.close()
+  })
+
+  beforeEach(function () {
+    mockServer.reset()
+  })
+
+  describe('Failure modes', function () {
+    it('should serve the recorded forecast in mode "ok"', function () {
+      return promise.getJSONPromiseGet(`${baseURL}/data/2.5/forecast?id=1`).then((forecast) => {
+        expect(forecast.list).to.have.lengthOf(40)
+        expect(mockServer.requests[0].query).to.deep.equal({ id: '1' })
+      })
+    })
+
+    it('should serve the recorded One Call data in mode "ok"', function () {
+      return promise.getJSONPromiseGet(`${baseURL}/data/3.0/onecall?lat=1&lon=2`).then((oneCallData) => {
+        expect(oneCallData.minutely).to.have.lengthOf(61)
+        expect(mockServer.requests[0].route).to.equal('oneCall')
+      })
+    })
+
+    it('should cause a rejection for status code 500 in mode "error"', function () {
+      mockServer.setMode('alerts', 'error')
+
+      return promise.getJSONPromiseGet(`${baseURL}/alerts`).then(() => {
+        throw new Error('Expected request to fail')
+      }, (error) => {
+        expect(error.message).to.equal('Request Failed. Status Code: 500')
+      })
+    })
+
+    it('should cause a rejection for the wrong content-type in mode "contentType"', function () {
+      mockServer.setMode('forecast', 'contentType')
+
+      return promise.getJSONPromiseGet(`${baseURL}/data/2.5/forecast`).then(() => {
+        throw new Error('Expected request to fail')
+      }, (error) => {
+        expect(error.message).to.match(/^Invalid content-type/)
+      })
+    })
+
+    it('should cause a SyntaxError in mode "malformed"', function () {
+      mockServer.setMode('forecast', 'malformed')
+
+      return promise.getJSONPromiseGet(`${baseURL}/data/2.5/forecast`).then(() => {
+        throw new Error('Expected request to fail')
+      }, (error) => {
+        expect(error).to.be.instanceOf(SyntaxError)
+      })
+    })
+
+    it('should wait before responding in mode "slow"', function () {
+      mockServer.setMode('forecast', 'slow')
+
+      const start = Date.now()
+
+      return promise.getJSONPromiseGet(`${baseURL}/data/2.5/forecast`).then((forecast) => {
+        expect(Date.now() - start).to.be.at.least(300)
+        expect(forecast.list).to.have.lengthOf(40)
+      })
+    })
+
+    it('should respond 304 Not Modified to conditional requests for unchanged alerts', function () {
+      return promise.getJSONPromiseGetIfChanged(`${baseURL}/alerts`).then((response) => {
+        expect(response.modified).to.equal(true)
+        expect(response.data.features).to.have.lengthOf(35)
+        expect(response.validators.etag).to.be.a('string')
+
+        return promise.getJSONPromiseGetIfChanged(`${baseURL}/alerts`, {}, response.validators)
+      }).then((response) => {
+        expect(response.modified).to.equal(false)
+        expect(response.data).to.equal(undefined)
+      })
+    })
+
+    it('should throw a RangeError for unknown modes', function () {
+      expect(() => { mockServer.setMode('forecast', 'sideways') }).to.throw(RangeError)
+    })
+  })
+
+  describe('Controls', function () {
+    it('should set modes with PUT /mock/modes', function () {
+      const body = JSON.stringify({ twitter: 'error' })
+
+      return new Promise((resolve, reject) => {
+        const req = require('http').request(`${baseURL}/mock/modes`, { method: 'PUT' }, (res) => {
+          res.resume()
+          res.on('end', resolve)
+        })
+
+        req.on('error', reject)
+        req.end(body)
+      }).then(() => {
+        expect(mockServer.modes.twitter).to.equal('error')
+      })
+    })
+  })
+
+  describe('index.js', function () {
+    this.timeout(15000)
+
+    let bot
+    let tempDir
+
+    // Starts the bot with a config pointing at the mock server and stats saying the last updates were missed
+    function startBot () {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherbot-'))
+
+      const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'mock_config.json')))
+      const configPath = path.join(tempDir, 'config.json')
+      const statsFile = path.join(tempDir, 'stats.json')
+
+      config.log.logDir = path.join(tempDir, 'logs')
+      config.alertStoreFile = path.join(tempDir, 'alertStore.json')
+      config.statsFile = statsFile
+      config.twitter = {
+        consumer_key: 'key',
+        consumer_secret: 'secret',
+        access_token_key: 'token key',
+        access_token_secret: 'token secret',
+        baseURL: baseURL
+      }
+      config.weather.alerts.baseURL = baseURL
+      config.weather.openWeatherMap.baseURL = baseURL
+      config.jobs = { forecast: { retryDelay: 1 } }
+
+      fs.writeFileSync(configPath, JSON.stringify(config))
+
+      // Expired alerts aren't posted so the recorded alerts are moved to end tomorrow
+      const alerts = JSON.parse(fs.readFileSync(path.join(__dirname, 'exampleAlerts4.json')))
+      const tomorrow = new Date(Date.now() + 86400000).toISOString()
+
+      alerts.features.forEach(({ properties }) => {
+        properties.expires = tomorrow
+        properties.ends = tomorrow
+      })
+
+      mockServer.fixtures.alerts = path.join(tempDir, 'alerts.json')
+      fs.writeFileSync(mockServer.fixtures.alerts, JSON.stringify(alerts))
+      fs.writeFileSync(statsFile, JSON.stringify({
+        lastAlertUpdate: new Date(0),
+        lastUpdate: new Date(0)
+      }))
+
+      bot = childProcess.spawn(process.execPath, [path.join(__dirname, '..', 'index.js'), '--config', configPath], {
+        cwd: path.join(__dirname, '..'),
+        stdio: 'ignore'
+      })
+    }
+
+    afterEach(function () {
+      bot.kill()
+      fs.rmSync(tempDir, { recursive: true, force: true })
+    })
+
+    it('should tweet a forecast and alerts after missing scheduled updates', function () {
+      startBot()
+
+      return waitFor(() => {
+        return mockServer.posts.some((post) => /^Fo(u)?recast/.test(post.text)) &&
+          mockServer.posts.some((post) => /^ALERT/.test(post.text))
+      }, 10000)
+    })
+
+    it('should post the full wording of alerts as replies', function () {
+      startBot()
+
+      return waitFor(() => mockServer.posts.some((post) => post.inReplyTo), 10000).then(() => {
+        const reply = mockServer.posts.find((post) => post.inReplyTo)
+        const head = mockServer.posts.find((post) => post.id === reply.inReplyTo)
+
+        expect(head.text).to.match(/^ALERT/)
+        expect(head.text).to.match(/\n\(1\/[0-9]+\)$/)
+        expect(reply.text).to.match(/\n\(2\/[0-9]+\)$/)
+      })
+    })
+
+    it('should retry fetching the forecast when OpenWeatherMap fails', function () {
+      mockServer.setMode('forecast', 'error')
+      startBot()
+
+      return waitFor(() => mockServer.requests.filter((request) => request.route === 'forecast').length >= 2, 10000).then(() => {
+        expect(mockServer.posts.some((post) => /^Fo(u)?recast/.test(post.text))).to.equal(false)
+      })
+    })
+  })
+})
@@ -0,0 +1,185 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+const DateFormatter = require('../dateFormatter.js')
+const Templates = require('../templates.js')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+// Copies the sample One Call data with the precipitation of each minute changed
+//  @param  {function} getPrecipitation Gets the rate in mm/h of a minute from its index
+//  @return {object} The changed One Call data
+function withPrecipitation (getPrecipitation) {
+  const oneCallData = JSON.parse(JSON.stringify(require('./sampleOneCall.json')))
+
+  oneCallData.minutely.forEach((minute, i) => {
+    minute.precipitation = getPrecipitation(i)
+  })
+
+  return oneCallData
+}
+
+describe('Nowcasts', function () {
+  const oneCallData = require('./sampleOneCall.json')
+
+  describe('DataFetcher', function () {
+    const openWeatherMap = { baseURL: 'http://localhost:8080', key: 'KEY', location: { lat: 38.9517, lon: -92.3341 } }
+
+    it('should request One Call data for the forecast location', function () {
+      const fetcher = new weatherTools.DataFetcher({ openWeatherMap, nowcast: {} }, logger)
+
+      expect(fetcher.oneCallURL).to.equal('http://localhost:8080/data/3.0/onecall?lat=38.9517&lon=-92.3341&exclude=daily,alerts&units=metric&appid=KEY')
+      expect(fetcher.nowcast).to.deep.equal({ interval: 10, threshold: 0.1 })
+    })
+
+    it('should space out checks to stay under the daily call limit', function () {
+      const fetcher = new weatherTools.DataFetcher({ openWeatherMap, nowcast: { interval: 5, dailyCallLimit: 100 } }, logger)
+
+      expect(fetcher.nowcast.interval).to.equal(15)
+    })
+
+    it('should space checks by hours for a daily call limit under 24', function () {
+      expect(weatherTools.getNowcastInterval({ dailyCallLimit: 12 })).to.equal(120)
+      expect(weatherTools.getNowcastInterval({ dailyCallLimit: 5 })).to.equal(360)
+      expect(weatherTools.getNowcastInterval({ dailyCallLimit: 1 })).to.equal(1440)
+    })
+
+    it('should round intervals up to evenly spaced checks', function () {
+      expect(weatherTools.getNowcastInterval({ interval: 7 })).to.equal(10)
+      expect(weatherTools.getNowcastInterval({ dailyCallLimit: 50 })).to.equal(30)
+    })
+
+    it('should throw a TypeError without coordinates', function () {
+      const config = { openWeatherMap: { key: 'KEY', location: { id: 4381982 } }, nowcast: {} }
+
+      expect(() => new weatherTools.DataFetcher(config, logger)).to.throw(TypeError)
+    })
+  })
+
+  describe('findPrecipitation', function () {
+    it('should find when rain starts', function () {
+      const precipitation = weatherTools.findPrecipitation(oneCallData)
+
+      expect(precipitation.start).to.deep.equal(new Date('2019-07-15T20:20:00Z'))
+      expect(precipitation.minutes).to.equal(20)
+      expect(precipitation.peak).to.equal(1.2)
+      expect(precipitation.type).to.equal('rain')
+    })
+
+    it('should ignore rates under the threshold', function () {
+      expect(weatherTools.findPrecipitation(oneCallData, 0.5).minutes).to.equal(27)
+      expect(weatherTools.findPrecipitation(oneCallData, 2)).to.equal(undefined)
+    })
+
+    it('should call it snow when the hour is freezing', function () {
+      const snowy = withPrecipitation((i) => i < 20 ? 0 : 0.5)
+
+      snowy.hourly[0].temp = -2
+
+      expect(weatherTools.findPrecipitation(snowy).type).to.equal('snow')
+    })
+
+    it('should throw a TypeError without minutely data', function () {
+      expect(() => weatherTools.findPrecipitation({ current: oneCallData.current })).to.throw(TypeError)
+    })
+  })
+
+  describe('generateNowcastMessage', function () {
+    const dateFormatter = new DateFormatter('America/Chicago')
+
+    it('should say when rain starts', function () {
+      const message = weatherTools.generateNowcastMessage(weatherTools.findPrecipitation(oneCallData), dateFormatter)
+
+      expect(message).to.equal('🌧️ Rain expected in about 20 minutes, around 15:20. Up to 1.20 mm/h.')
+    })
+
+    it('should round longer waits to 5 minutes', function () {
+      const precipitation = Object.assign(weatherTools.findPrecipitation(oneCallData), { minutes: 23 })
+
+      expect(weatherTools.generateNowcastMessage(precipitation, dateFormatter)).to.include('about 25 minutes')
+    })
+
+    it('should write the wait in each language', function () {
+      const precipitation = Object.assign(weatherTools.findPrecipitation(oneCallData), { minutes: 1 })
+      const message = weatherTools.generateNowcastMessage(precipitation, dateFormatter, undefined, new Templates(undefined, 'bilingual'))
+
+      expect(message).to.equal('🌧️ Rain expected in about 1 minute, around 15:20. Up to 1.20 mm/h. / 🌧️ Se espera lluvia en aproximadamente 1 minuto, hacia las 15:20. Hasta 1.20 mm/h.')
+    })
+  })
+
+  describe('postNowcast', function () {
+    function createNowcastBot (responses) {
+      return createBot({
+        weatherFetcher: {
+          nowcast: { interval: 10, threshold: 0.1 },
+          getOneCallPromise: () => {
+            const response = responses.shift()
+
+            return response instanceof Error ? Promise.reject(response) : Promise.resolve(response)
+          }
+        }
+      })
+    }
+
+    it('should post once for each rain event', function () {
+      const dry = withPrecipitation(() => 0)
+      const { bot, posts } = createNowcastBot([oneCallData, oneCallData, dry, oneCallData])
+
+      return bot.postNowcast()
+        .then(() => bot.postNowcast())
+        .then(() => {
+          expect(posts).to.have.lengthOf(1)
+          expect(posts[0].metadata).to.deep.equal({ type: 'nowcast' })
+        })
+        .then(() => bot.postNowcast())
+        .then(() => bot.postNowcast())
+        .then(() => {
+          expect(posts).to.have.lengthOf(2)
+        })
+    })
+
+    it('should not post rain that already started', function () {
+      const { bot, posts } = createNowcastBot([withPrecipitation(() => 0.5), oneCallData])
+
+      return bot.postNowcast()
+        .then(() => bot.postNowcast())
+        .then(() => {
+          expect(posts).to.have.lengthOf(0)
+        })
+    })
+
+    it('should pause nowcasts when the rate limit is reached', function () {
+      const rateLimited = new Error('Request Failed. Status Code: 429')
+
+      rateLimited.statusCode = 429
+
+      const { bot, posts } = createNowcastBot([rateLimited, oneCallData])
+
+      return bot.runNowcastJob()
+        .then((outcome) => {
+          expect(outcome.status).to.equal('gave up')
+          expect(bot.nowcastPausedUntil).to.be.above(Date.now())
+        })
+        .then(() => bot.runNowcastJob())
+        .then(() => {
+          expect(posts).to.have.lengthOf(0)
+        })
+    })
+
+    it('should schedule checks every interval', function () {
+      const { bot } = createNowcastBot([])
+
+      expect(bot.getSchedule().find(({ name }) => name === 'nowcast').cron).to.equal('*/10 * * * *')
+    })
+
+    it('should schedule checks an hour or more apart on the hour', function () {
+      const { bot } = createNowcastBot([])
+
+      bot.weatherFetcher.nowcast.interval = 120
+      expect(bot.getCron('nowcast')).to.equal('0 */2 * * *')
+
+      bot.weatherFetcher.nowcast.interval = 1440
+      expect(bot.getCron('nowcast')).to.equal('0 0 * * *')
+    })
+  })
+})
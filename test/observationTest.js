@@ -0,0 +1,203 @@
+const createBot = require('./helpers/createBot.js')
+const DateFormatter = require('../dateFormatter.js')
+const expect = require('chai').expect
+const Extra = require('../extra.js')
+const NWSProvider = require('../providers/nws.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const Templates = require('../templates.js')
+const UnitFormatter = require('../unitFormatter.js')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Observations', function () {
+  const app = { contact: 'bot@example.com', name: 'WeatherBot', version: '1.0', website: 'https://example.com' }
+  const point = require('./sampleNWSPoint.json')
+  const data = require('./sampleNWSObservation.json')
+  const observation = NWSProvider.normalizeObservation(data, 'KCOU')
+  const dateFormatter = new DateFormatter('America/Chicago')
+
+  describe('normalizeObservation', function () {
+    it('should convert speeds to m/s', function () {
+      expect(observation).to.deep.equal({
+        station: 'KCOU',
+        time: new Date('2019-07-15T19:54:00Z'),
+        conditionId: 803,
+        description: 'Mostly Cloudy',
+        temp: 31.7,
+        dewpoint: 21.1,
+        wind: { speed: 5.1, deg: 200, gust: 8.8 },
+        visibility: 16090
+      })
+    })
+
+    it('should leave out measurements the station did not make', function () {
+      const partial = JSON.parse(JSON.stringify(data))
+
+      Object.assign(partial.properties, { icon: null, textDescription: '' })
+      partial.properties.windGust.value = null
+      partial.properties.dewpoint.value = null
+
+      const { conditionId, description, dewpoint, wind } = NWSProvider.normalizeObservation(partial, 'KCOU')
+
+      expect(conditionId).to.equal(undefined)
+      expect(description).to.equal(undefined)
+      expect(dewpoint).to.equal(undefined)
+      expect(wind.gust).to.equal(undefined)
+    })
+  })
+
+  describe('getObservationPromise', function () {
+    function makeProvider (nws, requests) {
+      return new NWSProvider({ nws: Object.assign({ app }, nws) }, logger, (url) => {
+        requests.push(url)
+
+        if (url.includes('/points/')) {
+          return Promise.resolve(point)
+        }
+
+        if (url.endsWith('/stations')) {
+          return Promise.resolve({ features: [{ properties: { stationIdentifier: 'KCOU' } }, { properties: { stationIdentifier: 'KJEF' } }] })
+        }
+
+        return Promise.resolve(data)
+      })
+    }
+
+    it('should look up the nearest station once', function () {
+      const requests = []
+      const provider = makeProvider({ lat: 38.9517, lon: -92.3341 }, requests)
+
+      return provider.getObservationPromise()
+        .then(() => provider.getObservationPromise())
+        .then(({ station }) => {
+          expect(station).to.equal('KCOU')
+          expect(requests).to.deep.equal([
+            'https://api.weather.gov/points/38.9517,-92.3341',
+            'https://api.weather.gov/gridpoints/LSX/27,86/stations',
+            'https://api.weather.gov/stations/KCOU/observations/latest',
+            'https://api.weather.gov/stations/KCOU/observations/latest'
+          ])
+        })
+    })
+
+    it('should use the configured station without coordinates', function () {
+      const requests = []
+
+      return makeProvider({ station: 'KJEF' }, requests).getObservationPromise().then(({ station }) => {
+        expect(station).to.equal('KJEF')
+        expect(requests).to.deep.equal(['https://api.weather.gov/stations/KJEF/observations/latest'])
+      })
+    })
+
+    it('should find the station from the extra coordinates', function () {
+      const fetcher = new weatherTools.DataFetcher({
+        openWeatherMap: { key: 'KEY', location: { id: 4381982 } },
+        nws: { app },
+        observations: {}
+      }, logger, { lat: 38.951705, long: -92.334072 })
+
+      expect(fetcher.observationProvider.pointURL).to.equal('https://api.weather.gov/points/38.9517,-92.3341')
+      expect(new weatherTools.DataFetcher({ openWeatherMap: { key: 'KEY', location: { id: 4381982 } } }, logger).observationProvider).to.equal(undefined)
+    })
+  })
+
+  describe('generateObservationMessage', function () {
+    it('should list the conditions, temperature, wind, and visibility', function () {
+      expect(weatherTools.generateObservationMessage(observation, dateFormatter)).to.equal(
+        'Now at KCOU, 14:54: ☁️ Mostly Cloudy\n🌡️ 31.7°C, dew point 21.1°C\n💨 5.1 m/s ⬆️, gusts 8.8 m/s\n👁️ Visibility 16 km')
+    })
+
+    it('should use imperial units', function () {
+      const message = weatherTools.generateObservationMessage(observation, dateFormatter, new UnitFormatter('imperial'))
+
+      expect(message).to.include('\n🌡️ 89°F, dew point 70°F\n💨 11 mph ⬆️, gusts 20 mph\n👁️ Visibility 10 mi')
+    })
+
+    it('should describe calm and variable winds', function () {
+      const calm = Object.assign({}, observation, { wind: { speed: 0, deg: 0 } })
+      const variable = Object.assign({}, observation, { wind: { speed: 1.5, deg: undefined } })
+
+      expect(weatherTools.generateObservationMessage(calm, dateFormatter)).to.include('\n💨 Calm\n')
+      expect(weatherTools.generateObservationMessage(variable, dateFormatter)).to.include('\n💨 1.5 m/s variable\n')
+    })
+
+    it('should leave out measurements the station did not make', function () {
+      const sparse = { station: 'KCOU', time: observation.time, description: 'Fog', wind: {} }
+
+      expect(weatherTools.generateObservationMessage(sparse, dateFormatter)).to.equal('Now at KCOU, 14:54:  Fog\n')
+    })
+
+    it('should translate the conditions', function () {
+      const message = weatherTools.generateObservationMessage(observation, dateFormatter, undefined, new Templates(undefined, 'es'))
+
+      expect(message).to.equal('Ahora en KCOU, 14:54: ☁️ Nublado\n🌡️ 31.7°C, punto de rocío 21.1°C\n💨 5.1 m/s ⬆️, ráfagas de 8.8 m/s\n👁️ Visibilidad 16 km')
+    })
+  })
+
+  describe('extra', function () {
+    const forecast = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+
+    it('should append the observation to the forecast', function () {
+      const extra = new Extra({ coordinates: {}, probabilities: { observation: 1 } }, logger)
+      const { statement } = extra.getExtra(Object.assign({}, forecast, { observation }), dateFormatter)
+
+      expect(statement).to.match(/^Now at KCOU, 14:54: ☁️ Mostly Cloudy\n/)
+    })
+
+    it('should pick another type without an observation', function () {
+      const extra = new Extra({ coordinates: {}, probabilities: { observation: 1, humidity: 1 } }, logger)
+
+      expect(extra.getExtra(forecast, dateFormatter).type).to.equal('Humidity')
+    })
+  })
+
+  describe('jobs', function () {
+    function createObservationBot (jobs, extra) {
+      const weatherFetcher = {
+        observationProvider: {},
+        getObservationPromise: () => Promise.resolve(observation)
+      }
+      const { bot, posts } = createBot({
+        config: { jobs, extra },
+        weatherFetcher,
+        publisher: { fits: (message) => message.length <= 280 }
+      })
+
+      return { bot, posts, weatherFetcher }
+    }
+
+    it('should only schedule observations when configured', function () {
+      expect(createObservationBot(undefined).bot.getSchedule().map(({ name }) => name)).to.not.include('observation')
+
+      const job = createObservationBot({ observation: {} }).bot.getSchedule().find(({ name }) => name === 'observation')
+
+      expect(job.cron).to.equal('15 */3 * * *')
+    })
+
+    it('should post the observation', function () {
+      const { bot, posts } = createObservationBot({ observation: {} })
+
+      return bot.postObservation().then(() => {
+        expect(posts).to.deep.equal([{
+          message: 'Now at KCOU, 14:54: ☁️ Mostly Cloudy\n🌡️ 31.7°C, dew point 21.1°C\n💨 5.1 m/s ⬆️, gusts 8.8 m/s\n👁️ Visibility 16 km',
+          metadata: { type: 'observation' }
+        }])
+      })
+    })
+
+    it('should add the observation to forecasts for the extra', function () {
+      const { bot, weatherFetcher } = createObservationBot(undefined, { probabilities: { observation: 1 } })
+
+      return bot.addObservation({ periods: [] }).then((forecast) => {
+        expect(forecast.observation).to.equal(observation)
+
+        weatherFetcher.getObservationPromise = () => Promise.reject(new Error('Request Failed. Status Code: 500'))
+
+        return bot.addObservation({ periods: [] })
+      }).then((forecast) => {
+        expect(forecast).to.deep.equal({ periods: [] })
+      })
+    })
+  })
+})
@@ -0,0 +1,97 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+const DateFormatter = require('../dateFormatter.js')
+const messageLength = require('../messageLength.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const Templates = require('../templates.js')
+const UnitFormatter = require('../unitFormatter.js')
+const weatherTools = require('../weather.js')
+
+describe('Extended Outlook', function () {
+  const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+  const dateFormatter = new DateFormatter('America/Chicago')
+
+  describe('generateOutlookMessage', function () {
+    it('should have a line for each of 5 days', function () {
+      const lines = weatherTools.generateOutlookMessage(weatherData, dateFormatter).split('\n')
+
+      expect(lines).to.deep.equal([
+        '5 Day Outlook',
+        'Sun Jun 30: ☀️ Clear sky, [24,31]°C',
+        'Mon Jul 01: 🌥️ Cloudy, [22,32]°C',
+        'Tue Jul 02: ☁️ Overcast, [21,30]°C',
+        'Wed Jul 03: 🌧️ Rain, [22,31]°C',
+        'Thu Jul 04: 🌧️ Rain, [21,30]°C'
+      ])
+    })
+
+    it('should give the highest chance of rain or snow in each day', function () {
+      const periods = weatherData.periods.map((period, i) => Object.assign({}, period, { pop: i === 3 ? 0.42 : 0.1 }))
+      const message = weatherTools.generateOutlookMessage({ periods }, dateFormatter, undefined, undefined, false, 2)
+
+      expect(message).to.equal('5 Day Outlook\nSun Jun 30: ☀️ Clear sky, [24,31]°C, ☔ 10%\nMon Jul 01: 🌥️ Cloudy, [22,32]°C, ☔ 42%')
+    })
+
+    it('should fit a compact outlook in dual units in a tweet', function () {
+      const message = weatherTools.generateOutlookMessage(weatherData, dateFormatter, new UnitFormatter('dual'), undefined, true)
+
+      expect(message.split('\n')[1]).to.equal('Sun ☀️ [24,31]°C [76,88]°F')
+      expect(messageLength.getTweetLength(message)).to.be.at.most(280)
+    })
+
+    it('should write each language in its own block', function () {
+      const message = weatherTools.generateOutlookMessage(weatherData, dateFormatter, undefined, new Templates(undefined, 'bilingual'), true)
+
+      expect(message).to.match(/^5 Day Outlook\nSun ☀️ \[24,31\]°C\n[^]*\n\nPronóstico de 5 días\ndom ☀️ \[24,31\]°C\n/)
+    })
+  })
+
+  describe('postOutlook', function () {
+    function createOutlookBot (characterLimit, outlook) {
+      return createBot({
+        config: { jobs: { outlook }, units: 'dual' },
+        weatherFetcher: { getForecastPromise: () => Promise.resolve(weatherData) },
+        publisher: {
+          characterLimit,
+          fits: (message) => messageLength.getTweetLength(message) <= characterLimit
+        }
+      })
+    }
+
+    it('should post the full outlook when it fits', function () {
+      const { bot, posts } = createOutlookBot(500, {})
+
+      return bot.postOutlook().then(() => {
+        expect(posts[0].metadata).to.deep.equal({ type: 'outlook' })
+        expect(posts[0].message).to.include('Sun Jun 30: ☀️ Clear sky, [24,31]°C [76,88]°F')
+      })
+    })
+
+    it('should post the compact outlook when the full one doesn\'t fit', function () {
+      const { bot, posts } = createOutlookBot(200, {})
+
+      return bot.postOutlook().then(() => {
+        expect(posts[0].message).to.include('\nSun ☀️ [24,31]°C [76,88]°F\n')
+      })
+    })
+
+    it('should drop dual units when the compact outlook doesn\'t fit', function () {
+      const { bot, posts } = createOutlookBot(100, { compact: true })
+
+      return bot.postOutlook().then(() => {
+        expect(posts[0].message).to.include('\nSun ☀️ [24,31]°C\n')
+      })
+    })
+
+    it('should fail when nothing fits', function () {
+      const { bot, posts } = createOutlookBot(20, { compact: true })
+
+      return bot.postOutlook().then(() => {
+        throw new Error('Expected postOutlook to fail')
+      }, (error) => {
+        expect(error.message).to.match(/within 20 characters/)
+        expect(posts).to.have.lengthOf(0)
+      })
+    })
+  })
+})
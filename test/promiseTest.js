@@ -0,0 +1,244 @@
+const expect = require('chai').expect
+const fs = require('fs')
+const http = require('http')
+const MockServer = require('../mockServer.js')
+const os = require('os')
+const path = require('path')
+const promise = require('../promise.js')
+const ResponseCache = require('../responseCache.js')
+const zlib = require('zlib')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Cached Requests', function () {
+  let mockServer
+  let alertURL
+  let tempDir
+  let cache
+
+  before(function () {
+    mockServer = new MockServer({ delay: 0 })
+
+    return mockServer.listen().then((url) => {
+      alertURL = `${url}/alerts`
+    })
+  })
+
+  after(function () {
+    return mockServer.close()
+  })
+
+  beforeEach(function () {
+    mockServer.reset()
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'weatherbot-'))
+    cache = new ResponseCache(tempDir, logger)
+  })
+
+  afterEach(function () {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  it('should use cached responses younger than the ttl without a request', function () {
+    return promise.getJSONPromiseGetCached(alertURL, {}, cache, { ttl: 60 }).then((response) => {
+      expect(response.modified).to.equal(true)
+
+      return promise.getJSONPromiseGetCached(alertURL, {}, cache, { ttl: 60 })
+    }).then((response) => {
+      expect(response.modified).to.equal(false)
+      expect(response.data.features).to.have.lengthOf(35)
+      expect(mockServer.requests).to.have.lengthOf(1)
+    })
+  })
+
+  it('should use the cached body when the server responds 304 Not Modified', function () {
+    return promise.getJSONPromiseGetCached(alertURL, {}, cache).then(() => {
+      return promise.getJSONPromiseGetCached(alertURL, {}, cache)
+    }).then((response) => {
+      expect(mockServer.requests[1].headers['if-none-match']).to.be.a('string')
+      expect(response.modified).to.equal(false)
+      expect(response.stale).to.equal(false)
+      expect(response.data.features).to.have.lengthOf(35)
+    })
+  })
+
+  it('should flag cached responses used when the server fails as stale', function () {
+    return promise.getJSONPromiseGetCached(alertURL, {}, cache).then(() => {
+      mockServer.setMode('alerts', 'error')
+
+      return promise.getJSONPromiseGetCached(alertURL, {}, cache, { maxStale: 60 })
+    }).then((response) => {
+      expect(response.stale).to.equal(true)
+      expect(response.error.message).to.equal('Request Failed. Status Code: 500')
+      expect(response.data.features).to.have.lengthOf(35)
+    })
+  })
+
+  it('should reject when the server fails and the cached response is too old', function () {
+    return promise.getJSONPromiseGetCached(alertURL, {}, cache).then(() => {
+      mockServer.setMode('alerts', 'error')
+
+      return promise.getJSONPromiseGetCached(alertURL, {}, cache)
+    }).then(() => {
+      throw new Error('Expected request to fail')
+    }, (error) => {
+      expect(error.message).to.equal('Request Failed. Status Code: 500')
+    })
+  })
+
+  it('should keep cached responses on disk between instances', function () {
+    return promise.getJSONPromiseGetCached(alertURL, {}, cache).then(() => {
+      const entry = new ResponseCache(tempDir, logger).get(alertURL)
+
+      expect(entry.etag).to.be.a('string')
+      expect(entry.data.features).to.have.lengthOf(35)
+    })
+  })
+})
+
+describe('request', function () {
+  let server
+  let baseURL
+  let hits
+
+  before(function () {
+    hits = {}
+    server = http.createServer((req, res) => {
+      hits[req.url] = (hits[req.url] || 0) + 1
+
+      switch (req.url) {
+        case '/redirect':
+          res.writeHead(302, { Location: '/json' })
+          return res.end()
+        case '/loop':
+          res.writeHead(301, { Location: '/loop' })
+          return res.end()
+        case '/gzip':
+          res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' })
+          return res.end(zlib.gzipSync(JSON.stringify({ compressed: true })))
+        case '/hang':
+          return
+        case '/flaky':
+          if (hits[req.url] < 3) {
+            res.writeHead(503)
+            return res.end()
+          }
+          break
+        case '/missing':
+          res.writeHead(404)
+          return res.end()
+        case '/down':
+          res.writeHead(503)
+          return res.end()
+        case '/large':
+          res.writeHead(200, { 'Content-Type': 'application/json' })
+          return res.end(JSON.stringify({ data: 'x'.repeat(2048) }))
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ method: req.method, url: req.url, headers: req.headers }))
+    })
+
+    return new Promise((resolve) => {
+      server.listen(0, 'localhost', () => {
+        baseURL = `http://localhost:${server.address().port}`
+        resolve()
+      })
+    })
+  })
+
+  after(function () {
+    return new Promise((resolve) => {
+      server.close(() => resolve())
+      server.closeAllConnections()
+    })
+  })
+
+  it('should follow redirects', function () {
+    return promise.getJSONPromiseGet(`${baseURL}/redirect`).then((data) => {
+      expect(data.url).to.equal('/json')
+    })
+  })
+
+  it('should stop following redirects after maxRedirects', function () {
+    return promise.request(`${baseURL}/loop`, { maxRedirects: 2 }).then(() => {
+      throw new Error('Expected request to fail')
+    }, (error) => {
+      expect(error.message).to.equal('Too many redirects. Stopped after 2')
+    })
+  })
+
+  it('should send POSTs as POSTs when there is no params object', function () {
+    return promise.getJSONPromisePost(`${baseURL}/json`).then((data) => {
+      expect(data.method).to.equal('POST')
+    })
+  })
+
+  it('should drop the headers describing the body when a POST is redirected as a GET', function () {
+    return promise.getJSONPromisePost(`${baseURL}/redirect`, { headers: { 'Content-Type': 'application/json', 'Content-Length': 7 } }, '{"a":1}').then((data) => {
+      expect(data.method).to.equal('GET')
+      expect(data.headers).to.not.have.any.keys('content-type', 'content-length')
+    })
+  })
+
+  it('should decompress gzipped responses', function () {
+    return promise.getJSONPromiseGet(`${baseURL}/gzip`).then((data) => {
+      expect(data.compressed).to.equal(true)
+    })
+  })
+
+  it('should fail when the server stops sending data for longer than the timeout', function () {
+    return promise.request(`${baseURL}/hang`, { timeout: 100 }).then(() => {
+      throw new Error('Expected request to fail')
+    }, (error) => {
+      expect(error.code).to.equal('ETIMEDOUT')
+    })
+  })
+
+  it('should fail when the response is larger than maxSize', function () {
+    return promise.request(`${baseURL}/large`, { maxSize: 1024 }).then(() => {
+      throw new Error('Expected request to fail')
+    }, (error) => {
+      expect(error.message).to.equal('Response exceeded 1024 bytes')
+    })
+  })
+
+  it('should retry transient errors with the retry policy', function () {
+    const retry = promise.retryPolicies.exponentialBackoff({ retries: 3, delay: 1 })
+
+    return promise.getJSONPromiseGet(`${baseURL}/flaky`, { retry }).then((data) => {
+      expect(data.url).to.equal('/flaky')
+      expect(hits['/flaky']).to.equal(3)
+    })
+  })
+
+  it('should only retry POSTs with a retry policy from the caller', function () {
+    promise.configure({ retries: 2, retryDelay: 0.001 })
+
+    return promise.postPromise(`${baseURL}/down`).then(() => {
+      throw new Error('Expected request to fail')
+    }, (error) => {
+      expect(error.statusCode).to.equal(503)
+      expect(hits['/down']).to.equal(1)
+
+      return promise.postPromise(`${baseURL}/down`, { retry: promise.retryPolicies.exponentialBackoff({ retries: 2, delay: 1 }) })
+    }).then(() => {
+      throw new Error('Expected request to fail')
+    }, (error) => {
+      expect(error.statusCode).to.equal(503)
+      expect(hits['/down']).to.equal(4)
+    }).finally(() => {
+      promise.configure({})
+    })
+  })
+
+  it('should not retry permanent errors', function () {
+    const retry = promise.retryPolicies.exponentialBackoff({ retries: 3, delay: 1 })
+
+    return promise.getJSONPromiseGet(`${baseURL}/missing`, { retry }).then(() => {
+      throw new Error('Expected request to fail')
+    }, (error) => {
+      expect(error.statusCode).to.equal(404)
+      expect(hits['/missing']).to.equal(1)
+    })
+  })
+})
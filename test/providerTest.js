@@ -0,0 +1,121 @@
+const expect = require('chai').expect
+const Extra = require('../extra.js')
+const NWSProvider = require('../providers/nws.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const providers = require('../providers/index.js')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Weather Providers', function () {
+  const app = { contact: 'bot@example.com', name: 'WeatherBot', version: '1.0', website: 'https://example.com' }
+  const point = require('./sampleNWSPoint.json')
+  const hourly = require('./sampleNWSHourly.json')
+
+  describe('create', function () {
+    it('should create an OpenWeatherMap provider by default', function () {
+      const provider = providers.create({ openWeatherMap: { key: 'KEY', location: { id: 4381982 } } }, logger, () => {})
+
+      expect(provider).to.be.an.instanceof(OpenWeatherMapProvider)
+      expect(provider.weatherRequestURL).to.equal('https://api.openweathermap.org/data/2.5/forecast?id=4381982&units=metric&APPID=KEY')
+    })
+
+    it('should create the configured provider', function () {
+      const provider = providers.create({ provider: 'nws', nws: { lat: 38.951705, lon: -92.334072, app } }, logger, () => {})
+
+      expect(provider).to.be.an.instanceof(NWSProvider)
+      expect(provider.pointURL).to.equal('https://api.weather.gov/points/38.9517,-92.3341')
+    })
+
+    it('should throw a RangeError for an unknown provider', function () {
+      expect(() => providers.create({ provider: 'darkSky' }, logger, () => {})).to.throw(RangeError)
+    })
+  })
+
+  describe('OpenWeatherMap', function () {
+    it('should normalize 3 hour forecasts', function () {
+      const { location, periods } = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+
+      expect(location.utcOffset).to.equal(-18000)
+      expect(periods).to.have.lengthOf(40)
+      expect(periods[0].time).to.deep.equal(new Date('2019-07-01T00:00:00Z'))
+      expect(periods[0].temp).to.include({ min: 30.46, max: 31.28 })
+      expect(periods[0]).to.include({ conditionId: 800, cloudiness: 0 })
+    })
+  })
+
+  describe('NWS', function () {
+    it('should combine hourly forecasts into 3 hour periods', function () {
+      const { location, periods } = NWSProvider.normalize(hourly, point)
+
+      expect(location).to.deep.equal({ name: 'Columbia', lat: 38.9517, lon: -92.3341, timeZone: 'America/Chicago' })
+      expect(periods).to.deep.equal([{
+        time: new Date('2019-07-15T20:00:00Z'),
+        conditionId: 801,
+        temp: { min: 31.1, max: 31.7 },
+        wind: { speed: 4.44, deg: 225 },
+        humidity: 47,
+        pop: 0.05
+      }, {
+        time: new Date('2019-07-15T23:00:00Z'),
+        conditionId: 210,
+        temp: { min: 26.1, max: 29.4 },
+        wind: { speed: 3.06, deg: 225 },
+        humidity: 58,
+        pop: 0.31
+      }])
+    })
+
+    it('should convert imperial forecasts', function () {
+      const imperial = JSON.parse(JSON.stringify(hourly))
+
+      Object.assign(imperial.properties.periods[0], { temperature: 86, temperatureUnit: 'F', windSpeed: '5 to 20 mph' })
+
+      const [period] = NWSProvider.normalize(imperial, point).periods
+
+      expect(period.temp).to.deep.equal({ min: 30, max: 31.7 })
+      expect(period.wind.speed).to.equal(8.94)
+    })
+
+    it('should throw a RangeError for an unknown icon', function () {
+      const unknown = JSON.parse(JSON.stringify(hourly))
+
+      unknown.properties.periods[0].icon = 'https://api.weather.gov/icons/land/day/volcano?size=small'
+
+      expect(() => NWSProvider.normalize(unknown, point)).to.throw(RangeError)
+    })
+
+    it('should look up the grid once', function () {
+      const requests = []
+      const provider = new NWSProvider({ nws: { app }, openWeatherMap: { location: { lat: 38.9517, lon: -92.3341 } } }, logger, (url, params) => {
+        requests.push({ url, params })
+
+        return Promise.resolve(url.includes('/points/') ? point : hourly)
+      })
+
+      return provider.getForecastPromise()
+        .then(() => provider.getForecastPromise())
+        .then((forecast) => {
+          expect(forecast.provider).to.equal('nws')
+          expect(requests.map(({ url }) => url)).to.deep.equal([
+            'https://api.weather.gov/points/38.9517,-92.3341',
+            'https://api.weather.gov/gridpoints/LSX/27,86/forecast/hourly?units=si',
+            'https://api.weather.gov/gridpoints/LSX/27,86/forecast/hourly?units=si'
+          ])
+          expect(requests[0].params.headers['User-Agent']).to.equal('WeatherBot/v1.0 (https://example.com; bot@example.com)')
+        })
+    })
+
+    it('should throw a TypeError without an app', function () {
+      expect(() => new NWSProvider({ nws: { lat: 38.9517, lon: -92.3341 } }, logger, () => {})).to.throw(TypeError)
+    })
+
+    it('should generate forecasts and extras without pressure or cloudiness', function () {
+      const forecast = NWSProvider.normalize(hourly, point)
+      const extra = new Extra({ coordinates: {}, probabilities: { pressure: 1 } }, logger)
+
+      expect(weatherTools.generateForecastMessage(forecast, undefined, undefined, undefined, 2)).to.include('\n15:00:🌥️, [31,32]°C, 💨 4.4 m/s ↗️\n18:00:')
+      expect(extra.getExtra(forecast)).to.deep.equal({ type: 'Humidity', statement: 'Expected Humidity:\n15:00: 47%\n18:00: 58%' })
+    })
+  })
+})
@@ -0,0 +1,118 @@
+const expect = require('chai').expect
+const PublisherGroup = require('../publishers/index.js')
+
+const logger = {
+  info () {},
+  error () {}
+}
+
+// Records published messages instead of sending them
+class MockPublisher {
+  constructor (config) {
+    this.fail = config.fail
+    this.maxCharacters = config.characterLimit
+    this.published = []
+  }
+
+  get characterLimit () {
+    return this.maxCharacters
+  }
+
+  publish (message, metadata) {
+    if (this.fail) {
+      return Promise.reject(new Error(`${this.fail}`))
+    }
+
+    this.published.push({ message, metadata })
+
+    return Promise.resolve(message)
+  }
+}
+
+PublisherGroup.register('mock', MockPublisher)
+
+describe('Publishers', function () {
+  describe('Config', function () {
+    it('should publish to config.twitter when config.publishers is missing', function () {
+      const twitterConfig = { consumer_key: 'key' }
+      const publisherConfig = PublisherGroup.getPublisherConfig({ twitter: twitterConfig })
+
+      expect(publisherConfig).to.deep.equal([{ type: 'twitter', consumer_key: 'key' }])
+    })
+
+    it('should throw a RangeError for an unknown publisher type', function () {
+      expect(() => new PublisherGroup([{ type: 'carrier pigeon' }], logger)).to.throw(RangeError)
+    })
+
+    it('should throw a RangeError when every publisher is disabled', function () {
+      expect(() => new PublisherGroup([{ type: 'mock', disabled: true }], logger)).to.throw(RangeError)
+    })
+  })
+
+  describe('characterLimit', function () {
+    it('should be the smallest character limit of the publishers', function () {
+      const publishers = new PublisherGroup([
+        { type: 'mock', characterLimit: 500 },
+        { type: 'mock', characterLimit: 280 },
+        { type: 'mock', characterLimit: Infinity }
+      ], logger)
+
+      expect(publishers.characterLimit).to.equal(280)
+    })
+  })
+
+  describe('fits', function () {
+    it('should measure messages the way each publisher counts them', function () {
+      const publishers = new PublisherGroup([
+        { type: 'console', characterLimit: 30, destination: 'twitter', outbox: 'outbox.jsonl' },
+        { type: 'mock', characterLimit: 80 }
+      ], logger)
+      const message = 'Details: https://www.weather.gov/lsx/'
+
+      // 9 characters and a url counted as 23
+      expect(publishers.fits(message)).to.equal(false)
+      expect(publishers.fits(message.replace('Details: ', 'More: '))).to.equal(true)
+    })
+  })
+
+  describe('publish', function () {
+    it('should send the message and metadata to every publisher', function () {
+      const publishers = new PublisherGroup([
+        { type: 'mock', characterLimit: 500 },
+        { type: 'mock', characterLimit: 280 }
+      ], logger)
+
+      return publishers.publish('Forecast', { type: 'forecast' }).then((results) => {
+        expect(results).to.deep.equal(['Forecast', 'Forecast'])
+
+        publishers.publishers.forEach(({ publisher }) => {
+          expect(publisher.published).to.deep.equal([{ message: 'Forecast', metadata: { type: 'forecast' } }])
+        })
+      })
+    })
+
+    it('should resolve when at least 1 publisher succeeds', function () {
+      const publishers = new PublisherGroup([
+        { type: 'mock', fail: 'down' },
+        { type: 'mock' }
+      ], logger)
+
+      return publishers.publish('Forecast').then((results) => {
+        expect(results).to.deep.equal(['Forecast'])
+      })
+    })
+
+    it('should reject with the first error when every publisher fails', function () {
+      const publishers = new PublisherGroup([
+        { type: 'mock', fail: 'first' },
+        { type: 'mock', fail: 'second' }
+      ], logger)
+
+      return publishers.publish('Forecast').then(() => {
+        throw new Error('Expected publish to reject')
+      }, (error) => {
+        expect(error.message).to.equal('first')
+      })
+    })
+  })
+})
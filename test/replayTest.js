@@ -0,0 +1,283 @@
+const DateFormatter = require('../dateFormatter.js')
+const expect = require('chai').expect
+const fs = require('fs')
+const path = require('path')
+const replayTools = require('../replay.js')
+
+// Read without require so changes made by other tests to the cached config aren't used
+const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'mock_config.json')))
+const recordings = replayTools.loadRecordings(__dirname)
+
+describe('Replay', function () {
+  const start = new Date('2019-07-15T12:00:00Z')
+  const end = new Date('2019-07-16T12:00:00Z')
+
+  describe('loadRecordings', function () {
+    it('should sort recorded responses by type', function () {
+      expect(recordings.forecasts).to.have.lengthOf(3)
+      expect(recordings.alerts).to.have.lengthOf(5)
+      expect(recordings.oneCalls).to.have.lengthOf(1)
+      expect(recordings.observations).to.have.lengthOf(1)
+      expect(recordings.tweets).to.have.lengthOf(6)
+    })
+
+    it('should sort recordings by the time they were recorded', function () {
+      for (let i = 1; i < recordings.alerts.length; i++) {
+        expect(recordings.alerts[i].time).to.be.at.least(recordings.alerts[i - 1].time)
+      }
+    })
+  })
+
+  describe('replay', function () {
+    let posts
+
+    before(function () {
+      return replayTools.replay({ config, recordings, start, end }).then((replayPosts) => {
+        posts = replayPosts
+      })
+    })
+
+    it('should post a forecast every 2 hours', function () {
+      const forecasts = posts.filter((post) => post.type === 'forecast')
+
+      expect(forecasts).to.have.lengthOf(12)
+      forecasts.forEach((forecast, i) => {
+        expect(new Date(forecast.time).getTime()).to.equal(start.getTime() + (i * 7200000))
+      })
+    })
+
+    it('should only post alerts when the alert job runs', function () {
+      posts.filter((post) => post.type === 'alert').forEach((alert) => {
+        expect(new Date(alert.time).getUTCHours() % 6).to.equal(0)
+      })
+    })
+
+    it('should not post the same alert twice', function () {
+      // The alert job runs 3 times against the same recording
+      const alertStart = new Date('2019-07-16T00:00:00Z')
+      const alertEnd = new Date('2019-07-16T13:00:00Z')
+
+      return replayTools.replay({ config, recordings, start: alertStart, end: alertEnd }).then((replayPosts) => {
+        const alerts = replayPosts.filter((post) => post.type === 'alert')
+
+        expect(alerts).to.have.lengthOf(1)
+        expect(alerts[0].message).to.match(/^ALERT: Excessive Heat Watch/)
+      })
+    })
+
+    it('should restore the real clock after replaying', function () {
+      expect(Math.abs(new Date() - Date.now())).to.be.below(1000)
+      expect(new Date().getFullYear()).to.be.above(2019)
+    })
+
+    it('should post the same messages when replayed with the same seed', function () {
+      return replayTools.replay({ config, recordings, start, end }).then((replayPosts) => {
+        expect(replayTools.diffSnapshots(posts, replayPosts)).to.have.lengthOf(0)
+      })
+    })
+  })
+
+  describe('alert polling', function () {
+    const pollConfig = JSON.parse(JSON.stringify(config))
+
+    pollConfig.weather.alerts.poll = { interval: 5, severity: 'Severe', urgency: 'Expected' }
+
+    // Replays a window and gets the alerts posted
+    //  @param  {string} startTime When the replay starts
+    //  @param  {string} endTime When the replay ends
+    //  @return {Promise} A promise that resolves to the alerts posted
+    function replayAlerts (startTime, endTime) {
+      return replayTools.replay({
+        config: pollConfig,
+        recordings: recordings,
+        start: new Date(startTime),
+        end: new Date(endTime)
+      }).then((replayPosts) => replayPosts.filter((post) => post.type === 'alert'))
+    }
+
+    it('should post urgent alerts as soon as a poll finds them', function () {
+      return replayAlerts('2019-07-07T01:00:00Z', '2019-07-07T07:00:00Z').then((alerts) => {
+        expect(alerts).to.have.lengthOf(1)
+        expect(alerts[0].message).to.match(/^ALERT: Flood Warning/)
+        expect(alerts[0].time).to.equal('2019-07-07T01:00:00.000Z')
+      })
+    })
+
+    it('should leave other alerts for the next alert job', function () {
+      return replayAlerts('2019-07-15T21:00:00Z', '2019-07-16T01:00:00Z').then((alerts) => {
+        expect(alerts).to.have.lengthOf(1)
+        expect(alerts[0].message).to.match(/^ALERT: Excessive Heat Watch/)
+        expect(alerts[0].time).to.equal('2019-07-16T00:00:00.000Z')
+      })
+    })
+  })
+
+  describe('nowcasts', function () {
+    const nowcastConfig = JSON.parse(JSON.stringify(config))
+
+    nowcastConfig.weather.nowcast = { lat: 38.9517, lon: -92.3341 }
+
+    it('should post one nowcast for rain found by every check', function () {
+      return replayTools.replay({
+        config: nowcastConfig,
+        recordings: recordings,
+        start: new Date('2019-07-15T20:00:00Z'),
+        end: new Date('2019-07-15T21:00:00Z')
+      }).then((replayPosts) => {
+        const nowcasts = replayPosts.filter((post) => post.type === 'nowcast')
+
+        expect(nowcasts).to.have.lengthOf(1)
+        expect(nowcasts[0].message).to.match(/^🌧️ Rain expected in about 20 minutes/)
+      })
+    })
+  })
+
+  describe('observations', function () {
+    const observationConfig = JSON.parse(JSON.stringify(config))
+
+    observationConfig.jobs = { observation: {} }
+    observationConfig.weather.observations = { station: 'KCOU' }
+
+    it('should post the recorded observation', function () {
+      return replayTools.replay({
+        config: observationConfig,
+        recordings: recordings,
+        start: new Date('2019-07-15T21:00:00Z'),
+        end: new Date('2019-07-15T22:00:00Z')
+      }).then((replayPosts) => {
+        const observations = replayPosts.filter((post) => post.type === 'observation')
+
+        expect(observations).to.have.lengthOf(1)
+        expect(observations[0].time).to.equal('2019-07-15T21:15:00.000Z')
+        expect(observations[0].message).to.match(/^Now at KCOU, [0-9]{2}:54: ☁️ Mostly Cloudy\n🌡️ 31.7°C/)
+      })
+    })
+  })
+
+  describe('observations from the nearest station', function () {
+    const observationConfig = JSON.parse(JSON.stringify(config))
+
+    // The station is found from config.extra.coordinates
+    observationConfig.jobs = { observation: {} }
+    observationConfig.weather.observations = {}
+
+    it('should post the recorded observation', function () {
+      return replayTools.replay({
+        config: observationConfig,
+        recordings: recordings,
+        start: new Date('2019-07-15T21:00:00Z'),
+        end: new Date('2019-07-15T22:00:00Z')
+      }).then((replayPosts) => {
+        const observations = replayPosts.filter((post) => post.type === 'observation')
+
+        expect(observations).to.have.lengthOf(1)
+        expect(observations[0].message).to.match(/^Now at KCOU, [0-9]{2}:54: ☁️ Mostly Cloudy\n/)
+      })
+    })
+  })
+
+  describe('languages', function () {
+    const spanishConfig = JSON.parse(JSON.stringify(config))
+
+    spanishConfig.language = 'es'
+    spanishConfig.extra.probabilities = { humidity: 1 }
+
+    it('should post extras in the language of the forecast', function () {
+      return replayTools.replay({
+        config: spanishConfig,
+        recordings: recordings,
+        start: start,
+        end: new Date('2019-07-15T13:00:00Z')
+      }).then((replayPosts) => {
+        const forecasts = replayPosts.filter((post) => post.type === 'forecast')
+
+        expect(forecasts).to.have.lengthOf(1)
+        expect(forecasts[0].message).to.match(/^(Pronóstico|Pronóstiko)\n/)
+        expect(forecasts[0].message).to.include('Humedad esperada:\n')
+      })
+    })
+  })
+
+  describe('failover', function () {
+    const failoverConfig = JSON.parse(JSON.stringify(config))
+
+    // Nothing from the NWS is recorded so the primary provider fails every time
+    failoverConfig.weather.provider = 'nws'
+    failoverConfig.weather.nws = { lat: 38.9517, lon: -92.3341 }
+    failoverConfig.weather.failover = { providers: ['openWeatherMap'] }
+
+    it('should post forecasts from the failover provider when the primary provider fails', function () {
+      return replayTools.replay({
+        config: failoverConfig,
+        recordings: recordings,
+        start: start,
+        end: new Date('2019-07-15T18:00:00Z')
+      }).then((replayPosts) => {
+        const forecasts = replayPosts.filter((post) => post.type === 'forecast')
+
+        // Each forecast is retried on the primary provider before failing over
+        expect(replayPosts.filter((post) => post.type === 'retry')).to.have.lengthOf(9)
+        expect(forecasts).to.have.lengthOf(3)
+        expect(forecasts[0].message).to.match(/^(Forecast|Fourcast)\n/)
+        expect(replayPosts.filter((post) => post.type === 'error')).to.have.lengthOf(0)
+      })
+    })
+  })
+
+  describe('configured schedules', function () {
+    const scheduleConfig = JSON.parse(JSON.stringify(config))
+    const dateFormatter = new DateFormatter('America/Chicago')
+
+    scheduleConfig.timezone = 'America/Chicago'
+    scheduleConfig.jobs = {
+      forecast: {
+        cron: '0 */3 * * *',
+        quietHours: { start: '00:00', end: '05:00' }
+      }
+    }
+
+    let posts
+
+    before(function () {
+      return replayTools.replay({ config: scheduleConfig, recordings, start, end }).then((replayPosts) => {
+        posts = replayPosts
+      })
+    })
+
+    it('should post forecasts on the configured cron outside of quiet hours', function () {
+      const forecasts = posts.filter((post) => post.type === 'forecast')
+
+      expect(forecasts).to.have.length.above(0)
+      forecasts.forEach((forecast) => {
+        const hour = dateFormatter.getHour(new Date(forecast.time))
+
+        expect(hour % 3).to.equal(0)
+        expect(hour).to.be.at.least(5)
+      })
+    })
+
+    it('should still post alerts during forecast quiet hours', function () {
+      expect(posts.filter((post) => post.type === 'alert')).to.have.length.above(0)
+    })
+  })
+
+  describe('diffSnapshots', function () {
+    it('should describe changed messages', function () {
+      const expected = [{ time: '2019-07-15T00:00:00.000Z', type: 'forecast', message: 'Forecast\n00:00' }]
+      const actual = [{ time: '2019-07-15T00:00:00.000Z', type: 'forecast', message: 'Fourcast\n00:00' }]
+
+      expect(replayTools.diffSnapshots(expected, actual)).to.deep.equal([
+        '@@ post 0 forecast at 2019-07-15T00:00:00.000Z @@',
+        '-   "message": "Forecast\\n00:00"',
+        '+   "message": "Fourcast\\n00:00"'
+      ])
+    })
+
+    it('should describe missing and extra posts', function () {
+      const post = { time: '2019-07-15T00:00:00.000Z', type: 'alert', message: 'ALERT' }
+
+      expect(replayTools.diffSnapshots([post], [])[0]).to.equal('@@ post 0 alert at 2019-07-15T00:00:00.000Z @@')
+      expect(replayTools.diffSnapshots([], [post])).to.include('+   "type": "alert",')
+    })
+  })
+})
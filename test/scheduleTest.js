@@ -0,0 +1,52 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+
+describe('Schedules', function () {
+  // Makes a bot with quiet forecasts from midnight to 5 in the morning
+  //  @param  {string=} timezone The configured time zone
+  //  @return {WeatherBot} The bot
+  function createQuietBot (timezone) {
+    const jobs = { forecast: { quietHours: { start: '00:00', end: '05:00' } } }
+
+    return createBot({ config: { jobs, timezone }, stats: { lastUpdate: new Date() } }).bot
+  }
+
+  describe('isQuietTime', function () {
+    it('should use the configured time zone instead of the server time zone', function () {
+      const bot = createQuietBot('Asia/Tokyo')
+
+      // 01:00 and 11:00 in Tokyo
+      expect(bot.isQuietTime('forecast', new Date('2019-07-14T16:00:00Z'))).to.equal(true)
+      expect(bot.isQuietTime('forecast', new Date('2019-07-15T02:00:00Z'))).to.equal(false)
+      expect(bot.isQuietTime('alerts', new Date('2019-07-14T16:00:00Z'))).to.equal(false)
+    })
+
+    it('should use the time zone of the latest forecast', function () {
+      const bot = createQuietBot()
+
+      bot.getDateFormatter({ location: { utcOffset: 32400 } })
+
+      expect(bot.isQuietTime('forecast', new Date('2019-07-14T16:00:00Z'))).to.equal(true)
+      expect(bot.isQuietTime('forecast', new Date('2019-07-15T02:00:00Z'))).to.equal(false)
+    })
+  })
+
+  describe('start', function () {
+    it('should schedule jobs in the configured time zone', function () {
+      const rules = []
+
+      createQuietBot('Asia/Tokyo').start({ scheduleJob: (rule) => rules.push(rule) })
+
+      expect(rules).to.deep.include({ rule: '0 */2 * * *', tz: 'Asia/Tokyo' })
+      rules.forEach((rule) => expect(rule.tz).to.equal('Asia/Tokyo'))
+    })
+
+    it('should schedule jobs in the server time zone without a configured time zone', function () {
+      const rules = []
+
+      createQuietBot().start({ scheduleJob: (rule) => rules.push(rule) })
+
+      expect(rules).to.include('0 */2 * * *')
+    })
+  })
+})
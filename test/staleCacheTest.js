@@ -0,0 +1,99 @@
+const createBot = require('./helpers/createBot.js')
+const expect = require('chai').expect
+const fs = require('fs')
+const MockServer = require('../mockServer.js')
+const os = require('os')
+const path = require('path')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Stale Cache', function () {
+  const app = { contact: 'bot@example.com', name: 'WeatherBot', version: '1.0', website: 'https://example.com' }
+  const fixture = path.join(os.tmpdir(), `staleCacheTest-${process.pid}.json`)
+  let mockServer
+  let baseURL
+
+  before(function () {
+    const alerts = require('./exampleAlerts4.json')
+    const tomorrow = new Date(Date.now() + 86400000).toISOString()
+
+    // One current alert so it isn't skipped as expired
+    fs.writeFileSync(fixture, JSON.stringify(Object.assign({}, alerts, {
+      features: [Object.assign({}, alerts.features[0], {
+        properties: Object.assign({}, alerts.features[0].properties, { expires: tomorrow, ends: tomorrow })
+      })]
+    })))
+
+    mockServer = new MockServer({ fixtures: { alerts: fixture } })
+
+    return mockServer.listen().then((url) => {
+      baseURL = url
+    })
+  })
+
+  after(function () {
+    fs.unlinkSync(fixture)
+
+    return mockServer.close()
+  })
+
+  beforeEach(function () {
+    mockServer.reset()
+  })
+
+  // Makes a bot whose responses are cached then makes the mock server fail
+  //  @param  {string} route The route to fetch then fail
+  //  @param  {number} age How old the cached response is in ms
+  //  @return {Promise} A promise that resolves to an object containing the bot and its posts
+  function createBotWithStaleCache (route, age) {
+    const weather = {
+      cache: { maxStaleHours: 6 },
+      openWeatherMap: { baseURL, key: 'KEY', location: { id: 4381982 } },
+      alerts: { app, baseURL, params: { zone: 'MOZ041' } }
+    }
+    const weatherFetcher = new weatherTools.DataFetcher(weather, logger)
+    const { bot, posts } = createBot({ config: { weather }, weatherFetcher })
+    const fetch = route === 'alerts' ? weatherFetcher.getWeatherAlertsPromise() : weatherFetcher.getForecastPromise()
+
+    return fetch.then(() => {
+      const url = route === 'alerts' ? weatherFetcher.alertURL : weatherFetcher.provider.weatherRequestURL
+      const entry = weatherFetcher.responseCache.get(url)
+
+      weatherFetcher.responseCache.set(url, Object.assign({}, entry, { time: Date.now() - age }))
+      mockServer.setMode(route, 'error')
+
+      return { bot, posts }
+    })
+  }
+
+  it('should say how old a forecast from the cache is', function () {
+    return createBotWithStaleCache('forecast', 10800000).then(({ bot, posts }) => {
+      return bot.tweetWeather().then(() => {
+        expect(posts).to.have.lengthOf(1)
+        expect(posts[0].message).to.match(/^⚠️ Forecast from 3 hours ago\n/)
+        expect(bot.stats.lastForecastSource).to.equal('cache')
+      })
+    })
+  })
+
+  it('should post alerts from the cache that are recent', function () {
+    return createBotWithStaleCache('alerts', 600000).then(({ bot, posts }) => {
+      return bot.tweetAlerts().then(() => {
+        expect(posts).to.have.lengthOf(1)
+        expect(posts[0].metadata.type).to.equal('alert')
+      })
+    })
+  })
+
+  it('should not post alerts from the cache that are too old', function () {
+    return createBotWithStaleCache('alerts', 7200000).then(({ bot, posts }) => {
+      return bot.tweetAlerts().then(() => {
+        throw new Error('Expected tweetAlerts to fail')
+      }, (error) => {
+        expect(error.message).to.match(/^Alerts cached at .* are too old to post$/)
+        expect(posts).to.have.lengthOf(0)
+      })
+    })
+  })
+})
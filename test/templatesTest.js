@@ -0,0 +1,72 @@
+const expect = require('chai').expect
+const Extra = require('../extra.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const Templates = require('../templates.js')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Templates', function () {
+  it('should fill in nested placeholders', function () {
+    const templates = new Templates({ seasonProgress: '{previous.event}: {previous.days}, {next.event}: {next.days}' })
+
+    expect(templates.render('seasonProgress', { previous: { days: 3, event: 'solstice' }, next: { days: 88, event: 'equinox' } })).to.equal('solstice: 3, equinox: 88')
+  })
+
+  it('should print escaped braces and leave missing values empty', function () {
+    const templates = new Templates({ lunarPhase: '{{moon}} {phase}!' })
+
+    expect(templates.render('lunarPhase', {})).to.equal('{moon} !')
+  })
+
+  it('should find mistakes in templates', function () {
+    const errors = Templates.validate({
+      forecastLine: '{time} {temp.kelvin}',
+      lunarPhase: '{phase',
+      nowcast: 'Rain soon',
+      alert: 5
+    })
+
+    expect(errors).to.have.lengthOf(4)
+    expect(errors[0]).to.match(/unknown placeholder "\{temp\.kelvin\}"/)
+    expect(errors[1]).to.match(/unmatched brace/)
+    expect(errors[2]).to.match(/Unknown template "nowcast"/)
+    expect(errors[3]).to.match(/must be a string/)
+  })
+
+  it('should throw for invalid templates', function () {
+    expect(() => new Templates({ forecastLine: '{feelsLike}' })).to.throw(RangeError)
+    expect(() => new Templates([])).to.throw(TypeError)
+  })
+
+  it('should have a valid default for every template', function () {
+    const defaults = require('../data/templates.json')
+
+    expect(Object.keys(defaults)).to.have.members(Templates.getNames())
+    expect(Templates.validate(defaults)).to.deep.equal([])
+  })
+
+  it('should lay out forecasts with a custom line template', function () {
+    const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+    const templates = new Templates({ forecast: '{lines}', forecastLine: '{time}h {condition} {temp.min}-{temp.max}' })
+
+    expect(weatherTools.generateForecastMessage(weatherData, undefined, undefined, templates)).to.match(/^[0-9]{2}h [A-Za-z ]+ -?[0-9]+°C--?[0-9]+°C\n/)
+  })
+
+  it('should word extra messages with templates', function () {
+    const extra = new Extra({ coordinates: { elevation: 231 }, probabilities: {} }, logger, new Templates({ tutorialPressure: 'Elevation: {elevation}m' }))
+
+    expect(extra.getTutorial(1)).to.equal('Elevation: 231m')
+  })
+
+  it('should list each amount of precipitation once', function () {
+    const extra = new Extra({ coordinates: {}, probabilities: {} }, logger)
+    const forecastData = [
+      { time: new Date(1563220800000), rain: 0.5, snow: 1.25 },
+      { time: new Date(1563231600000), snow: 2 },
+      { time: new Date(1563242400000) }
+    ]
+
+    expect(extra.getExtraStat('precipitation', forecastData)).to.match(/^Expected Precipitation:\n[0-9]{2}:00: 0\.50 mm\/h rain, 1\.25 mm\/h snow\.\n[0-9]{2}:00: 2\.00 mm\/h snow\.$/)
+  })
+})
@@ -0,0 +1,120 @@
+const expect = require('chai').expect
+const messageLength = require('../messageLength.js')
+const TweetWeather = require('../tweetWeather.js')
+const weatherTools = require('../weather.js')
+
+const alerts = require('./exampleAlerts4.json')
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Tweet Weather', function () {
+  describe('splitIntoThread', function () {
+    const text = weatherTools.getAlertDetails(alerts.features[0])
+
+    it('should not number text that fits in a single tweet', function () {
+      expect(TweetWeather.splitIntoThread('Short message.')).to.deep.equal(['Short message.'])
+    })
+
+    it('should split long text into numbered tweets within the character limit', function () {
+      const tweets = TweetWeather.splitIntoThread(text)
+
+      expect(tweets.length).to.be.above(1)
+      tweets.forEach((tweet, i) => {
+        expect(tweet.length).to.be.at.most(280)
+        expect(tweet.endsWith(`\n(${i + 1}/${tweets.length})`)).to.equal(true)
+      })
+    })
+
+    it('should split at sentence boundaries', function () {
+      TweetWeather.splitIntoThread(text).forEach((tweet) => {
+        expect(tweet.replace(/\n\([0-9]+\/[0-9]+\)$/, '')).to.match(/[.!?]$/)
+      })
+    })
+
+    it('should keep all of the text', function () {
+      const joined = TweetWeather.splitIntoThread(text)
+        .map((tweet) => tweet.replace(/\n\([0-9]+\/[0-9]+\)$/, ''))
+        .join(' ')
+
+      expect(joined.replace(/\s+/g, ' ')).to.equal(text.replace(/\s+/g, ' '))
+    })
+
+    it('should split sentences longer than a tweet at spaces', function () {
+      const tweets = TweetWeather.splitIntoThread(`${'word '.repeat(100)}end.`, 100)
+
+      tweets.forEach((tweet) => {
+        expect(tweet.length).to.be.at.most(100)
+        expect(tweet).to.match(/^word|^end/)
+      })
+    })
+
+    it('should measure tweets by their weighted length', function () {
+      const japanese = '大雨警報が発表されました。'.repeat(30)
+      const tweets = TweetWeather.splitIntoThread(japanese)
+
+      expect(tweets.length).to.be.above(2)
+      tweets.forEach((tweet) => {
+        expect(messageLength.getTweetLength(tweet)).to.be.at.most(280)
+      })
+      expect(tweets.map((tweet) => tweet.replace(/\n\([0-9]+\/[0-9]+\)$/, '')).join('')).to.equal(japanese)
+    })
+
+    it('should not cut words inside an emoji', function () {
+      const tweets = TweetWeather.splitIntoThread('⛈️'.repeat(200))
+
+      tweets.forEach((tweet) => {
+        expect(messageLength.getTweetLength(tweet)).to.be.at.most(280)
+        expect(tweet.replace(/\n\([0-9]+\/[0-9]+\)$/, '')).to.match(/^(⛈️)+$/u)
+      })
+    })
+  })
+
+  describe('sendThread', function () {
+    // Makes a TweetWeather with a twitter client that records posts
+    //  @param  {number=} failAt The index of the post that fails
+    //  @return {TweetWeather} A TweetWeather with a fake twitter client
+    function getTweetWeather (failAt) {
+      const tweetWeather = new TweetWeather({}, logger, {})
+      const posts = []
+
+      tweetWeather.posts = posts
+      tweetWeather.twitterClient = {
+        post (endpoint, params) {
+          if (posts.length === failAt) {
+            return Promise.reject(new Error('Over capacity'))
+          }
+
+          posts.push(params)
+
+          return Promise.resolve({ id_str: `${posts.length}`, text: params.status })
+        }
+      }
+
+      return tweetWeather
+    }
+
+    it('should post each tweet as a reply to the one before it', function () {
+      const tweetWeather = getTweetWeather()
+
+      return tweetWeather.sendThread(['first', 'second', 'third']).then((tweets) => {
+        expect(tweets.map((tweet) => tweet.text)).to.deep.equal(['first', 'second', 'third'])
+        expect(tweetWeather.posts[0].in_reply_to_status_id).to.equal(undefined)
+        expect(tweetWeather.posts[1].in_reply_to_status_id).to.equal('1')
+        expect(tweetWeather.posts[2].in_reply_to_status_id).to.equal('2')
+      })
+    })
+
+    it('should resolve with the tweets sent when a reply fails', function () {
+      return getTweetWeather(2).sendThread(['first', 'second', 'third']).then((tweets) => {
+        expect(tweets).to.have.lengthOf(2)
+      })
+    })
+
+    it('should reject when the first tweet fails', function () {
+      return getTweetWeather(0).sendThread(['first', 'second']).then(() => {
+        throw new Error('Expected thread to fail')
+      }, (error) => {
+        expect(error.message).to.equal('Over capacity')
+      })
+    })
+  })
+})
@@ -0,0 +1,81 @@
+const expect = require('chai').expect
+const Extra = require('../extra.js')
+const OpenWeatherMapProvider = require('../providers/openWeatherMap.js')
+const UnitFormatter = require('../unitFormatter.js')
+const weatherTools = require('../weather.js')
+
+const logger = { info () {}, warn () {}, error () {} }
+
+describe('Unit Formatter', function () {
+  const metric = new UnitFormatter('metric')
+  const imperial = new UnitFormatter('imperial')
+  const dual = new UnitFormatter('dual')
+
+  it('should default to metric', function () {
+    expect(new UnitFormatter().system).to.equal('metric')
+  })
+
+  it('should throw a RangeError for an unknown unit system', function () {
+    expect(() => new UnitFormatter('kelvin')).to.throw(RangeError)
+  })
+
+  it('should convert temperature ranges', function () {
+    expect(metric.formatTemperatureRange(19.6, 25.2)).to.equal('[20,25]°C')
+    expect(imperial.formatTemperatureRange(20, 25)).to.equal('[68,77]°F')
+    expect(dual.formatTemperatureRange(20, 25)).to.equal('[20,25]°C [68,77]°F')
+  })
+
+  it('should convert wind speeds', function () {
+    expect(metric.formatSpeed(3.4)).to.equal('3.4 m/s')
+    expect(imperial.formatSpeed(3.4)).to.equal('7.6 mph')
+    expect(dual.formatSpeed('3.4', '')).to.equal('3.4m/s (7.6mph)')
+  })
+
+  it('should print fast wind speeds as whole numbers', function () {
+    expect(imperial.formatSpeed(45)).to.equal('101 mph')
+    expect(metric.formatSpeed(123.4)).to.equal('123 m/s')
+    expect(dual.formatSpeed(12.3)).to.equal('12 m/s (28 mph)')
+  })
+
+  it('should convert pressure and precipitation', function () {
+    expect(imperial.formatPressure(1013)).to.equal('29.91inHg')
+    expect(imperial.formatPrecipitationRate(2.54)).to.equal('0.10 in/h')
+    expect(dual.formatPrecipitation(106)).to.equal('106mm (4.17in)')
+  })
+
+  it('should only give a single unit system as the primary formatter', function () {
+    expect(dual.getPrimary().system).to.equal('metric')
+    expect(imperial.getPrimary()).to.equal(imperial)
+  })
+
+  describe('forecasts', function () {
+    const weatherData = OpenWeatherMapProvider.normalize(require('./sampleData2.json'))
+
+    it('should print the forecast in imperial units', function () {
+      const message = weatherTools.generateForecastMessage(weatherData, undefined, imperial)
+
+      expect(message).to.match(/\[-?[0-9]+,-?[0-9]+\]°F, 💨 [0-9.]+ mph/)
+      expect(message).to.not.match(/°C|m\/s/)
+    })
+
+    it('should fit a dual unit forecast in a tweet', function () {
+      const message = weatherTools.generateForecastMessage(weatherData, undefined, dual)
+
+      expect(message).to.match(/°C \[-?[0-9]+,-?[0-9]+\]°F, 💨 [0-9.]+ m\/s \([0-9.]+ mph\)/)
+      expect(message.length).to.be.at.most(280)
+    })
+
+    it('should print extra stats in the unit system', function () {
+      const extra = new Extra({ coordinates: {}, probabilities: {} }, logger)
+      const statement = extra.getExtraStat('pressure', weatherData.periods.slice(0, 3), undefined, imperial)
+
+      expect(statement).to.match(/^Expected Pressure:\n[0-9]{2}:00: [0-9.]+inHg/)
+    })
+
+    it('should print the beaufort wind speed in the unit system', function () {
+      const extra = new Extra({ coordinates: {}, probabilities: {} }, logger)
+
+      expect(extra.getBeaufort('3.4', dual)).to.match(/^A 3.4m\/s \(7.6mph\) wind is a "gentle breeze"/)
+    })
+  })
+})
@@ -1,8 +1,132 @@
 'use strict'
 
+const messageLength = require('./messageLength.js')
 const Twitter = require('twitter')
 
+const TWEET_CHARACTER_LIMIT = 280
+
+// Splits text into what readers see as single characters so words are never cut inside an emoji
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' })
+
+// Breaks text into sentences. Sentences end at punctuation followed by whitespace or at the end of a line.
+//  @param  {string} text The text to be broken up
+//  @return {object[]} A list of objects containing
+//    {string} sentence The sentence
+//    {string} separator What separates the sentence from the next one. A space, a newline, or a blank line.
+function getSentences (text) {
+  const sentences = []
+
+  for (const [, sentence, whitespace] of text.matchAll(/(\S.*?(?:[.!?](?=\s)|$))(\s*)/gm)) {
+    let separator = ' '
+
+    if (/\n\s*\n/.test(whitespace)) {
+      separator = '\n\n'
+    } else if (whitespace.includes('\n')) {
+      separator = '\n'
+    }
+
+    sentences.push({ sentence, separator })
+  }
+
+  return sentences
+}
+
+// Cuts the longest start off a word that fits in a tweet
+//  @param  {string}   word The word to be cut
+//  @param  {number}   limit The maximum length of the start
+//  @param  {function} measure Measures text the way the publisher counts it
+//  @return {string[]} The start of the word and the rest of it
+function cutWord (word, limit, measure) {
+  let start = ''
+
+  for (const { segment } of graphemeSegmenter.segment(word)) {
+    if (start && measure(start + segment) > limit) {
+      break
+    }
+
+    start += segment
+  }
+
+  return [start, word.substr(start.length)]
+}
+
+// Breaks a sentence too long for a tweet into pieces at spaces. Words too long for a tweet are cut.
+//  @param  {string}   sentence The sentence to be broken up
+//  @param  {number}   limit The maximum length of a piece
+//  @param  {function} measure Measures text the way the publisher counts it
+//  @return {string[]} The pieces of the sentence in order
+function splitSentence (sentence, limit, measure) {
+  const pieces = []
+  let piece = ''
+
+  sentence.split(' ').forEach((word) => {
+    while (measure(word) > limit) {
+      if (piece) {
+        pieces.push(piece)
+        piece = ''
+      }
+
+      const [start, rest] = cutWord(word, limit, measure)
+
+      pieces.push(start)
+      word = rest
+    }
+
+    if (!piece) {
+      piece = word
+    } else if (measure(`${piece} ${word}`) <= limit) {
+      piece += ` ${word}`
+    } else {
+      pieces.push(piece)
+      piece = word
+    }
+  })
+
+  if (piece) {
+    pieces.push(piece)
+  }
+
+  return pieces
+}
+
+// Packs sentences into as few tweets as possible without breaking sentences up unless they're too long for a tweet
+//  @param  {object[]} sentences Sentences from getSentences
+//  @param  {number}   limit The maximum length of a tweet
+//  @param  {function} measure Measures text the way the publisher counts it
+//  @return {string[]} The tweets in order
+function packSentences (sentences, limit, measure) {
+  const tweets = []
+  let tweet = ''
+  let separator = ''
+
+  sentences.forEach((sentenceData) => {
+    if (tweet && measure(tweet + separator + sentenceData.sentence) <= limit) {
+      tweet += separator + sentenceData.sentence
+    } else {
+      if (tweet) {
+        tweets.push(tweet)
+      }
+
+      const pieces = splitSentence(sentenceData.sentence, limit, measure)
+
+      tweet = pieces.pop()
+      pieces.forEach((piece) => tweets.push(piece))
+    }
+
+    separator = sentenceData.separator
+  })
+
+  if (tweet) {
+    tweets.push(tweet)
+  }
+
+  return tweets
+}
+
 module.exports = class TweetWeather {
+  //  @param  {object} config The "twitter" object from config.json or a publisher entry of type "twitter"
+  //  @param  {object} logger A winston logger
+  //  @param  {object} stats The bot's stats object
   constructor (config, logger, stats) {
     this.localStationAccount = config.localStationHandle
     this.logger = logger
@@ -11,11 +135,13 @@ module.exports = class TweetWeather {
       consumer_key: config.consumer_key,
       consumer_secret: config.consumer_secret,
       access_token_key: config.access_token_key,
-      access_token_secret: config.access_token_secret
+      access_token_secret: config.access_token_secret,
+      rest_base: `${(config.baseURL || 'https://api.twitter.com').replace(/\/+$/, '')}/1.1`
     })
   }
 
-  // Retweets all of another twitter account's tweets mad in the past hour
+  // Retweets all of another twitter account's tweets made in the past hour
+  //  @return {Promise} A promise that resolves to the number of tweets retweeted. Rejects if any request fails.
   retweetLocalStationTweets () {
     const params = {
       count: 10,
@@ -24,43 +150,124 @@ module.exports = class TweetWeather {
       screen_name: this.localStationAccount
     }
 
-    this.twitterClient.get('statuses/user_timeline', params, (error, tweets, response) => {
-      this.logger.info('Checking for retweets')
-
-      if (error) {
-        this.logger.error(error)
-        return
-      }
+    const rtParams = {
+      trim_user: true
+    }
 
-      const rtParams = {
-        trim_user: true
-      }
+    this.logger.info('Checking for retweets')
 
+    return this.twitterClient.get('statuses/user_timeline', params).then((tweets) => {
       if (tweets.length) {
         this.logger.info(`Latest tweet created at: ${tweets[0].created_at}`)
       }
 
-      tweets.forEach((tweet) => {
-        if (new Date() - new Date(tweet.created_at) < 3600000) {
-          this.logger.info(`Retweeting tweet with id ${tweet.id_str}`)
+      const recentTweets = tweets.filter((tweet) => new Date() - new Date(tweet.created_at) < 3600000)
+
+      return Promise.all(recentTweets.map((tweet) => {
+        this.logger.info(`Retweeting tweet with id ${tweet.id_str}`)
+
+        return this.twitterClient.post(`statuses/retweet/${tweet.id_str}.json`, rtParams)
+      })).then(() => recentTweets.length)
+    })
+  }
+
+  // The maximum length of a single tweet
+  //  @return {number} The number of characters allowed in a tweet
+  get characterLimit () {
+    return TWEET_CHARACTER_LIMIT
+  }
+
+  // Measures a message the way Twitter counts it toward the character limit
+  //  @param  {string} message The message
+  //  @return {number} The weighted length of the message. See messageLength.getTweetLength
+  getLength (message) {
+    return messageLength.getTweetLength(message)
+  }
+
+  // Splits text into numbered tweets at sentence boundaries
+  //  @param  {string} text The text to be split
+  //  @param  {number=} limit The maximum length of a tweet. 280 if unset.
+  //  @param  {function=} measure Measures text. The weighted tweet length from messageLength.getTweetLength if unset.
+  //  @return {string[]} The tweets in order. Text that fits in a single tweet isn't numbered.
+  static splitIntoThread (text, limit, measure) {
+    limit = limit || TWEET_CHARACTER_LIMIT
+    measure = measure || messageLength.getTweetLength
+    text = text.trim()
+
+    if (measure(text) <= limit) {
+      return [text]
+    }
+
+    const sentences = getSentences(text)
+    let tweets = []
+    let count = 1
+
+    // Leave room for the numbering. Repeat if the count gains a digit.
+    do {
+      count = Math.max(count, tweets.length)
+      tweets = packSentences(sentences, limit - measure(`\n(${count}/${count})`), measure)
+    } while (`${tweets.length}`.length > `${count}`.length)
+
+    return tweets.map((tweet, i) => `${tweet}\n(${i + 1}/${tweets.length})`)
+  }
+
+  // Publishes a message as a tweet. Messages with details are published as a thread.
+  //  @param  {string} message The message to be published
+  //  @param  {object=} metadata Information about the message
+  //    {string=} details Long form text posted after the message as replies. e.g. the full wording of an alert
+  //  @return {Promise} A promise that resolves to the sent tweet or a list of the tweets in the thread
+  publish (message, metadata) {
+    if (metadata && metadata.details) {
+      return this.sendThread(TweetWeather.splitIntoThread(`${message.trim()}\n\n${metadata.details}`))
+    }
+
+    return this.sendTweet(message)
+  }
 
-          this.twitterClient.post(`statuses/retweet/${tweet.id_str}.json`, rtParams, (error, tweets, response) => {
-            if (error) {
-              this.logger.error(error)
-              return
-            }
+  // Tweets messages as a thread where each tweet replies to the one before it
+  //  @param  {string[]} messages The messages to be sent in order(max length 280 each)
+  //  @return {Promise} A promise that resolves to a list of the sent tweets. Rejects if the first tweet fails.
+  //    Failures after the first tweet are logged and end the thread early.
+  sendThread (messages) {
+    if (!(messages instanceof Array) || !messages.length) {
+      throw new TypeError('Param messages must be a non empty array')
+    }
+
+    const sent = []
+    let threadChain = this.sendTweet(messages[0])
+
+    messages.slice(1).forEach((message) => {
+      threadChain = threadChain.then((previousTweet) => {
+        sent.push(previousTweet)
 
-            this.logger.info(`Received ${response} from retweet request.`)
-          })
-        }
+        return this.twitterClient.post('statuses/update', {
+          status: message,
+          in_reply_to_status_id: previousTweet.id_str,
+          auto_populate_reply_metadata: true
+        })
       })
     })
+
+    return threadChain.then((lastTweet) => {
+      sent.push(lastTweet)
+
+      return sent
+    }, (error) => {
+      if (!sent.length) {
+        throw error
+      }
+
+      this.logger.error(`Thread ended early after ${sent.length} of ${messages.length} tweets`)
+      this.logger.error(error)
+
+      return sent
+    })
   }
 
   // Tweets weather messages
   //  @param {string} message The message to be sent(max length 280).
   sendTweet (message) {
-    if (message.length > 280) {
+    if (this.getLength(message) > TWEET_CHARACTER_LIMIT) {
       throw new Error(`Message too long: ${message}`)
     }
 
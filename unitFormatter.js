@@ -0,0 +1,124 @@
+'use strict'
+
+/** @fileoverview Formats measurements from OpenWeatherMap in the configured unit system.
+  *   Data is always fetched in metric units so thresholds like the beaufort scale stay the same. Only the printed values change. */
+
+// Unit systems by the name used in config.json
+const unitSystems = ['metric', 'imperial', 'dual']
+
+// Converts a temperature
+//  @param  {number} celsius The temperature in °C
+//  @return {number} The temperature in °F
+function toFahrenheit (celsius) {
+  return celsius * 9 / 5 + 32
+}
+
+// Prints a speed to 2 significant figures. Speeds of 10 or more are whole numbers so they aren't printed in exponent notation like "1.0e+2".
+//  @param  {number} speed The speed in any unit
+//  @return {string} The speed like "3.4", "76", or "101"
+function formatSpeedValue (speed) {
+  return Math.abs(speed) >= 10 ? String(Math.round(speed)) : speed.toPrecision(2)
+}
+
+module.exports = class UnitFormatter {
+  //  @param  {string=}   system One of "metric", "imperial", or "dual". Dual prints metric followed by imperial. Metric if unset.
+  //  @throws {RangeError} for an unknown unit system
+  constructor (system) {
+    system = system || 'metric'
+
+    if (!unitSystems.includes(system)) {
+      throw new RangeError(`Unknown unit system ${system}`)
+    }
+
+    this.system = system
+  }
+
+  // Gets a formatter that prints a single unit system
+  //  @return {UnitFormatter} A metric formatter for dual otherwise this formatter
+  getPrimary () {
+    return this.system === 'dual' ? new UnitFormatter('metric') : this
+  }
+
+  // Formats a measurement in the unit system
+  //  @param  {string} metric The measurement printed in metric units
+  //  @param  {string} imperial The measurement printed in imperial units
+  //  @param  {string=} separator What goes between the metric and imperial measurement in dual. Imperial is in parentheses if unset.
+  //  @return {string} The measurement for the unit system
+  pick (metric, imperial, separator) {
+    switch (this.system) {
+      case 'imperial':
+        return imperial
+      case 'dual':
+        return separator === undefined ? `${metric} (${imperial})` : `${metric}${separator}${imperial}`
+      default:
+        return metric
+    }
+  }
+
+  // Formats a temperature
+  //  @param  {number} celsius The temperature in °C. Printed as given in metric.
+  //  @return {string} The temperature like "30.6°C", "87°F", or "30.6°C (87°F)"
+  formatTemperature (celsius) {
+    return this.pick(`${celsius}°C`, `${Math.round(toFahrenheit(celsius))}°F`)
+  }
+
+  // Formats a temperature rounded to a whole degree
+  //  @param  {number} celsius The temperature in °C
+  //  @return {string} The temperature like "31°C", "87°F", or "31°C (87°F)"
+  formatRoundedTemperature (celsius) {
+    return this.pick(`${Math.round(celsius)}°C`, `${Math.round(toFahrenheit(celsius))}°F`)
+  }
+
+  // Formats the low and high temperature of a forecast
+  //  @param  {number} min The low temperature in °C
+  //  @param  {number} max The high temperature in °C
+  //  @return {string} The range like "[20,25]°C", "[68,77]°F", or "[20,25]°C [68,77]°F"
+  formatTemperatureRange (min, max) {
+    return this.pick(
+      `[${Math.round(min)},${Math.round(max)}]°C`,
+      `[${Math.round(toFahrenheit(min))},${Math.round(toFahrenheit(max))}]°F`,
+      ' '
+    )
+  }
+
+  // Formats a wind speed
+  //  @param  {number} metersPerSecond The speed in m/s
+  //  @param  {string=} space What goes between the number and the unit. A space if unset.
+  //  @return {string} The speed like "3.4 m/s", "7.6 mph", or "3.4 m/s (7.6 mph)"
+  formatSpeed (metersPerSecond, space) {
+    space = space === undefined ? ' ' : space
+
+    return this.pick(
+      `${formatSpeedValue(Number(metersPerSecond))}${space}m/s`,
+      `${formatSpeedValue(metersPerSecond * 2.23694)}${space}mph`
+    )
+  }
+
+  // Formats an air pressure
+  //  @param  {number} hectopascals The pressure in hPa
+  //  @return {string} The pressure like "1013hPa", "29.91inHg", or "1013hPa (29.91inHg)"
+  formatPressure (hectopascals) {
+    return this.pick(`${hectopascals}hPa`, `${(hectopascals * 0.02953).toFixed(2)}inHg`)
+  }
+
+  // Formats a rate of rain or snow
+  //  @param  {number} millimeters The mm of rain or snow an hour
+  //  @return {string} The rate like "0.52 mm/h", "0.02 in/h", or "0.52 mm/h (0.02 in/h)"
+  formatPrecipitationRate (millimeters) {
+    return this.pick(`${millimeters.toFixed(2)} mm/h`, `${(millimeters / 25.4).toFixed(2)} in/h`)
+  }
+
+  // Formats a distance like visibility
+  //  @param  {number} meters The distance in m
+  //  @return {string} The distance to 2 significant figures like "16 km", "10 mi", or "16 km (10 mi)"
+  formatDistance (meters) {
+    return this.pick(`${Number((meters / 1000).toPrecision(2))} km`, `${Number((meters / 1609.344).toPrecision(2))} mi`)
+  }
+
+  // Formats an amount of rain or snow
+  //  @param  {number} millimeters The amount in mm
+  //  @return {string} The amount like "106mm", "4.17in", or "106mm (4.17in)"
+  formatPrecipitation (millimeters) {
+    return this.pick(`${millimeters}mm`, `${(millimeters / 25.4).toFixed(2)}in`)
+  }
+}
@@ -1,13 +1,60 @@
 'use strict'
 
 const _ = require('lodash')
+const DateFormatter = require('./dateFormatter.js')
+const NWSProvider = require('./providers/nws.js')
 const promise = require('./promise.js')
+const providers = require('./providers/index.js')
+const ResponseCache = require('./responseCache.js')
+const Templates = require('./templates.js')
+const UnitFormatter = require('./unitFormatter.js')
 const util = require('./util.js')
 
 // Shortened descriptions and symbols for weather condition codes
 // See https://openweathermap.org/weather-conditions for full code information
 const weatherStatusCodeMap = require('./data/statusCodeMap.json')
 
+// Minutes between nowcast checks that land at the same times every hour, or every day from an hour up
+const nowcastIntervals = [1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30, 60, 120, 180, 240, 360, 480, 720, 1440]
+
+// The highest wind speed in m/s of each level of the beaufort scale except the last
+const beaufortLimits = [0.5, 1.6, 3.4, 5.6, 8, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7]
+
+// Checks if rain or snow is expected in a 3 hour forecast
+//  @param  {object} period A 3 hour forecast from a normalized forecast
+//  @return {boolean} true for thunderstorms, drizzle, rain, or snow or an amount of rain or snow otherwise false
+function isPrecipitation ({ conditionId, rain, snow }) {
+  // Condition codes under 700 are thunderstorms, drizzle, rain, and snow. The rest are the atmosphere and clouds.
+  return conditionId < 700 || Boolean(rain || snow)
+}
+
+// Gets the average of the lowest and highest temperatures of a 3 hour forecast
+//  @param  {object} period A 3 hour forecast from a normalized forecast
+//  @return {number} The temperature in °C
+function getMeanTemperature ({ temp }) {
+  return (temp.min + temp.max) / 2
+}
+
+// Describes the changes to a forecast for the title of an updated forecast
+//  @param  {object[]}      changes Changes from detectForecastChanges
+//  @param  {DateFormatter} dateFormatter Formats times in the location's time zone
+//  @param  {object}        language The language to describe them in. See Templates.render
+//  @return {string} The changes like "🌧️ from 15:00, 🌡️ colder at 18:00"
+function describeChanges (changes, dateFormatter, language) {
+  return changes.map(({ type, time, conditionId, difference }) => {
+    const values = { time: dateFormatter.formatHour(time) }
+
+    switch (type) {
+      case 'precipitation':
+        return language.render('forecastChangePrecipitation', Object.assign(values, { symbol: weatherStatusCodeMap[conditionId].symbol }))
+      case 'temperature':
+        return language.render(difference > 0 ? 'forecastChangeWarmer' : 'forecastChangeColder', values)
+      case 'wind':
+        return language.render('forecastChangeWindier', values)
+    }
+  }).join(', ')
+}
+
 // Converts an angle into cardinal direction
 //  @param  {number} azimuth A number representing an angle in the range [0, 360)
 //  @return {string} A character representing a cardinal direction or 2 character representing an intercardinal direction
@@ -33,12 +80,53 @@ function getWindDirectionAsCardinal (azimuth) {
   }
 }
 
+// Gets a formatter for the time zone a provider gives for the forecast location
+//  @param  {object} weatherData A normalized forecast. See providers/index.js
+//  @return {DateFormatter} A formatter for the location. The host machine's time zone if the provider gave none.
+function getLocationDateFormatter ({ location }) {
+  return new DateFormatter(location && location.timeZone, location && location.utcOffset)
+}
+
+// Formats how long ago a time was
+//  @param  {Date}   date The time
+//  @param  {Locale} locale The language
+//  @return {string} The minutes like "45 minutes" or the hours after an hour like "3 hours"
+function formatAge (date, locale) {
+  const minutes = Math.max(1, Math.round((Date.now() - date.getTime()) / 60000))
+
+  return minutes < 60 ? locale.plural('minutes', minutes) : locale.plural('hours', Math.round(minutes / 60))
+}
+
+// Formats the start and end times of alerts
+//  @param  {Date}          date The time to format
+//  @param  {DateFormatter} dateFormatter Formats the time in the location's time zone
+//  @param  {Locale=}       locale The language of the day. English if unset.
+//  @return {string} The time in the form "Mon Jul 15 15:00"
+function formatAlertTime (date, dateFormatter, locale) {
+  return `${dateFormatter.formatDay(date, locale && locale.tag)} ${dateFormatter.getHour(date)}:00`
+}
+
+// Gets the name of an alert in a language
+//  @param  {string} event The name the NWS gives the alert like "Tornado Warning"
+//  @param  {Locale} locale The language
+//  @return {string} The translated name. The NWS name if it has no translation.
+function translateEvent (event, locale) {
+  return locale.get(['alertEvents', event]) || event
+}
+
+// NWS alert severities from least to most severe
+const severityLevels = ['Unknown', 'Minor', 'Moderate', 'Severe', 'Extreme']
+
+// NWS alert urgencies from least to most urgent
+const urgencyLevels = ['Unknown', 'Past', 'Future', 'Expected', 'Immediate']
+
 module.exports = {
   DataFetcher: class Weather {
     //  @param  {object}    config The "weather" object from config.json
     //  @param  {object}    logger A winston logger
+    //  @param  {object=}   coordinates The "coordinates" object from config.extra. Used to find the observation station nearest the bot.
     //  @throws {TypeError} for a parameter of the incorrect type
-    constructor (config, logger) {
+    constructor (config, logger, coordinates) {
       if (!(config instanceof Object)) {
         throw new TypeError('Param config must be an object')
       }
@@ -49,18 +137,75 @@ module.exports = {
 
       this.logger = logger
 
-      // Prepare weather get request URLs from config
-      const OWM = config.openWeatherMap
-      const OWMlocation = OWM.location
-      let OWMQueryParams = ''
+      // Responses are always cached in memory for conditional requests. They're saved to disk if a directory is set.
+      const cache = config.cache || {}
+
+      this.responseCache = new ResponseCache(cache.disabled ? undefined : cache.directory, logger)
+      this.cacheOptions = cache.disabled ? {} : {
+        ttl: cache.ttl || 0,
+        maxStale: (cache.maxStaleHours === undefined ? (config.cache ? 6 : 0) : cache.maxStaleHours) * 3600
+      }
+
+      // When the latest response for each name of request came from the cache because the request failed. undefined after a fresh response.
+      this.staleTimes = {}
+
+      // Forecasts come from the provider in config.provider. Its requests go through the response cache.
+      const fetchJSON = (url, params, name) => this.getCachedPromise(url, params, name).then(({ data, stale, time }) => {
+        this.staleTimes[name] = stale ? time : undefined
+
+        return data
+      })
+
+      this.provider = providers.create(config, logger, fetchJSON)
+      // The latest forecast from any provider and when it was fetched. Posted as a last resort when every provider fails.
+      this.lastForecast = undefined
+
+      const failover = config.failover
 
-      for (const paramName in OWMlocation) {
-        if (Object.prototype.hasOwnProperty.call(OWMlocation, paramName)) {
-          OWMQueryParams += '&' + paramName + '=' + OWMlocation[paramName]
+      if (failover && !failover.disabled) {
+        this.failover = {
+          providers: (failover.providers || []).map((name) => ({ name, provider: providers.create(config, logger, fetchJSON, name) })),
+          maxAge: (failover.maxAgeHours === undefined ? 6 : failover.maxAgeHours) * 3600000
         }
       }
 
-      this.weatherRequestURL = `https://api.openweathermap.org/data/2.5/forecast?${OWMQueryParams.substr(1)}&units=metric&APPID=${OWM.key}`
+      const OWM = config.openWeatherMap || {}
+      const OWMlocation = OWM.location || {}
+      const OWMBaseURL = (OWM.baseURL || 'https://api.openweathermap.org').replace(/\/+$/, '')
+
+      const nowcast = config.nowcast
+
+      if (nowcast && !nowcast.disabled) {
+        const lat = nowcast.lat === undefined ? OWMlocation.lat : nowcast.lat
+        const lon = nowcast.lon === undefined ? OWMlocation.lon : nowcast.lon
+
+        if (lat === undefined || lon === undefined) {
+          throw new TypeError('Nowcasts need a lat and lon in config.weather.nowcast or config.weather.openWeatherMap.location')
+        }
+
+        this.nowcast = {
+          interval: module.exports.getNowcastInterval(nowcast),
+          threshold: nowcast.threshold === undefined ? 0.1 : nowcast.threshold
+        }
+
+        this.oneCallURL = `${OWMBaseURL}/data/3.0/onecall?lat=${lat}&lon=${lon}&exclude=daily,alerts&units=metric&appid=${OWM.key}`
+      }
+
+      const observations = config.observations
+
+      if (observations && !observations.disabled) {
+        const nws = config.nws || {}
+        const { lat, long } = coordinates || {}
+
+        // Observations come from config.weather.observations.station or the station nearest config.extra.coordinates
+        this.observationProvider = new NWSProvider(Object.assign({}, config, {
+          nws: Object.assign({}, nws, {
+            lat: lat === undefined ? nws.lat : lat,
+            lon: long === undefined ? nws.lon : long,
+            station: observations.station
+          })
+        }), logger, fetchJSON)
+      }
 
       const alerts = config.alerts
 
@@ -91,37 +236,175 @@ module.exports = {
           })
         }
 
-        this.alertURL = `https://api.weather.gov/alerts?${alertQueryParams.substr(1)}`
+        // Alerts meeting both thresholds are posted as soon as a poll finds them
+        if (alerts.poll && !alerts.poll.disabled) {
+          this.alertPoll = {
+            interval: alerts.poll.interval || 5,
+            severity: alerts.poll.severity || 'Severe',
+            urgency: alerts.poll.urgency || 'Expected'
+          }
+        }
+
+        const alertBaseURL = (alerts.baseURL || 'https://api.weather.gov').replace(/\/+$/, '')
+
+        this.alertURL = `${alertBaseURL}/alerts?${alertQueryParams.substr(1)}`
       }
     }
 
     // Sends the get request for weather alerts.
-    //  @param {function} onDataLoaded(parsedWeatherAlertData): The callback to run on the weather alert data after it loads and is parsed as an Object
-    //      @param {object} parsedWeatherAlertData: The alert data. See https://www.weather.gov/documentation/services-web-api#/default/get_alerts for more information.
-    //  @param {function} onFailure(errors) The callback to run if there is a problem with loading the data
-    //      @param {Error[]} errors The error(s) causing the failure
+    //  @return {Promise} A promise that resolves to the alert data. See https://www.weather.gov/documentation/services-web-api#/default/get_alerts for more information.
+    //    The data may come from the cache. See getCachedPromise. Data from the cache because the request failed has a cachedAt Date.
     getWeatherAlertsPromise () {
       this.logger.info('Attempt fetch weather alerts')
 
-      const { contact, name, version, website } = this.alertAppInfo
+      return this.getCachedPromise(this.alertURL, this.getAlertParams(), 'alerts').then(({ data, stale, time }) => {
+        return stale ? Object.assign({}, data, { cachedAt: time }) : data
+      })
+    }
 
-      return promise.getJSONPromiseGet(this.alertURL,
-        {
-          headers: {
-            'User-Agent': `${name}/v${version} (${website}; ${contact})`
-          }
-        })
+    // Sends the get request for weather alerts. Only downloads alerts if they changed since the last request.
+    //  @return {Promise} A promise that resolves to the alert data or null if the alerts haven't changed
+    getWeatherAlertsIfChangedPromise () {
+      this.logger.info('Attempt fetch weather alerts if changed')
+
+      return this.getCachedPromise(this.alertURL, this.getAlertParams(), 'alerts').then(({ data, modified }) => modified ? data : null)
     }
 
-    // Sends the get request for weather forecasts.
-    //  @param {function} onDataLoaded(parsedWeatherData): The callback to run on the weather data after it loads and is parsed as an Object
-    //      @param {object} parsedWeatherData: The weather data. See https://openweathermap.org/forecast5#parameter for details about the structure of the Object.
-    //  @param {function} onFailure(errors) The callback to run if there is a problem with loading the data
-    //      @param {Error[]} errors The error(s) causing the failure
+    // Drops the validators of the cached alerts so the next poll downloads them even if they haven't changed
+    //  Urgent alerts that failed to post would otherwise wait for the next alert job since the poll only handles changed alerts.
+    forgetAlertValidators () {
+      const entry = this.responseCache.get(this.alertURL)
+
+      if (entry) {
+        this.responseCache.set(this.alertURL, Object.assign({}, entry, { etag: undefined, lastModified: undefined }))
+      }
+    }
+
+    // Gets the request options for api.weather.gov. The NWS requires a User-Agent identifying the app.
+    //  @return {object} Options for node's http.request
+    getAlertParams () {
+      return {
+        headers: {
+          'User-Agent': NWSProvider.getUserAgent(this.alertAppInfo)
+        }
+      }
+    }
+
+    // Sends a get request through the response cache
+    //  Cached responses are used when the server can't be reached for up to config.weather.cache.maxStaleHours
+    //  @param  {string} url The url for the request
+    //  @param  {object} params Options accepted by node's http.request
+    //  @param  {string} name What's being requested. Used in logs.
+    //  @return {Promise} A promise that resolves to the response from promise.getJSONPromiseGetCached
+    getCachedPromise (url, params, name) {
+      return promise.getJSONPromiseGetCached(url, params, this.responseCache, this.cacheOptions).then((response) => {
+        if (response.stale) {
+          this.logger.warn(`Using ${name} cached at ${response.time.toISOString()}. Request failed: ${response.error.message}`)
+        }
+
+        return response
+      })
+    }
+
+    // Sends the get requests for weather forecasts to the provider.
+    //  @return {Promise} A promise that resolves to the normalized forecast. See providers/index.js for details about the structure of the Object.
+    //    The data may come from the cache. See getCachedPromise. A forecast from the cache because the provider is down has a cachedAt Date.
     getForecastPromise () {
       this.logger.info('Attempt fetch weather data')
 
-      return promise.getJSONPromisePost(this.weatherRequestURL)
+      return this.getProviderForecastPromise(this.provider)
+    }
+
+    // Gets a forecast when the provider in config.provider is down. Tries each provider in config.failover.providers in order then the latest forecast.
+    //  @return {Promise} A promise that resolves to the normalized forecast of the first provider that responds.
+    //    The latest forecast is given a cachedAt Date when no provider responds. Rejects if it's older than config.failover.maxAgeHours or there isn't one.
+    getFallbackForecastPromise () {
+      const fallbacks = this.failover ? this.failover.providers : []
+
+      return fallbacks.reduce((previous, { name, provider }) => {
+        return previous.catch(() => {
+          this.logger.warn(`Trying failover provider ${name}`)
+
+          return this.getProviderForecastPromise(provider).catch((error) => {
+            this.logger.error(`Failover provider ${name} failed: ${error.message}`)
+            throw error
+          })
+        })
+      }, Promise.reject(new Error('No failover provider responded'))).catch((error) => {
+        const { lastForecast } = this
+        const maxAge = this.failover ? this.failover.maxAge : 0
+
+        if (!lastForecast || Date.now() - lastForecast.time.getTime() > maxAge) {
+          throw error
+        }
+
+        this.logger.warn(`Forecast failed: ${error.message}. Using the forecast fetched at ${lastForecast.time.toISOString()}.`)
+
+        return Object.assign({}, lastForecast.forecast, { cachedAt: lastForecast.time })
+      })
+    }
+
+    // Sends the get requests for a provider's forecast and remembers it as the latest forecast
+    //  @param  {object} provider A provider. See providers/index.js
+    //  @return {Promise} A promise that resolves to the normalized forecast. Given a cachedAt Date if it's from the cache because the provider is down.
+    //    Rejects instead with config.failover so the failover providers are tried before the cached forecast. See getFallbackForecastPromise
+    getProviderForecastPromise (provider) {
+      // Forgets how old the last provider's forecast was in case this provider doesn't send requests through fetchJSON
+      this.staleTimes.forecast = undefined
+
+      return provider.getForecastPromise().then((forecast) => {
+        const cachedAt = this.staleTimes.forecast
+
+        if (cachedAt && this.failover) {
+          // The cached forecast is posted at the end of the failover chain unless a newer forecast was fetched
+          if (!this.lastForecast || this.lastForecast.time < cachedAt) {
+            this.lastForecast = { time: cachedAt, forecast }
+          }
+
+          throw new Error(`Forecast request failed. Trying failover before the forecast cached at ${cachedAt.toISOString()}.`)
+        }
+
+        // Stale forecasts say how old they are like forecasts standing in for a provider that's down
+        if (cachedAt) {
+          forecast = Object.assign({}, forecast, { cachedAt })
+        }
+
+        this.lastForecast = { time: cachedAt || new Date(), forecast }
+
+        return forecast
+      })
+    }
+
+    // Sends the get requests for the latest observation from the NWS station
+    //  @return {Promise} A promise that resolves to the observation. See NWSProvider.normalizeObservation
+    //    The data may come from the cache. See getCachedPromise.
+    getObservationPromise () {
+      this.logger.info('Attempt fetch observation')
+
+      return this.observationProvider.getObservationPromise()
+    }
+
+    // Sends the get request for current conditions with minutely and hourly forecasts.
+    //  Nowcasts are only useful when they're current so responses are never cached.
+    //  @return {Promise} A promise that resolves to the One Call data. See https://openweathermap.org/api/one-call-3#parameter for details about the structure of the Object.
+    getOneCallPromise () {
+      this.logger.info('Attempt fetch nowcast data')
+
+      return promise.getJSONPromiseGet(this.oneCallURL, {})
+    }
+
+    // Checks if an alert is severe and urgent enough to be posted as soon as it's found
+    //  @param  {object}  alertData An alert from api.weather.gov/alerts
+    //  @return {boolean} true if the alert's severity and urgency meet the thresholds in config.weather.alerts.poll otherwise false
+    isUrgentAlert (alertData) {
+      if (!this.alertPoll) {
+        return false
+      }
+
+      const { severity, urgency } = alertData.properties
+
+      return severityLevels.indexOf(severity) >= severityLevels.indexOf(this.alertPoll.severity) &&
+        urgencyLevels.indexOf(urgency) >= urgencyLevels.indexOf(this.alertPoll.urgency)
     }
 
     // Filters weather alerts
@@ -256,70 +539,511 @@ module.exports = {
     }
   },
 
-  // Generates a warning message
+  // Generates a message for an alert. The message depends on the alert's messageType:
+  //  Alert   Describes the alert and how long it lasts
+  //  Update  Describes what changed from the referenced alerts like a new end time or a change in severity
+  //  Cancel  Says the alert was cancelled and if it was cancelled before it was supposed to end
+  //  Updates without referenced alerts are described like new alerts since the original was never posted.
   //  @param  {object}    alertData A parsed json object from api.weather.gov/alerts. See https://www.weather.gov/documentation/services-web-api#/default/get_alerts for more information.
-  //  @return {string[]}  An array containing messages desribing the nature of each active alert.
+  //  @param  {object=}   logger A winston logger used to warn about alerts without definitions
+  //  @param  {object[]=} referenced The posted alerts alertData replaces. See AlertStore.getReferenced
+  //  @param  {DateFormatter=} dateFormatter Formats times in the location's time zone. The host machine's time zone if unset.
+  //  @param  {Templates=} templates The wording of the message. The defaults in data/templates.json if unset.
+  //  @return {string}    A message describing the alert
   //  @throws {TypeError} for a parameter of the incorrect type
-  getAlertMessage (alertData) {
+  getAlertMessage (alertData, logger, referenced, dateFormatter, templates) {
     if (!(alertData instanceof Object)) {
       throw new TypeError('Param alertData must be an object')
     }
 
-    const alertEvent = alertData.properties.event
-    let message = `ALERT: ${alertEvent}\n`
+    if (referenced !== undefined && !Array.isArray(referenced)) {
+      throw new TypeError('Param referenced must be an array')
+    }
 
-    const start = new Date(alertData.properties.effective)
-    const end = new Date(alertData.properties.ends)
+    dateFormatter = dateFormatter || new DateFormatter()
+    templates = templates || new Templates()
 
-    message += `Lasting from ${start.toDateString().substr(0, 10)} ${start.getHours()}:00 `
-    message += alertData.properties.ends ? `to ${end.toDateString().substr(0, 10)} ${end.getHours()}:00` : 'indefinitely'
-    message += '\n\n'
+    const { areaDesc, effective, ends, event, messageType, severity } = alertData.properties
+    const previous = (referenced || [])
+      .slice(0)
+      .sort((alert1, alert2) => new Date(alert2.sent) - new Date(alert1.sent))[0]
 
-    const alertDefintions = require('./data/alertDefinitions.json')
+    if (messageType === 'Cancel') {
+      const isCancelledEarly = previous && previous.ends && new Date(previous.ends) > new Date()
 
-    if (alertDefintions[alertEvent]) {
-      message += alertDefintions[alertEvent]
-    } else {
-      this.logger.warn(`Event ${alertEvent} has no definition`)
+      return templates.render('alertCancel', (language) => ({
+        event: translateEvent(event, language.locale),
+        reason: isCancelledEarly
+          ? language.render('alertCancelledEarly', { time: formatAlertTime(new Date(previous.ends), dateFormatter, language.locale) })
+          : language.render('alertCancelledAfterEnd')
+      }))
+    }
+
+    if (messageType === 'Update' && previous) {
+      const previousSeverity = severityLevels.indexOf(previous.severity)
+      const currentSeverity = severityLevels.indexOf(severity)
+
+      return templates.render('alertUpdate', (language) => {
+        const { locale } = language
+        const changes = []
+
+        if (previous.event && previous.event !== event) {
+          changes.push(language.render('alertReplaces', { event: translateEvent(previous.event, locale) }))
+        }
+
+        if (previousSeverity > 0 && currentSeverity > 0 && previousSeverity !== currentSeverity) {
+          changes.push(language.render(currentSeverity > previousSeverity ? 'alertUpgraded' : 'alertDowngraded', {
+            from: locale.get(['alertSeverities', previous.severity]) || previous.severity,
+            to: locale.get(['alertSeverities', severity]) || severity
+          }))
+        }
+
+        if (ends && previous.ends && new Date(ends).getTime() !== new Date(previous.ends).getTime()) {
+          changes.push(language.render(new Date(ends) > new Date(previous.ends) ? 'alertExtended' : 'alertShortened', { time: formatAlertTime(new Date(ends), dateFormatter, locale) }))
+        } else if (ends && !previous.ends) {
+          changes.push(language.render('alertNowEnding', { time: formatAlertTime(new Date(ends), dateFormatter, locale) }))
+        }
+
+        if (!changes.length) {
+          changes.push(ends ? language.render('alertStillInEffect', { time: formatAlertTime(new Date(ends), dateFormatter, locale) }) : language.render('alertStillInEffectNoEnd'))
+        }
+
+        return { event: translateEvent(event, locale), changes: changes.join('\n') }
+      })
+    }
+
+    if (!require('./data/alertDefinitions.json')[event] && logger) {
+      logger.warn(`Event ${event} has no definition`)
     }
 
-    return message
+    return templates.render('alert', (language) => {
+      const { locale } = language
+
+      return {
+        area: areaDesc,
+        definition: locale.getCatalog('alertDefinitions')[event],
+        end: ends ? language.render('alertEnd', { time: formatAlertTime(new Date(ends), dateFormatter, locale) }) : language.render('alertNoEnd'),
+        event: translateEvent(event, locale),
+        severity: locale.get(['alertSeverities', severity]) || severity,
+        start: formatAlertTime(new Date(effective), dateFormatter, locale)
+      }
+    })
+  },
+
+  // Gets the official wording of an alert. The NWS wraps lines at about 70 characters so lines are rejoined into paragraphs.
+  //  @param  {object}    alertData A parsed json object from api.weather.gov/alerts
+  //  @return {string}    The description and instructions of the alert separated by blank lines. Empty if the alert has neither.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  getAlertDetails (alertData) {
+    if (!(alertData instanceof Object)) {
+      throw new TypeError('Param alertData must be an object')
+    }
+
+    const { description, instruction } = alertData.properties
+
+    return [description, instruction]
+      .filter((text) => typeof text === 'string' && text.trim())
+      .map((text) => {
+        return text.trim()
+          .split(/\n\s*\n/)
+          .map((paragraph) => paragraph.replace(/-\n/g, '-').replace(/\s*\n\s*/g, ' '))
+          .join('\n\n')
+      })
+      .join('\n\n')
   },
 
   // Generates the default forecast message.
-  //  @param  {object}    weatherData The weather data Object recieved from OpenWeatherMap
-  //  @return {string}    A message describing the condition, temperature, and wind for the next 9 hours. Max 142 characters.
+  //  @param  {object}    weatherData A normalized forecast from a provider. See providers/index.js
+  //  @param  {DateFormatter=} dateFormatter Formats times in the location's time zone. Uses the time zone the provider gives for the location if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats temperatures and wind speeds. Metric if unset.
+  //  @param  {Templates=} templates The layout of the forecast. The defaults in data/templates.json if unset.
+  //  @param  {number=}   slots The number of 3 hour forecasts to include. 3 if unset.
+  //  @return {string}    A message describing the condition, temperature, and wind for the next 9 hours. Max 142 characters with the default templates in metric or imperial.
+  //    The title says the forecast's age when it has a cachedAt Date.
   //  @throws {TypeError} for a parameter of the incorrect type
-  generateForecastMessage (weatherData) {
+  generateForecastMessage (weatherData, dateFormatter, unitFormatter, templates, slots) {
     if (!(weatherData instanceof Object)) {
       throw new TypeError('Param weatherData must be an object')
     }
 
-    const forecastData = weatherData.list.slice(0, 3)
-    let defaultForecast = (Math.random() > 0.000228310502) ? 'Forecast' : 'Fourcast'
+    dateFormatter = dateFormatter || getLocationDateFormatter(weatherData)
+    unitFormatter = unitFormatter || new UnitFormatter()
+    templates = templates || new Templates()
+
+    const forecastData = weatherData.periods.slice(0, slots || 3)
+    let title
+
+    if (weatherData.cachedAt instanceof Date) {
+      // Forecasts standing in for a provider that's down say how old they are
+      title = templates.render('forecastTitleCached', ({ locale }) => ({ age: formatAge(weatherData.cachedAt, locale) }))
+    } else if (weatherData.changes instanceof Array && weatherData.changes.length) {
+      // Unscheduled forecasts say what changed since the last one
+      title = templates.render('forecastTitleUpdated', (language) => ({ changes: describeChanges(weatherData.changes, dateFormatter, language) }))
+    } else {
+      title = templates.render((Math.random() > 0.000228310502) ? 'forecastTitle' : 'forecastTitleTypo')
+    }
 
-    for (const { dt, main, weather, wind: { deg, speed } } of forecastData) {
+    const lines = forecastData.map(({ cloudiness, conditionId, humidity, pressure, temp, time, wind: { deg, speed } }) => {
       const conditions = {
-        symbol: weatherStatusCodeMap[weather[0].id].symbol,
+        cloudiness: cloudiness,
+        humidity: humidity,
+        pressure: pressure === undefined ? undefined : unitFormatter.formatPressure(pressure),
+        symbol: weatherStatusCodeMap[conditionId].symbol,
         temp: {
-          max: Math.round(main.temp_max),
-          min: Math.round(main.temp_min)
+          feelsLike: temp.feelsLike === undefined ? undefined : unitFormatter.formatRoundedTemperature(temp.feelsLike),
+          max: unitFormatter.formatRoundedTemperature(temp.max),
+          min: unitFormatter.formatRoundedTemperature(temp.min),
+          range: unitFormatter.formatTemperatureRange(temp.min, temp.max)
         },
-        time: new Date(dt * 1000).toTimeString().substr(0, 2),
+        time: dateFormatter.formatHour(time),
         wind: {
-          direction: getWindDirectionAsCardinal(deg),
-          speed: speed.toPrecision(2)
+          direction: deg === undefined ? undefined : getWindDirectionAsCardinal(deg),
+          speed: unitFormatter.formatSpeed(speed)
         }
       }
 
-      util.validateNotNull(conditions)
+      // Some providers don't give the wind direction
+      util.validateNotNull({ symbol: conditions.symbol, temp: conditions.temp.range, time: conditions.time, wind: conditions.wind.speed })
+
+      return templates.render('forecastLine', (language) => Object.assign({}, conditions, {
+        condition: language.locale.getCatalog('statusCodeMap')[conditionId].desc
+      }))
+    })
+
+    return templates.render('forecast', { title, lines: lines.join('\n') })
+  },
+
+  // Gets the level of a wind speed on the beaufort scale
+  //  @param  {number} windSpeed The wind speed in m/s
+  //  @return {number} The level from 0 for calm to 12 for a hurricane
+  getBeaufortScale (windSpeed) {
+    const scale = beaufortLimits.findIndex((limit) => windSpeed < limit)
+
+    return scale === -1 ? beaufortLimits.length : scale
+  },
+
+  // Finds significant changes between the forecast last posted and a newer one for the same times
+  //  Only the 3 hour forecasts that are posted are compared. At most one change of each type is found, the earliest.
+  //  @param  {object}    previous The normalized forecast last posted
+  //  @param  {object}    current A newer normalized forecast
+  //  @param  {object=}   thresholds An object containing
+  //    {number|boolean=} temperature The shift in °C of a 3 hour forecast's average temperature that's significant. 5 if unset. false to ignore temperatures.
+  //    {number|boolean=} beaufort The number of beaufort levels the wind has to rise by. 1 if unset. false to ignore wind.
+  //    {boolean=}        precipitation false to ignore rain or snow that's newly expected. true if unset.
+  //  @param  {number=}   slots The number of 3 hour forecasts posted. 3 if unset.
+  //  @return {object[]}  A list of changes in the order of their times. Empty if nothing changed significantly. Each contains
+  //    {string}  type "precipitation", "temperature", or "wind"
+  //    {Date}    time The start of the 3 hour forecast that changed
+  //    {number}  conditionId The condition code of the newer forecast
+  //    {number=} difference How much the temperature in °C or the beaufort level changed. undefined for precipitation.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  detectForecastChanges (previous, current, thresholds, slots) {
+    if (!(previous instanceof Object) || !(current instanceof Object)) {
+      throw new TypeError('Params previous and current must be objects')
+    }
+
+    const { beaufort = 1, precipitation = true, temperature = 5 } = thresholds || {}
+    const changes = []
+    const isFound = (type) => changes.some((change) => change.type === type)
+
+    current.periods.slice(0, slots || 3).forEach((period) => {
+      const before = previous.periods.find(({ time }) => time.getTime() === period.time.getTime())
+
+      // The previous forecast said nothing about this time
+      if (!before) {
+        return
+      }
+
+      const change = { time: period.time, conditionId: period.conditionId }
+
+      if (precipitation !== false && !isFound('precipitation') && isPrecipitation(period) && !isPrecipitation(before)) {
+        changes.push(Object.assign({ type: 'precipitation' }, change))
+      }
+
+      const temperatureDifference = Math.round((getMeanTemperature(period) - getMeanTemperature(before)) * 10) / 10
+
+      if (temperature !== false && !isFound('temperature') && Math.abs(temperatureDifference) > temperature) {
+        changes.push(Object.assign({ type: 'temperature', difference: temperatureDifference }, change))
+      }
+
+      const beaufortDifference = module.exports.getBeaufortScale(period.wind.speed) - module.exports.getBeaufortScale(before.wind.speed)
+
+      if (beaufort !== false && !isFound('wind') && beaufortDifference >= beaufort) {
+        changes.push(Object.assign({ type: 'wind', difference: beaufortDifference }, change))
+      }
+    })
+
+    return changes
+  },
+
+  // Sums up the 3 hour forecasts of a day
+  //  @param  {object}    weatherData A normalized forecast from a provider. See providers/index.js
+  //  @param  {Date}      date A time during the day to sum up
+  //  @param  {DateFormatter=} dateFormatter Finds the day in the location's time zone. Uses the time zone the provider gives for the location if unset.
+  //  @return {object=}   undefined if no 3 hour forecast is in the day. Otherwise an object containing
+  //    {number} high The highest temperature in °C
+  //    {number} low The lowest temperature in °C
+  //    {number} rain The total rain in mm
+  //    {number} snow The total snow in mm
+  //    {object} wind The strongest wind's speed in m/s and deg
+  //    {number} conditionId The most common weather condition code. Ties go to the earliest.
+  //    {number=} pop The highest chance of rain or snow from 0 to 1. undefined if the provider didn't give one.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  summarizeDay (weatherData, date, dateFormatter) {
+    if (!(weatherData instanceof Object)) {
+      throw new TypeError('Param weatherData must be an object')
+    }
+
+    if (!(date instanceof Date)) {
+      throw new TypeError('Param date must be a Date')
+    }
+
+    dateFormatter = dateFormatter || getLocationDateFormatter(weatherData)
+
+    const day = dateFormatter.formatDay(date)
+    const forecastData = weatherData.periods.filter(({ time }) => dateFormatter.formatDay(time) === day)
+
+    if (!forecastData.length) {
+      return undefined
+    }
+
+    const conditionCounts = _.countBy(forecastData, 'conditionId')
+    const pops = forecastData.map(({ pop }) => pop).filter((pop) => typeof pop === 'number')
+    const { speed, deg } = _.maxBy(forecastData, ({ wind }) => wind.speed).wind
+
+    return {
+      high: _.max(forecastData.map(({ temp }) => temp.max)),
+      low: _.min(forecastData.map(({ temp }) => temp.min)),
+      rain: _.sumBy(forecastData, ({ rain }) => rain || 0),
+      snow: _.sumBy(forecastData, ({ snow }) => snow || 0),
+      wind: { speed, deg },
+      conditionId: _.maxBy(forecastData, ({ conditionId }) => conditionCounts[conditionId]).conditionId,
+      pop: _.max(pops)
+    }
+  },
+
+  // Generates a daily summary message
+  //  @param  {string}    name The name of the template like "today" or "tomorrow"
+  //  @param  {object}    summary A summary of the day from summarizeDay
+  //  @param  {Date}      date A time during the day
+  //  @param  {DateFormatter=} dateFormatter Formats the day in the location's time zone. The host machine's time zone if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats temperatures, amounts of rain and snow, and wind speeds. Metric if unset.
+  //  @param  {Templates=} templates The layout of the summary. The defaults in data/templates.json if unset.
+  //  @return {string}    A message with the day's high and low, expected rain and snow, and strongest wind
+  //  @throws {TypeError} for a parameter of the incorrect type
+  generateDailyMessage (name, summary, date, dateFormatter, unitFormatter, templates) {
+    if (!(summary instanceof Object)) {
+      throw new TypeError('Param summary must be an object')
+    }
+
+    dateFormatter = dateFormatter || new DateFormatter()
+    unitFormatter = unitFormatter || new UnitFormatter()
+    templates = templates || new Templates()
+
+    // Amounts are rounded to a tenth of a mm like the precipitation rates OpenWeatherMap gives
+    const rain = Math.round(summary.rain * 10) / 10
+    const snow = Math.round(summary.snow * 10) / 10
+
+    const values = {
+      symbol: weatherStatusCodeMap[summary.conditionId].symbol,
+      temp: {
+        max: unitFormatter.formatRoundedTemperature(summary.high),
+        min: unitFormatter.formatRoundedTemperature(summary.low)
+      },
+      wind: {
+        direction: summary.wind.deg === undefined ? undefined : getWindDirectionAsCardinal(summary.wind.deg),
+        speed: unitFormatter.formatSpeed(summary.wind.speed)
+      }
+    }
+
+    return templates.render(name, (language) => {
+      const amounts = []
+
+      if (rain) {
+        amounts.push(language.render('dailyRain', { amount: unitFormatter.formatPrecipitation(rain) }))
+      }
 
-      defaultForecast += '\n'
-      defaultForecast += `${conditions.time}:00:${conditions.symbol}, [${conditions.temp.min},${conditions.temp.max}]°C, 💨 ${conditions.wind.speed} m/s ${conditions.wind.direction}`
+      if (snow) {
+        amounts.push(language.render('dailySnow', { amount: unitFormatter.formatPrecipitation(snow) }))
+      }
+
+      return Object.assign({}, values, {
+        condition: language.locale.getCatalog('statusCodeMap')[summary.conditionId].desc,
+        day: dateFormatter.formatDay(date, language.locale.tag),
+        precipitation: amounts.length
+          ? language.render('dailyPrecipitation', { amounts: amounts.join(', ') })
+          : language.render('dailyNoPrecipitation')
+      })
+    })
+  },
+
+  // Generates an outlook with a line for each day of the forecast
+  //  @param  {object}    weatherData A normalized forecast from a provider. See providers/index.js
+  //  @param  {DateFormatter=} dateFormatter Splits the forecast into days in the location's time zone. Uses the time zone the provider gives for the location if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats temperatures. Metric if unset.
+  //  @param  {Templates=} templates The layout of the outlook. The defaults in data/templates.json if unset.
+  //  @param  {boolean=}  compact true for short lines with only the weekday, symbol, temperatures, and chance of rain or snow that fit in a tweet
+  //  @param  {number=}   days The most days to include. 5 if unset.
+  //  @return {string}    A message with each day's condition, low and high, and chance of rain or snow
+  //  @throws {TypeError} for a parameter of the incorrect type
+  generateOutlookMessage (weatherData, dateFormatter, unitFormatter, templates, compact, days) {
+    if (!(weatherData instanceof Object)) {
+      throw new TypeError('Param weatherData must be an object')
+    }
+
+    dateFormatter = dateFormatter || getLocationDateFormatter(weatherData)
+    unitFormatter = unitFormatter || new UnitFormatter()
+    templates = templates || new Templates()
+
+    // The first time in each day of the forecast
+    const dates = _.uniqBy(weatherData.periods.map(({ time }) => time), (date) => dateFormatter.formatDay(date))
+      .slice(0, days || 5)
+
+    const summaries = dates.map((date) => ({ date, summary: module.exports.summarizeDay(weatherData, date, dateFormatter) }))
+
+    return templates.render('outlook', (language) => ({
+      title: language.render('outlookTitle'),
+      lines: summaries.map(({ date, summary }) => language.render(compact ? 'outlookCompactLine' : 'outlookLine', {
+        condition: language.locale.getCatalog('statusCodeMap')[summary.conditionId].desc,
+        day: dateFormatter.formatDay(date, language.locale.tag),
+        precipitation: summary.pop === undefined ? '' : language.render('outlookPrecipitation', { pop: Math.round(summary.pop * 100) }),
+        symbol: weatherStatusCodeMap[summary.conditionId].symbol,
+        temp: {
+          max: unitFormatter.formatRoundedTemperature(summary.high),
+          min: unitFormatter.formatRoundedTemperature(summary.low),
+          range: unitFormatter.formatTemperatureRange(summary.low, summary.high)
+        },
+        weekday: dateFormatter.formatFields(date, language.locale.tag, ['weekday'])
+      })).join('\n')
+    }))
+  },
+
+  // Generates a message with the latest observation from a station
+  //  @param  {object}    observation An observation from NWSProvider.normalizeObservation
+  //  @param  {DateFormatter=} dateFormatter Formats the time of the observation in the location's time zone. The host machine's time zone if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats temperatures, wind speeds, and visibility. Metric if unset.
+  //  @param  {Templates=} templates The layout of the message. The defaults in data/templates.json if unset.
+  //  @return {string}    A message with the conditions, temperature, dew point, wind, gusts, and visibility. Lines for measurements the station didn't make are left out.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  generateObservationMessage (observation, dateFormatter, unitFormatter, templates) {
+    if (!(observation instanceof Object)) {
+      throw new TypeError('Param observation must be an object')
     }
 
-    defaultForecast += '\n\n'
+    dateFormatter = dateFormatter || new DateFormatter()
+    unitFormatter = unitFormatter || new UnitFormatter()
+    templates = templates || new Templates()
+
+    const { conditionId, description, dewpoint, temp, visibility, wind } = observation
+
+    return templates.render('observation', (language) => {
+      const lines = []
+
+      if (temp !== undefined) {
+        lines.push(dewpoint === undefined
+          ? language.render('observationTemperature', { temp: unitFormatter.formatTemperature(Math.round(temp * 10) / 10) })
+          : language.render('observationTemperatureDewpoint', {
+            temp: unitFormatter.formatTemperature(Math.round(temp * 10) / 10),
+            dewpoint: unitFormatter.formatTemperature(Math.round(dewpoint * 10) / 10)
+          }))
+      }
+
+      if (wind.speed === 0) {
+        lines.push(language.render('observationCalm'))
+      } else if (wind.speed !== undefined) {
+        // Stations give no direction for variable winds
+        lines.push(language.render(wind.deg === undefined ? 'observationWindVariable' : 'observationWind', {
+          speed: unitFormatter.formatSpeed(wind.speed),
+          direction: wind.deg === undefined ? undefined : getWindDirectionAsCardinal(wind.deg),
+          gust: wind.gust ? language.render('observationGust', { speed: unitFormatter.formatSpeed(wind.gust) }) : ''
+        }))
+      }
+
+      if (visibility !== undefined) {
+        lines.push(language.render('observationVisibility', { visibility: unitFormatter.formatDistance(visibility) }))
+      }
+
+      // The NWS description is in English so other languages use the description of the condition code
+      const isTranslated = conditionId !== undefined && !(description && language.locale.tag.startsWith('en'))
+
+      return {
+        station: observation.station,
+        time: dateFormatter.formatTime(observation.time),
+        condition: isTranslated ? language.locale.getCatalog('statusCodeMap')[conditionId].desc : description || '',
+        symbol: conditionId === undefined ? '' : weatherStatusCodeMap[conditionId].symbol,
+        lines: lines.join('\n')
+      }
+    })
+  },
+
+  // Gets the minutes between nowcast checks. Checks are spaced out so the One Call requests in a day stay under the limit of the API plan.
+  //  The minutes are rounded up to a number that divides an hour or a day so checks are evenly spaced.
+  //  @param  {object} nowcast The "nowcast" object from config.weather
+  //  @return {number} The minutes between checks from 1 to 1440
+  getNowcastInterval (nowcast) {
+    const shortestInterval = Math.max(nowcast.interval || 10, Math.ceil(1440 / (nowcast.dailyCallLimit || 1000)))
+
+    return nowcastIntervals.find((minutes) => minutes >= shortestInterval) || 1440
+  },
+
+  // Finds rain or snow in the next hour of a One Call response
+  //  @param  {object}    oneCallData Data from the OpenWeatherMap One Call API
+  //  @param  {number=}   threshold The rate in mm/h that counts as rain or snow. 0.1 if unset.
+  //  @return {object=}   undefined if the rate stays under threshold for the next hour. Otherwise an object containing
+  //    {Date}   start The first minute at or over threshold
+  //    {number} minutes The minutes from the data's current conditions until start. 0 if it's already raining or snowing.
+  //    {number} peak The highest rate in mm/h in the next hour
+  //    {string} type "snow" if the hour it starts is snowy or freezing otherwise "rain"
+  //  @throws {TypeError} for a parameter of the incorrect type
+  findPrecipitation (oneCallData, threshold) {
+    if (!(oneCallData instanceof Object) || !Array.isArray(oneCallData.minutely)) {
+      throw new TypeError('Param oneCallData must be an object with minutely data')
+    }
+
+    threshold = threshold === undefined ? 0.1 : threshold
+
+    const first = oneCallData.minutely.find(({ precipitation }) => precipitation >= threshold)
+
+    if (!first) {
+      return undefined
+    }
+
+    const now = oneCallData.current ? oneCallData.current.dt : oneCallData.minutely[0].dt
+    // The hourly forecast covering the start or the current conditions if there isn't one
+    const hour = _.findLast(oneCallData.hourly || [], ({ dt }) => dt <= first.dt) || oneCallData.current || {}
+    const isSnow = (hour.weather && Math.floor(hour.weather[0].id / 100) === 6) || hour.temp <= 0
+
+    return {
+      start: new Date(first.dt * 1000),
+      minutes: Math.max(0, Math.round((first.dt - now) / 60)),
+      peak: _.max(oneCallData.minutely.map(({ precipitation }) => precipitation)),
+      type: isSnow ? 'snow' : 'rain'
+    }
+  },
+
+  // Generates a message saying rain or snow is about to start
+  //  @param  {object}    precipitation Rain or snow from findPrecipitation
+  //  @param  {DateFormatter=} dateFormatter Formats the start time in the location's time zone. The host machine's time zone if unset.
+  //  @param  {UnitFormatter=} unitFormatter Formats the rate. Metric if unset.
+  //  @param  {Templates=} templates The wording of the message. The defaults in data/templates.json if unset.
+  //  @return {string}    A message like "🌧️ Rain expected in about 20 minutes, around 15:20. Up to 1.20 mm/h."
+  //  @throws {TypeError} for a parameter of the incorrect type
+  generateNowcastMessage (precipitation, dateFormatter, unitFormatter, templates) {
+    if (!(precipitation instanceof Object)) {
+      throw new TypeError('Param precipitation must be an object')
+    }
+
+    dateFormatter = dateFormatter || new DateFormatter()
+    unitFormatter = unitFormatter || new UnitFormatter()
+    templates = templates || new Templates()
+
+    // Minute by minute data isn't that precise so longer waits are rounded to 5 minutes
+    const minutes = precipitation.minutes < 10 ? precipitation.minutes : Math.round(precipitation.minutes / 5) * 5
 
-    return defaultForecast
+    return templates.render(precipitation.type === 'snow' ? 'nowcastSnow' : 'nowcastRain', (language) => ({
+      minutes: language.locale.plural('minutes', minutes),
+      rate: unitFormatter.formatPrecipitationRate(precipitation.peak),
+      time: dateFormatter.formatTime(precipitation.start)
+    }))
   }
 }
@@ -0,0 +1,947 @@
+'use strict'
+
+const AlertStore = require('./alertStore.js')
+const cronParser = require('cron-parser')
+const DateFormatter = require('./dateFormatter.js')
+const JobRunner = require('./jobRunner.js')
+const Templates = require('./templates.js')
+const UnitFormatter = require('./unitFormatter.js')
+const weatherTools = require('./weather.js')
+
+// When each job runs, how many times it's retried, and how many seconds to wait before the first retry. Overridden by config.jobs.
+// The alert poll's cron comes from config.weather.alerts.poll.interval and the nowcast's from config.weather.nowcast.interval.
+const jobDefaults = {
+  forecast: { cron: '0 */2 * * *', retries: 3, retryDelay: 120 },
+  retweet: { cron: '30 */1 * * *', retries: 1, retryDelay: 60 },
+  alerts: { cron: '0 */6 * * *', retries: 3, retryDelay: 120 },
+  alertPoll: { retries: 0 },
+  nowcast: { retries: 0 },
+  today: { cron: '0 7 * * *', retries: 2, retryDelay: 300 },
+  tomorrow: { cron: '0 20 * * *', retries: 2, retryDelay: 300 },
+  outlook: { cron: '0 6,18 * * *', retries: 2, retryDelay: 300 },
+  observation: { cron: '15 */3 * * *', retries: 1, retryDelay: 120 },
+  update: { cron: '*/30 * * * *', retries: 0 }
+}
+
+// The length of a day in ms
+const dayLength = 86400000
+
+// How long nowcasts stop after One Call's rate limit is hit in ms
+const rateLimitPause = 3600000 // 1 hour
+
+// The number of 3 hour forecasts in a full forecast
+const forecastSlots = 3
+
+// How long after a scheduled run it's still considered in progress instead of missed in ms
+const missedRunGrace = 420000 // 7 minutes
+
+// How close to a scheduled forecast an update is left to the forecast in ms
+const forecastUpdateGrace = 300000 // 5 minutes
+
+// Gets the minutes since midnight of a time of day
+//  @param  {string} time A time of day like "05:30"
+//  @return {number} The minutes since midnight
+function getMinuteOfDay (time) {
+  const [hours, minutes] = time.split(':')
+
+  return parseInt(hours) * 60 + parseInt(minutes)
+}
+
+// Picks a random joke from data/jokes.json
+//  @param  {Templates} templates The languages the joke is posted in
+//  @param  {string} type The kind of joke like "late"
+//  @return {string} The same joke in each language
+function pickJoke (templates, type) {
+  const index = Math.floor(Math.random() * require('./data/jokes.json')[type].length)
+
+  return templates.translate(({ locale }) => locale.getCatalog('jokes')[type][index])
+}
+
+/** @fileoverview The bot's scheduled jobs: forecasts, forecast updates, daily summaries, outlooks, nowcasts, observations, alerts, and retweets. */
+module.exports = class WeatherBot {
+  //  @param  {object}    config The contents of config.json
+  //  @param  {object}    logger A winston logger
+  //  @param  {object}    stats The bot's stats object
+  //  @param  {object}    services An object containing
+  //    {DataFetcher}     weatherFetcher Fetches forecasts and alerts
+  //    {ExtraGenerator}  extraGenerator Generates extra statements
+  //    {object}          publisher Publishes messages. See publishers/index.js
+  //    {AlertStore=}     alertStore Remembers posted alerts. Kept in memory only if unset.
+  //    {TweetWeather=}   retweeter Retweets the local weather station. Retweets are disabled if unset.
+  //    {function=}       setTimeout Used to wait between retries. Node's setTimeout if unset.
+  //    {JobRunner=}      jobRunner Runs jobs and retries them. One using setTimeout if unset.
+  //    {Templates=}      templates The wording of messages. From config.templates and config.language if unset.
+  //  @throws {TypeError} for a parameter of the incorrect type
+  constructor (config, logger, stats, services) {
+    if (!(config instanceof Object)) {
+      throw new TypeError('Param config must be an object')
+    }
+
+    if (!(logger instanceof Object)) {
+      throw new TypeError('Param logger must be an object')
+    }
+
+    if (!(stats instanceof Object)) {
+      throw new TypeError('Param stats must be an object')
+    }
+
+    if (!(services instanceof Object)) {
+      throw new TypeError('Param services must be an object')
+    }
+
+    this.config = config
+    this.logger = logger
+    this.stats = stats
+
+    this.alertStore = services.alertStore || new AlertStore(undefined, logger)
+    this.extraGenerator = services.extraGenerator
+    this.publisher = services.publisher
+    this.retweeter = services.retweeter
+    this.setTimeout = services.setTimeout || setTimeout
+    this.templates = services.templates || new Templates(config.templates, config.language)
+    this.weatherFetcher = services.weatherFetcher
+
+    this.unitFormatter = new UnitFormatter(config.units)
+    this.isAlertsEnabled = Boolean(config.weather.alerts && !config.weather.alerts.disabled)
+    // The oldest alerts from the cache can be when the NWS is down and still be posted in ms
+    this.alertMaxStale = ((config.weather.alerts && config.weather.alerts.maxStaleMinutes) === undefined ? 30 : config.weather.alerts.maxStaleMinutes) * 60000
+    // The time zone and seconds east of UTC of the location given by the latest forecast
+    this.timeZone = undefined
+    this.utcOffset = undefined
+    // true once a nowcast is posted for rain in the next hour. Reset when a check finds the next hour dry.
+    this.isRainEventPosted = false
+    // When nowcasts can resume after hitting One Call's rate limit in ms
+    this.nowcastPausedUntil = 0
+    // The latest forecast posted. Newer forecasts are compared to it for updates. Kept in memory only.
+    this.postedForecast = undefined
+    this.jobRunner = services.jobRunner || new JobRunner(logger, {
+      setTimeout: this.setTimeout,
+      onRetry: ({ job, delay, error }) => {
+        this.publisher.record({ type: 'retry', job: job, delay: delay, error: error && error.message })
+      }
+    })
+  }
+
+  // Lists the jobs the bot runs and when it runs them
+  //  @return {object[]} A list of objects containing
+  //    {string} name The name of the job
+  //    {string} cron A cron expression for when the job runs
+  //    {function} run Runs the job. Returns a promise resolving when the job is done.
+  getSchedule () {
+    const jobs = [
+      {
+        name: 'forecast',
+        run: () => this.runForecastJob()
+      }
+    ]
+
+    if (this.retweeter && typeof this.retweeter.localStationAccount === 'string') {
+      jobs.push({
+        name: 'retweet',
+        run: () => this.runRetweetJob()
+      })
+    }
+
+    ['today', 'tomorrow'].filter((name) => this.isJobEnabled(name)).forEach((name) => {
+      jobs.push({
+        name: name,
+        run: () => this.runDailyJob(name)
+      })
+    })
+
+    if (this.isJobEnabled('update')) {
+      jobs.push({
+        name: 'update',
+        run: () => this.runUpdateJob()
+      })
+    }
+
+    if (this.isJobEnabled('outlook')) {
+      jobs.push({
+        name: 'outlook',
+        run: () => this.runOutlookJob()
+      })
+    }
+
+    if (this.weatherFetcher.nowcast) {
+      jobs.push({
+        name: 'nowcast',
+        run: () => this.runNowcastJob()
+      })
+    }
+
+    if (this.isJobEnabled('observation') && this.weatherFetcher.observationProvider) {
+      jobs.push({
+        name: 'observation',
+        run: () => this.runObservationJob()
+      })
+    }
+
+    if (this.isAlertsEnabled) {
+      jobs.push({
+        name: 'alerts',
+        run: () => this.runAlertJob()
+      })
+    }
+
+    if (this.isAlertsEnabled && this.weatherFetcher.alertPoll) {
+      jobs.push({
+        name: 'alertPoll',
+        run: () => this.runAlertPollJob()
+      })
+    }
+
+    return jobs.map(({ name, run }) => ({
+      name: name,
+      cron: this.getCron(name),
+      run: () => {
+        if (this.isQuietTime(name, new Date())) {
+          this.logger.info(`Skipped ${name} during quiet hours`)
+          return Promise.resolve()
+        }
+
+        return run()
+      }
+    }))
+  }
+
+  // Checks if a job that only runs when configured is turned on
+  //  @param  {string} name The name of the job
+  //  @return {boolean} true if config.jobs has the job and it isn't disabled otherwise false
+  isJobEnabled (name) {
+    const job = this.config.jobs && this.config.jobs[name]
+
+    return Boolean(job && !job.disabled)
+  }
+
+  // Gets when a job runs
+  //  @param  {string} name The name of the job
+  //  @return {string} A cron expression from config.jobs or the job's default
+  getCron (name) {
+    const jobConfig = this.config.jobs && this.config.jobs[name]
+
+    if (jobConfig && jobConfig.cron) {
+      return jobConfig.cron
+    }
+
+    if (name === 'alertPoll') {
+      return `*/${this.weatherFetcher.alertPoll.interval} * * * *`
+    }
+
+    if (name === 'nowcast') {
+      const interval = this.weatherFetcher.nowcast.interval
+
+      // Checks an hour or more apart run on the hour
+      if (interval >= 60) {
+        return interval === 1440 ? '0 0 * * *' : `0 */${interval / 60} * * *`
+      }
+
+      return `*/${interval} * * * *`
+    }
+
+    return jobDefaults[name].cron
+  }
+
+  // Gets a job's quiet hours. Updates to the forecast keep the forecast's quiet hours unless they set their own.
+  //  @param  {string} name The name of the job
+  //  @return {object=} An object containing the start and end times like "22:00". undefined if the job has no quiet hours.
+  getQuietHours (name) {
+    const jobs = this.config.jobs || {}
+    const quietHours = jobs[name] && jobs[name].quietHours
+
+    if (!quietHours && name === 'update') {
+      return this.getQuietHours('forecast')
+    }
+
+    return quietHours
+  }
+
+  // Checks if a time falls in a job's quiet hours. Quiet hours are in the location's time zone.
+  //  @param  {string} name The name of the job
+  //  @param  {Date}   date The time to check
+  //  @return {boolean} true if the job shouldn't run at the time otherwise false
+  isQuietTime (name, date) {
+    const quietHours = this.getQuietHours(name)
+
+    if (!quietHours) {
+      return false
+    }
+
+    const { hour, minute: minuteOfHour } = this.getDateFormatter().getParts(date)
+    const minute = parseInt(hour) * 60 + parseInt(minuteOfHour)
+    const start = getMinuteOfDay(quietHours.start)
+    const end = getMinuteOfDay(quietHours.end)
+
+    // Quiet hours like 22:00 to 05:00 cross midnight
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end
+  }
+
+  // Checks if a job's last scheduled run was missed. Runs during quiet hours aren't expected.
+  //  @param  {string} name The name of the job
+  //  @param  {Date}   lastRun When the job last succeeded
+  //  @return {boolean} true if the job last succeeded before its latest scheduled run otherwise false
+  isMissed (name, lastRun) {
+    const interval = cronParser.parseExpression(this.getCron(name), {
+      currentDate: new Date(Date.now() - missedRunGrace),
+      tz: this.config.timezone
+    })
+
+    // Give up looking for a run outside quiet hours after about a week of hourly runs
+    for (let i = 0; i < 168; i++) {
+      const scheduledRun = interval.prev().toDate()
+
+      if (!this.isQuietTime(name, scheduledRun)) {
+        return lastRun < scheduledRun
+      }
+    }
+
+    return false
+  }
+
+  // Schedules every job in getSchedule. Crons are in config.timezone if set otherwise the server's time zone.
+  //  @param  {object} scheduler node-schedule or an object with the same scheduleJob function
+  start (scheduler) {
+    const timeZone = this.config.timezone
+
+    this.catchUp()
+
+    this.getSchedule().forEach(({ cron, run }) => {
+      scheduler.scheduleJob(timeZone ? { rule: cron, tz: timeZone } : cron, run)
+    })
+  }
+
+  // Sends out forecasts and alerts if their last scheduled updates were missed
+  catchUp () {
+    const now = new Date()
+
+    // Detect if computer fell asleep
+    if (this.isMissed('forecast', this.stats.lastUpdate) && !this.isQuietTime('forecast', now)) {
+      this.logger.warn(new Error('Missed scheduled twitter update. Presumably by waking from sleep.'))
+
+      this.runForecastJob(true)
+    }
+
+    if (this.isAlertsEnabled && this.isMissed('alerts', this.stats.lastAlertUpdate) && !this.isQuietTime('alerts', now)) {
+      this.runAlertJob()
+    }
+  }
+
+  // Gets the retry settings of a job
+  //  @param  {string} name The name of the job
+  //  @return {object} An object containing the name, retries, and baseDelay of the job for JobRunner.run
+  getJobOptions (name) {
+    const options = Object.assign({}, jobDefaults[name], this.config.jobs && this.config.jobs[name])
+
+    return {
+      name: name,
+      retries: options.retries,
+      baseDelay: (options.retryDelay || 0) * 1000
+    }
+  }
+
+  // Gets a formatter for times in the location's time zone. Uses config.timezone or else the time zone from the latest forecast.
+  //  @param  {object=} forecastData A normalized forecast. The time zone or offset of its location is remembered for later alerts.
+  //  @return {DateFormatter} The formatter. Formats times in the host machine's time zone if no time zone is known.
+  getDateFormatter (forecastData) {
+    const location = forecastData && forecastData.location
+
+    if (location && (typeof location.timeZone === 'string' || typeof location.utcOffset === 'number')) {
+      this.timeZone = location.timeZone
+      this.utcOffset = location.utcOffset
+    }
+
+    return new DateFormatter(this.config.timezone || this.timeZone, this.utcOffset)
+  }
+
+  /*
+   *  Forecasts
+   */
+
+  // Fetch forecast data and tweet it
+  //  @param  {boolean} isLate true if the last scheduled forecast was missed otherwise false
+  //  @param  {Promise=} forecastPromise A promise of the forecast to tweet. Fetched from the provider in config.weather.provider if unset.
+  //  @return {Promise} A promise representing the complete action of fetching and tweeting the weather
+  tweetWeather (isLate, forecastPromise) {
+    const { config, extraGenerator, logger, publisher, stats } = this
+
+    return new Promise((resolve, reject) => {
+      (forecastPromise || this.weatherFetcher.getForecastPromise()).then((forecastData) => this.addObservation(forecastData)).then((forecastData) => {
+        const dateFormatter = this.getDateFormatter(forecastData)
+        let { message, unitFormatter } = this.fitForecast(forecastData, dateFormatter)
+
+        if (message) {
+          // extra statement
+          let extra
+
+          if (config.extra && !config.extra.disabled) {
+            const fits = (statement) => publisher.fits(message + statement)
+
+            if (isLate === true) {
+              extra = {
+                statement: pickJoke(this.templates, 'late'),
+                type: 'late'
+              }
+
+              if (!fits(extra.statement)) {
+                extra = { statement: '', type: 'none' }
+              }
+            } else {
+              extra = extraGenerator.getExtra(forecastData, dateFormatter, unitFormatter, fits)
+            }
+
+            logger.info(`Generated: ${JSON.stringify(extra)}`)
+
+            if (extra.type === 'none') {
+              logger.warn(`Extra statement dropped. Every extra would make the forecast exceed ${publisher.characterLimit} characters.`)
+            } else {
+              message += extra.statement
+            }
+
+            publisher.publish(message, { type: 'forecast', extra: extra.type })
+              .then((posts) => {
+                stats.lastUpdate = new Date()
+                this.postedForecast = forecastData
+                this.recordForecastSource(forecastData)
+
+                if (!stats[extra.type]) {
+                  stats[extra.type] = 0
+                }
+
+                stats[extra.type] += 1
+                resolve()
+              }).catch((error) => {
+                logger.error('Failed to send forecast update')
+                reject(error)
+              })
+          } else {
+            publisher.publish(message, { type: 'forecast' })
+              .then((posts) => {
+                stats.lastUpdate = new Date()
+                this.postedForecast = forecastData
+                this.recordForecastSource(forecastData)
+                resolve()
+              }).catch((error) => {
+                logger.error('Failed to send forecast update')
+                reject(error)
+              })
+          }
+        } else {
+          reject(new Error(`Failed to generate a forecast within ${publisher.characterLimit} characters.`))
+        }
+      }) // end weatherFetcher.getForecastPromise().then((forecastData) => {
+        .catch((error) => {
+          logger.error('Failed to fetch forecast data')
+          reject(error)
+        })
+    }) // end return new Promise((resolve, reject) => {
+  }
+
+  // Adds the latest observation to a forecast for the observation extra
+  //  @param  {object} forecastData A normalized forecast
+  //  @return {Promise} A promise that resolves to a copy of the forecast with its observation.
+  //    Resolves to the forecast unchanged if the observation extra is off or the observation can't be fetched.
+  addObservation (forecastData) {
+    const extra = this.config.extra
+
+    if (!extra || extra.disabled || !extra.probabilities || !extra.probabilities.observation || !this.weatherFetcher.observationProvider) {
+      return Promise.resolve(forecastData)
+    }
+
+    return this.weatherFetcher.getObservationPromise()
+      .then((observation) => Object.assign({}, forecastData, { observation }))
+      .catch((error) => {
+        this.logger.warn(`Failed to fetch an observation for the extra: ${error.message}`)
+
+        return forecastData
+      })
+  }
+
+  // Generates the longest forecast every publisher can publish.
+  //  Dual units are dropped first then 3 hour forecasts are dropped from the end down to a single one.
+  //  @param  {object} forecastData A normalized forecast from the provider
+  //  @param  {DateFormatter} dateFormatter Formats times in the location's time zone
+  //  @return {object} An object containing
+  //    {string=} message The forecast. undefined if not even a single 3 hour forecast fits.
+  //    {UnitFormatter} unitFormatter The units the forecast is in
+  fitForecast (forecastData, dateFormatter) {
+    const { logger, publisher, templates } = this
+    let unitFormatter = this.unitFormatter
+    let slots = forecastSlots
+    let message = weatherTools.generateForecastMessage(forecastData, dateFormatter, unitFormatter, templates, slots)
+
+    // Dual units can make the forecast too long for the publisher on their own
+    if (!publisher.fits(message) && unitFormatter.system === 'dual') {
+      logger.warn(`Forecast in dual units exceeds ${publisher.characterLimit} characters. Posting metric units only.`)
+      unitFormatter = unitFormatter.getPrimary()
+      message = weatherTools.generateForecastMessage(forecastData, dateFormatter, unitFormatter, templates, slots)
+    }
+
+    while (!publisher.fits(message)) {
+      if (slots === 1) {
+        return { unitFormatter }
+      }
+
+      slots -= 1
+      message = weatherTools.generateForecastMessage(forecastData, dateFormatter, unitFormatter, templates, slots)
+    }
+
+    if (slots < forecastSlots) {
+      logger.warn(`Forecast shortened to ${slots} of ${forecastSlots} 3 hour forecasts to fit ${publisher.characterLimit} characters.`)
+    }
+
+    return { message, unitFormatter }
+  }
+
+  // Tweets the forecast retrying on failure
+  //  @param  {boolean=} isLate true if the last scheduled forecast was missed otherwise false
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runForecastJob (isLate) {
+    return this.jobRunner.run(Object.assign(this.getJobOptions('forecast'), {
+      lock: 'forecast',
+      waitForLock: true,
+      run: () => this.tweetWeather(isLate),
+      onGiveUp: (error) => this.retriesExhausted(error)
+    }))
+  }
+
+  // Checks if the forecast job just ran or is about to run
+  //  @return {boolean} true if a scheduled forecast is within forecastUpdateGrace of now otherwise false
+  isForecastDue () {
+    const now = Date.now()
+    const interval = cronParser.parseExpression(this.getCron('forecast'), {
+      currentDate: new Date(now - forecastUpdateGrace),
+      tz: this.config.timezone
+    })
+
+    return interval.next().getTime() - now <= forecastUpdateGrace
+  }
+
+  // Fetches the forecast and posts it as an updated forecast if it changed significantly since the last one posted
+  //  Nothing is compared until a forecast is posted after the bot starts or around a scheduled forecast.
+  //  The update is only the forecast and what changed. It has no extra and isn't counted as a scheduled forecast.
+  //  @return {Promise} A promise that resolves to true if an updated forecast was posted otherwise false
+  checkForecastUpdate () {
+    const { logger, publisher, stats } = this
+    const previous = this.postedForecast
+
+    if (!previous) {
+      logger.info('No forecast posted yet to compare for updates')
+
+      return Promise.resolve(false)
+    }
+
+    if (this.isForecastDue()) {
+      logger.info('Leaving forecast updates to the scheduled forecast')
+
+      return Promise.resolve(false)
+    }
+
+    return this.weatherFetcher.getForecastPromise().then((forecastData) => {
+      // An old forecast from the cache can't say what changed since the last one posted
+      if (forecastData.cachedAt) {
+        logger.warn(`Skipping the update check for the forecast cached at ${forecastData.cachedAt.toISOString()}`)
+
+        return false
+      }
+
+      const changes = weatherTools.detectForecastChanges(previous, forecastData, this.config.jobs.update)
+
+      if (!changes.length) {
+        logger.info('Forecast has no significant changes')
+
+        return false
+      }
+
+      logger.info(`Forecast changed significantly: ${changes.map(({ type }) => type).join(', ')}`)
+
+      const updatedForecast = Object.assign({}, forecastData, { changes })
+      const { message } = this.fitForecast(updatedForecast, this.getDateFormatter(forecastData))
+
+      if (!message) {
+        throw new Error(`Failed to generate a forecast within ${publisher.characterLimit} characters.`)
+      }
+
+      return publisher.publish(message, { type: 'forecast' }).then(() => {
+        this.postedForecast = forecastData
+        stats.forecastUpdates = (stats.forecastUpdates || 0) + 1
+
+        return true
+      })
+    })
+  }
+
+  // Checks for a significantly changed forecast retrying on failure. Skipped while the forecast job is running.
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runUpdateJob () {
+    return this.jobRunner.run(Object.assign(this.getJobOptions('update'), {
+      lock: 'forecast',
+      run: () => this.checkForecastUpdate()
+    }))
+  }
+
+  // Counts the forecasts posted from each source in stats.forecastSources
+  //  @param  {object} forecastData The normalized forecast that was posted
+  recordForecastSource (forecastData) {
+    const source = forecastData.cachedAt ? 'cache' : forecastData.provider
+
+    if (!source) {
+      return
+    }
+
+    if (!this.stats.forecastSources) {
+      this.stats.forecastSources = {}
+    }
+
+    this.stats.forecastSources[source] = (this.stats.forecastSources[source] || 0) + 1
+    this.stats.lastForecastSource = source
+  }
+
+  // Print an error after all retry attempts have been exhausted
+  //  With config.weather.failover the forecast is tweeted from a failover provider or the latest forecast first. See DataFetcher.getFallbackForecastPromise
+  //  @param  {Object}  error Data representing why tweetWeather failed
+  //  @return {Promise} A promise that resolves after the fallback forecast or failure message is sent or fails to send
+  retriesExhausted (error) {
+    this.logger.error(error)
+
+    const fallback = this.weatherFetcher.failover
+      ? this.tweetWeather(false, this.weatherFetcher.getFallbackForecastPromise())
+      : Promise.reject(error)
+
+    return fallback.catch((fallbackError) => {
+      if (fallbackError !== error) {
+        this.logger.error('Failed to tweet a fallback forecast')
+        this.logger.error(fallbackError)
+      }
+
+      const failureMessage = pickJoke(this.templates, 'error')
+
+      return this.publisher.publish(failureMessage, { type: 'error' })
+        .catch((error) => {
+          this.logger.error('Failed to send failure tweet for forecast')
+          this.logger.error(error)
+        })
+    })
+  }
+
+  /*
+   *  Daily summaries and outlooks
+   */
+
+  // Fetch forecast data and post a summary of a day
+  //  @param  {string} name "today" to sum up the current day or "tomorrow" to sum up the next day
+  //  @return {Promise} A promise that resolves after the summary is posted
+  postDailySummary (name) {
+    const { logger, publisher, templates } = this
+
+    return this.weatherFetcher.getForecastPromise().then((forecastData) => {
+      const dateFormatter = this.getDateFormatter(forecastData)
+      const date = new Date(Date.now() + (name === 'tomorrow' ? dayLength : 0))
+      const summary = weatherTools.summarizeDay(forecastData, date, dateFormatter)
+
+      if (!summary) {
+        throw new Error(`The forecast has no data for ${dateFormatter.formatDay(date)}`)
+      }
+
+      let unitFormatter = this.unitFormatter
+      let message = weatherTools.generateDailyMessage(name, summary, date, dateFormatter, unitFormatter, templates)
+
+      if (!publisher.fits(message) && unitFormatter.system === 'dual') {
+        logger.warn(`Daily summary in dual units exceeds ${publisher.characterLimit} characters. Posting metric units only.`)
+        unitFormatter = unitFormatter.getPrimary()
+        message = weatherTools.generateDailyMessage(name, summary, date, dateFormatter, unitFormatter, templates)
+      }
+
+      if (!publisher.fits(message)) {
+        throw new Error(`Failed to generate a daily summary within ${publisher.characterLimit} characters.`)
+      }
+
+      return publisher.publish(message, { type: name }).then(() => this.recordForecastSource(forecastData))
+    })
+  }
+
+  // Posts a daily summary retrying on failure
+  //  @param  {string} name "today" or "tomorrow"
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runDailyJob (name) {
+    return this.jobRunner.run(Object.assign(this.getJobOptions(name), {
+      run: () => this.postDailySummary(name)
+    }))
+  }
+
+  // Fetch forecast data and post an outlook for the next 5 days.
+  //  Long lines are swapped for compact ones if the outlook doesn't fit then dual units are dropped.
+  //  @return {Promise} A promise that resolves after the outlook is posted
+  postOutlook () {
+    const { logger, publisher, templates } = this
+    const options = (this.config.jobs && this.config.jobs.outlook) || {}
+
+    return this.weatherFetcher.getForecastPromise().then((forecastData) => {
+      const dateFormatter = this.getDateFormatter(forecastData)
+      let unitFormatter = this.unitFormatter
+      let compact = Boolean(options.compact)
+      let message = weatherTools.generateOutlookMessage(forecastData, dateFormatter, unitFormatter, templates, compact)
+
+      if (!publisher.fits(message) && !compact) {
+        logger.warn(`Outlook exceeds ${publisher.characterLimit} characters. Posting the compact outlook.`)
+        compact = true
+        message = weatherTools.generateOutlookMessage(forecastData, dateFormatter, unitFormatter, templates, compact)
+      }
+
+      if (!publisher.fits(message) && unitFormatter.system === 'dual') {
+        logger.warn(`Outlook in dual units exceeds ${publisher.characterLimit} characters. Posting metric units only.`)
+        unitFormatter = unitFormatter.getPrimary()
+        message = weatherTools.generateOutlookMessage(forecastData, dateFormatter, unitFormatter, templates, compact)
+      }
+
+      if (!publisher.fits(message)) {
+        throw new Error(`Failed to generate an outlook within ${publisher.characterLimit} characters.`)
+      }
+
+      return publisher.publish(message, { type: 'outlook' }).then(() => this.recordForecastSource(forecastData))
+    })
+  }
+
+  // Posts the outlook retrying on failure
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runOutlookJob () {
+    return this.jobRunner.run(Object.assign(this.getJobOptions('outlook'), {
+      run: () => this.postOutlook()
+    }))
+  }
+
+  /*
+   *  Nowcasts
+   */
+
+  // Fetch One Call data and post when rain or snow is about to start.
+  //  Only one nowcast is posted for each rain event. Nothing more is posted until a check finds the next hour dry.
+  //  Rain that's already falling when the event is first found isn't posted.
+  //  @return {Promise} A promise that resolves after the nowcast is posted or it's decided nothing needs posting
+  postNowcast () {
+    const { logger, publisher, templates, weatherFetcher } = this
+
+    return weatherFetcher.getOneCallPromise().then((oneCallData) => {
+      const precipitation = weatherTools.findPrecipitation(oneCallData, weatherFetcher.nowcast.threshold)
+
+      if (!precipitation) {
+        this.isRainEventPosted = false
+        return
+      }
+
+      if (this.isRainEventPosted) {
+        logger.info('Skipped nowcast. The rain event was already posted.')
+        return
+      }
+
+      if (precipitation.minutes === 0) {
+        logger.info('Skipped nowcast. The rain event already started.')
+        this.isRainEventPosted = true
+        return
+      }
+
+      const utcOffset = oneCallData.timezone_offset === undefined ? this.utcOffset : oneCallData.timezone_offset
+      const dateFormatter = new DateFormatter(this.config.timezone || this.timeZone, utcOffset)
+      const message = weatherTools.generateNowcastMessage(precipitation, dateFormatter, this.unitFormatter, templates)
+
+      return publisher.publish(message, { type: 'nowcast' }).then(() => {
+        this.isRainEventPosted = true
+      })
+    }, (error) => {
+      if (error.statusCode === 429) {
+        this.nowcastPausedUntil = Date.now() + rateLimitPause
+        logger.warn(`One Call rate limit reached. Nowcasts paused until ${new Date(this.nowcastPausedUntil).toISOString()}`)
+      }
+
+      throw error
+    })
+  }
+
+  // Posts a nowcast if one is due unless nowcasts are paused by the rate limit
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run. Resolves to undefined while paused.
+  runNowcastJob () {
+    if (Date.now() < this.nowcastPausedUntil) {
+      this.logger.info('Skipped nowcast while the One Call rate limit is reached')
+      return Promise.resolve()
+    }
+
+    return this.jobRunner.run(Object.assign(this.getJobOptions('nowcast'), {
+      run: () => this.postNowcast()
+    }))
+  }
+
+  /*
+   *  Observations
+   */
+
+  // Fetch the latest observation from the NWS station and post it
+  //  @return {Promise} A promise that resolves after the observation is posted
+  postObservation () {
+    const { logger, publisher, templates } = this
+
+    return this.weatherFetcher.getObservationPromise().then((observation) => {
+      const dateFormatter = this.getDateFormatter()
+      let unitFormatter = this.unitFormatter
+      let message = weatherTools.generateObservationMessage(observation, dateFormatter, unitFormatter, templates)
+
+      if (!publisher.fits(message) && unitFormatter.system === 'dual') {
+        logger.warn(`Observation in dual units exceeds ${publisher.characterLimit} characters. Posting metric units only.`)
+        unitFormatter = unitFormatter.getPrimary()
+        message = weatherTools.generateObservationMessage(observation, dateFormatter, unitFormatter, templates)
+      }
+
+      if (!publisher.fits(message)) {
+        throw new Error(`Failed to generate an observation within ${publisher.characterLimit} characters.`)
+      }
+
+      return publisher.publish(message, { type: 'observation' })
+    })
+  }
+
+  // Posts the latest observation retrying on failure
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runObservationJob () {
+    return this.jobRunner.run(Object.assign(this.getJobOptions('observation'), {
+      run: () => this.postObservation()
+    }))
+  }
+
+  /*
+   *  Retweets
+   */
+
+  // Retweets the local weather station's tweets from the past hour retrying on failure
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runRetweetJob () {
+    return this.jobRunner.run(Object.assign(this.getJobOptions('retweet'), {
+      run: () => this.retweeter.retweetLocalStationTweets()
+    }))
+  }
+
+  /*
+   *  Alerts
+   */
+
+  // Fetch alert data and tweet it
+  //  @param  {boolean} isPoll true to only tweet urgent alerts if the alerts changed since the last poll. Other alerts wait for the next alert job.
+  //  @return {Promise} A promise representing the complete action of fetching and tweeting the alerts. Rejects if any alert fails to send.
+  tweetAlerts (isPoll) {
+    const { alertStore, logger, publisher, stats, weatherFetcher } = this
+
+    logger.info('Fetching alerts.')
+
+    const alertPromise = isPoll ? weatherFetcher.getWeatherAlertsIfChangedPromise() : weatherFetcher.getWeatherAlertsPromise()
+
+    return alertPromise
+      .catch((error) => {
+        logger.error('Failed to fetch weather alert data')
+        throw error
+      })
+      .then((alertData) => {
+        if (!alertData) {
+          logger.info('Alerts unchanged since the last poll')
+          return
+        }
+
+        // Old alerts can't show what was cancelled or replaced since
+        if (alertData.cachedAt instanceof Date) {
+          if (Date.now() - alertData.cachedAt.getTime() > this.alertMaxStale) {
+            throw new Error(`Alerts cached at ${alertData.cachedAt.toISOString()} are too old to post`)
+          }
+
+          logger.warn(`Posting alerts cached at ${alertData.cachedAt.toISOString()}`)
+        }
+
+        alertStore.prune()
+
+        // Skip alerts that have been posted and cancellations of alerts that never were
+        let alerts = weatherFetcher.filterAlerts(alertData.features)
+          .map((alertData) => ({ alertData, change: alertStore.classify(alertData) }))
+          .filter(({ change }) => change !== null)
+
+        if (isPoll) {
+          alerts = alerts.filter(({ alertData }) => weatherFetcher.isUrgentAlert(alertData))
+        }
+
+        if (!alerts.length) {
+          logger.info(isPoll ? 'No new urgent alerts found' : 'No new alerts found')
+          alertStore.save()
+        }
+
+        // Alerts that were sent are remembered so retries only send the rest
+        return Promise.all(alerts.map(({ alertData, change }) => {
+          const alertMessage = weatherTools.getAlertMessage(alertData, logger, alertStore.getReferenced(alertData), this.getDateFormatter(), this.templates)
+
+          if (!alertMessage) {
+            logger.error(new Error('Failure in generating alert message'))
+            logger.error(alertData)
+            return Promise.resolve()
+          }
+
+          return publisher.publish(alertMessage, {
+            type: 'alert',
+            id: alertData.properties.id,
+            change: change,
+            details: weatherTools.getAlertDetails(alertData)
+          }).then((posts) => {
+            alertStore.add(alertData)
+            alertStore.save()
+          }, (error) => {
+            logger.error('Failed to send weather alert tweet')
+
+            // Twitter already has the alert
+            if (error instanceof Array && error.some((twitterError) => twitterError && twitterError.code === 187)) {
+              alertStore.add(alertData)
+              alertStore.save()
+              return
+            }
+
+            throw error
+          })
+        })).then(() => {
+          if (!isPoll) {
+            stats.lastAlertUpdate = new Date()
+          }
+        }, (error) => {
+          // The next poll has to see these alerts again even though they haven't changed
+          if (isPoll) {
+            weatherFetcher.forgetAlertValidators()
+          }
+
+          throw error
+        })
+      })
+  }
+
+  // Tweets alerts retrying on failure. Waits for a poll in progress so alerts aren't posted twice.
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runAlertJob () {
+    return this.jobRunner.run(Object.assign(this.getJobOptions('alerts'), {
+      lock: 'alerts',
+      waitForLock: true,
+      run: () => this.tweetAlerts(),
+      onGiveUp: (error) => this.retriesAlertExhausted(error)
+    }))
+  }
+
+  // Tweets urgent alerts if the alerts changed since the last poll. Skipped while alerts are being tweeted.
+  //  @return {Promise} A promise that resolves to the outcome of the job. See JobRunner.run.
+  runAlertPollJob () {
+    return this.jobRunner.run(Object.assign(this.getJobOptions('alertPoll'), {
+      lock: 'alerts',
+      run: () => this.tweetAlerts(true)
+    }))
+  }
+
+  // Print an error after all retry attempts have been exhausted
+  //  @param  {Object}  error Data representing why tweetAlerts failed
+  //  @return {Promise} A promise that resolves after the failure message is sent or fails to send
+  retriesAlertExhausted (error) {
+    this.logger.error(error)
+
+    return this.publisher.publish(this.templates.render('alertFailure', {}), { type: 'error' })
+      .catch((error) => {
+        this.logger.error('Failed to send weather alert failure message')
+        this.logger.error(error)
+      })
+  }
+}